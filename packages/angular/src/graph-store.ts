@@ -0,0 +1,96 @@
+import { Injectable, computed, signal } from '@angular/core'
+import { Graph, History } from 'steadyflow'
+import type { Node, Edge, Mutator } from 'steadyflow'
+
+type Change = Graph | ((graph: Graph) => Graph)
+
+/**
+ * Holds the versions of a graph in a History, with the current one in
+ * a signal. Versions are immutable, so the signal changes with every
+ * change, and components keyed on it redraw only then. Provide it
+ * where the graph lives, as in providers: [GraphStore].
+ */
+@Injectable()
+export class GraphStore {
+  readonly history = new History()
+  private readonly current = signal(this.history.graph)
+  /** The current version */
+  readonly graph = this.current.asReadonly()
+  // the graph changes whenever these might
+  readonly canUndo = computed(() => this.current() && this.history.canUndo)
+  readonly canRedo = computed(() => this.current() && this.history.canRedo)
+
+  constructor() {
+    this.history.on('change', event => this.current.set(event.graph))
+  }
+
+  /** Start over from a version, forgetting the ones before it */
+  reset(graph: Graph) {
+    this.history.reset(graph)
+  }
+
+  /** Make a new version current, given as a function of the current one or itself */
+  update(change: Change) {
+    return this.history.apply(change)
+  }
+
+  withMutations(callback: (mutator: Mutator) => void) {
+    return this.update(graph => graph.withMutations(callback))
+  }
+
+  addNode(node: Node) {
+    return this.update(graph => graph.addNode(node))
+  }
+
+  addNodes(...nodes: Node[]) {
+    return this.update(graph => graph.addNodes(...nodes))
+  }
+
+  removeNode(node: Node | string) {
+    return this.update(graph => graph.removeNode(node))
+  }
+
+  removeNodes(...nodes: (Node | string)[]) {
+    return this.update(graph => graph.removeNodes(...nodes))
+  }
+
+  updateNode(node: Node) {
+    return this.update(graph => graph.updateNode(node))
+  }
+
+  updateNodes(...nodes: Node[]) {
+    return this.update(graph => graph.updateNodes(...nodes))
+  }
+
+  addEdge(edge: Edge) {
+    return this.update(graph => graph.addEdge(edge))
+  }
+
+  addEdges(...edges: Edge[]) {
+    return this.update(graph => graph.addEdges(...edges))
+  }
+
+  removeEdge(edge: Edge) {
+    return this.update(graph => graph.removeEdge(edge))
+  }
+
+  removeEdges(...edges: Edge[]) {
+    return this.update(graph => graph.removeEdges(...edges))
+  }
+
+  updateEdge(edge: Edge) {
+    return this.update(graph => graph.updateEdge(edge))
+  }
+
+  updateEdges(...edges: Edge[]) {
+    return this.update(graph => graph.updateEdges(...edges))
+  }
+
+  undo() {
+    return this.history.undo()
+  }
+
+  redo() {
+    return this.history.redo()
+  }
+}
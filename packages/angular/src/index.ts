@@ -2,5 +2,9 @@
  * Angular SteadyFlow - Angular components for SteadyFlow graph visualization
  */
 
-// Placeholder for Angular integration
-export { Graph, GraphData, LayoutOptions, createGraph } from 'steadyflow'
+export { SteadyflowGraphComponent, SteadyflowNodeDirective } from './steadyflow-graph.component'
+export type { NodeTemplateContext, GraphClick } from './steadyflow-graph.component'
+export { GraphStore } from './graph-store'
+
+export { Graph, History, Builder } from 'steadyflow'
+export type { Node, Edge, GraphOptions, NodeLayout, EdgeLayout, TransitionOptions, BuilderAction } from 'steadyflow'
@@ -0,0 +1,173 @@
+import {
+  ChangeDetectionStrategy,
+  Component,
+  ContentChild,
+  Directive,
+  ElementRef,
+  EventEmitter,
+  Input,
+  Output,
+  TemplateRef,
+  ViewContainerRef,
+} from '@angular/core'
+import type { AfterContentInit, EmbeddedViewRef, OnChanges, OnDestroy, SimpleChanges } from '@angular/core'
+import { Graph, render, unrender } from 'steadyflow'
+import type { Node, Edge, Dims, GraphOptions, TransitionOptions, Builder } from 'steadyflow'
+
+const SVG = 'http://www.w3.org/2000/svg'
+
+export interface NodeTemplateContext {
+  $implicit: Node
+  node: Node
+  dims: Dims
+}
+
+export interface GraphClick {
+  id: string
+  event: MouseEvent
+}
+
+/**
+ * Marks the template nodes are drawn with. Its elements go inside the
+ * svg, so they need the svg: prefix, as in <svg:rect>.
+ */
+@Directive({
+  selector: 'ng-template[steadyflowNode]',
+  standalone: true,
+})
+export class SteadyflowNodeDirective {
+  constructor(public template: TemplateRef<NodeTemplateContext>) {}
+}
+
+// Draws a graph as SVG, patching the drawing for each new version. The
+// drawing is only redone when the graph input is a different version,
+// so the component works with OnPush change detection everywhere.
+// Nodes drawn from the template are embedded views, whose elements are
+// moved into the drawing, and which live as long as that node version
+// is drawn, fading out included.
+@Component({
+  selector: 'steadyflow-graph',
+  standalone: true,
+  template: '',
+  changeDetection: ChangeDetectionStrategy.OnPush,
+  host: { '(click)': 'onClick($event)' },
+})
+export class SteadyflowGraphComponent implements AfterContentInit, OnChanges, OnDestroy {
+  @Input({ required: true }) graph!: Graph
+  /**
+   * Layout options over the graph's own. Coordinates are redone for
+   * each version, so options set on the graph itself are cheaper.
+   */
+  @Input() layoutOptions?: GraphOptions
+  /** Space around the graph */
+  @Input() padding = 20
+  /** Class of the svg, and prefix of the classes of its parts */
+  @Input() className = 'steadyflow'
+  /** Label drawn halfway along an edge, if any (default: data.label) */
+  @Input() edgeLabel?: (edge: Edge) => string | number | null | undefined
+  /** Ids of the selected nodes and edges */
+  @Input() selection: readonly string[] = []
+  /**
+   * Animate between versions: new nodes and edges fade in, removed
+   * ones fade out, and moved ones slide. True for the Transition
+   * defaults, or its options.
+   */
+  @Input() animate: boolean | TransitionOptions = false
+  /**
+   * Builder to edit the graph with, by dragging between ports and
+   * dropping palette items; its changes come back as new versions
+   * for the graph input.
+   */
+  @Input() builder?: Builder
+
+  @Output() nodeClick = new EventEmitter<GraphClick>()
+  @Output() edgeClick = new EventEmitter<GraphClick>()
+  /**
+   * Clicking a node or edge selects it alone, or with shift, ctrl or
+   * meta held adds or removes it; clicking elsewhere clears it.
+   */
+  @Output() selectionChange = new EventEmitter<string[]>()
+
+  @ContentChild(SteadyflowNodeDirective) nodeTemplate?: SteadyflowNodeDirective
+
+  // node id -> view drawing it, and the group holding its elements
+  private views = new Map<string, { view: EmbeddedViewRef<NodeTemplateContext>, group: SVGGElement }>()
+  private started = false
+  private svg?: SVGSVGElement
+  // the graph input with layoutOptions over it, until either changes
+  private laidOut?: Graph
+
+  constructor(private element: ElementRef<HTMLElement>, private viewContainer: ViewContainerRef) {}
+
+  ngAfterContentInit() {
+    this.started = true
+    this.draw()
+  }
+
+  ngOnChanges(changes: SimpleChanges) {
+    if (changes['graph'] || changes['layoutOptions']) this.laidOut = undefined
+    if (this.started) this.draw()
+  }
+
+  ngOnDestroy() {
+    unrender(this.element.nativeElement)
+    for (const { view } of this.views.values()) view.destroy()
+    this.views.clear()
+  }
+
+  onClick(event: MouseEvent) {
+    const target = (event.target as Element).closest?.('[data-id]')
+    const prefix = this.className
+    const kind = target?.classList.contains(`${prefix}-edge`) ? 'edge' : target ? 'node' : undefined
+    if (target && kind) {
+      const id = target.getAttribute('data-id')!
+      if (kind == 'edge') this.edgeClick.emit({ id, event })
+      else this.nodeClick.emit({ id, event })
+      const adding = event.shiftKey || event.ctrlKey || event.metaKey
+      if (!adding) this.selectionChange.emit([id])
+      else if (this.selection.includes(id)) this.selectionChange.emit(this.selection.filter(other => other != id))
+      else this.selectionChange.emit([...this.selection, id])
+    } else if (this.selection.length > 0) {
+      this.selectionChange.emit([])
+    }
+  }
+
+  private draw() {
+    // laying out again for every draw would make each one a new version
+    this.laidOut ??= this.layoutOptions
+      ? new Graph({ prior: this.graph, options: this.layoutOptions })
+      : this.graph
+    this.svg = render(this.laidOut, this.element.nativeElement, {
+      renderNode: this.renderNode,
+      edgeLabel: this.edgeLabel ?? defaultEdgeLabel,
+      padding: this.padding,
+      className: this.className,
+      animate: this.animate,
+      builder: this.builder,
+    })
+    // the group leaves the drawing once its node is gone or drawn again
+    for (const [id, { view, group }] of this.views)
+      if (!group.isConnected) {
+        view.destroy()
+        this.views.delete(id)
+      }
+    const selected = new Set(this.selection)
+    for (const group of Array.from(this.svg.querySelectorAll('[data-id]')))
+      group.classList.toggle(`${this.className}-selected`, selected.has(group.getAttribute('data-id')!))
+  }
+
+  // kept the same between draws, so only changed nodes are drawn again
+  private renderNode = (node: Node, dims: Dims) => {
+    const template = this.nodeTemplate?.template
+    if (!template) return node.data?.label ?? node.id
+    this.views.get(node.id)?.view.destroy()
+    const view = this.viewContainer.createEmbeddedView(template, { $implicit: node, node, dims })
+    view.detectChanges()
+    const group = this.element.nativeElement.ownerDocument.createElementNS(SVG, 'g')
+    for (const root of view.rootNodes) group.appendChild(root)
+    this.views.set(node.id, { view, group })
+    return group
+  }
+}
+
+const defaultEdgeLabel = (edge: Edge) => edge.data?.label
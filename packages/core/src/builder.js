@@ -0,0 +1,561 @@
+// Building graphs by hand: drawing edges, adding and removing nodes.
+//
+// A builder turns gestures on a drawing into changes to its graph.
+// Dragging from a port to a port of the other kind connects them, and
+// dragging the grip near either end of an edge reconnects that end;
+// while dragging, a line follows the pointer and shows whether the edge
+// could be made there. An edge that would close a cycle can't, unless
+// the graph allows cycles: that's checked on the current version before
+// anything changes, by whether the target already reaches the source.
+// Palette items add nodes where they're dropped, or remove what they're
+// dropped on.
+//
+// Every change goes out as an action carrying a Mutator, which
+// listeners can add to, store, or veto, before the builder applies it
+// and moves to the new version. Changes the graph refuses, such as an
+// edge a listener added twice, go out as an error instead, and the
+// builder stays where it was.
+
+import { Mutator } from './graph.js'
+import { GraphError } from './errors.js'
+import { element, attrs } from './svg.js'
+
+const defaultOptions = {
+  // id of a node added from a template
+  nodeId: (graph) => {
+    let i = graph.numNodes() + 1
+    while (graph.hasNode(`n${i}`)) i++
+    return `n${i}`
+  },
+  // prefix of the classes, as for render; the handles are {prefix}-builder
+  className: 'steadyflow',
+  // radius of port handles, in graph units
+  portRadius: 5,
+  // how far along an edge from its end its grip is, in graph units
+  grip: 14,
+}
+
+export class Builder {
+  constructor(options = {}) {
+    this.options = { ...defaultOptions, ...options }
+    this.graph = undefined
+    // svg input is handled on, the layer drawn into, and its listeners
+    this.svg = undefined
+    this.parts = undefined
+    this.handlers = []
+    this.listeners = new Map()
+    // id -> { layout, node, handles } for ports, { layout, handles } for
+    // edge grips
+    this.nodes = new Map()
+    this.edges = new Map()
+    // the edge being dragged out: pointerId, the end that stays put,
+    // where it shows, the edge it replaces, and the edge it'd make
+    this.drag = undefined
+    // palette item being dragged
+    this.carrying = undefined
+  }
+
+  // Follow a new version, moving the handles along
+  setGraph(graph) {
+    this.graph = graph
+    if (this.parts) this._patch()
+  }
+
+  // Why an edge can't be made, or undefined if it can: 'missing' when
+  // an end isn't a node, 'cluster' when it's a cluster, 'port' for a
+  // port its node doesn't declare, 'duplicate' when the edge is there
+  // already, and 'cycle' when it would close one the graph doesn't
+  // allow. The edge being replaced, if any, doesn't count.
+  check(edge, replacing) {
+    const { graph } = this
+    if (!graph.hasNode(edge.sourceId) || !graph.hasNode(edge.targetId)) return 'missing'
+    if (graph.isCluster(edge.sourceId) || graph.isCluster(edge.targetId)) return 'cluster'
+    const declares = (id, side, port) => {
+      const ports = graph.getNode(id)[side]
+      return !port || !ports || ports.includes(port)
+    }
+    if (!declares(edge.sourceId, 'outputPorts', edge.sourcePort) ||
+      !declares(edge.targetId, 'inputPorts', edge.targetPort))
+      return 'port'
+    const id = graph.edgeId(edge)
+    if (id != replacing && graph.hasEdge(id)) return 'duplicate'
+    if (!graph.options.allowCycles && reaches(graph, edge.targetId, edge.sourceId, replacing)) return 'cycle'
+    return undefined
+  }
+
+  // Add an edge. Returns the new version, or undefined if the edge
+  // can't be made or the action was vetoed.
+  connect(edge) {
+    if (this.check(edge)) return undefined
+    const mutator = new Mutator(this.graph)
+    mutator.addEdge(edge)
+    return this._act('connect', mutator, { edge })
+  }
+
+  // Move the ends of an edge, keeping the rest of it
+  reconnect(edgeId, ends) {
+    const replaced = this.graph.getEdge(edgeId)
+    if (!replaced) return undefined
+    const edge = { ...replaced }
+    delete edge.sourcePort
+    delete edge.targetPort
+    Object.assign(edge, ends)
+    if (this.graph.edgeId(edge) == edgeId || this.check(edge, edgeId)) return undefined
+    const mutator = new Mutator(this.graph)
+    mutator.removeEdge(replaced)
+    mutator.addEdge(edge)
+    return this._act('reconnect', mutator, { edge, replaced })
+  }
+
+  // Add a node like a template, with a new id, and an edge to it from
+  // another node if given
+  addNode(template = {}, afterId) {
+    const { graph } = this
+    const node = { ...template, id: this.options.nodeId(graph, template) }
+    const mutator = new Mutator(graph)
+    mutator.addNode(node)
+    let edge
+    if (afterId !== undefined && graph.hasNode(afterId) && !graph.isCluster(afterId)) {
+      edge = link(
+        { nodeId: afterId, port: graph.getNode(afterId).outputPorts?.[0] },
+        { nodeId: node.id, port: node.inputPorts?.[0] },
+      )
+      mutator.addEdge(edge)
+    }
+    return this._act('add-node', mutator, { node, edge })
+  }
+
+  // Remove nodes and edges, with the edges of the nodes; unknown ids
+  // are skipped. What was in a removed cluster moves out to the
+  // cluster around it, if any.
+  remove(ids) {
+    const { graph } = this
+    const mutator = new Mutator(graph)
+    const nodeIds = [...ids].filter(id => graph.hasNode(id))
+    const gone = new Set(nodeIds)
+    // edges of removed nodes go with them
+    const edgeIds = [...ids].filter(id => {
+      const edge = graph.getEdge(id)
+      return edge && !gone.has(edge.sourceId) && !gone.has(edge.targetId)
+    })
+    if (nodeIds.length + edgeIds.length == 0) return undefined
+    nodeIds.forEach(id => mutator.removeNode(id))
+    edgeIds.forEach(id => mutator.removeEdge(graph.getEdge(id)))
+    for (const id of nodeIds)
+      for (const childId of graph.childNodes(id)) {
+        if (gone.has(childId)) continue
+        // the nearest enclosing cluster that stays
+        let parentId = graph.getNode(id).parentId
+        while (gone.has(parentId)) parentId = graph.getNode(parentId).parentId
+        const child = { ...graph.getNode(childId), parentId }
+        if (parentId === undefined) delete child.parentId
+        mutator.updateNode(child)
+      }
+    return this._act('remove', mutator, { nodeIds, edgeIds })
+  }
+
+  // Apply changes to the current version, as the builder does with the
+  // actions no one vetoed, and move to the new one; undefined if the
+  // graph refused them
+  apply(mutator) {
+    return this._commit(mutator, undefined)
+  }
+
+  // Make an element an item of a palette. A node template, dragged
+  // onto the drawing, adds a node like it, after the node it's dropped
+  // on if any; clicked, it adds one on its own. 'delete', dropped on a
+  // node or edge, removes it. Returns a function that stops.
+  paletteItem(el, item) {
+    const handlers = {
+      dragstart: event => {
+        this.carrying = item
+        if (!event.dataTransfer) return
+        event.dataTransfer.effectAllowed = item == 'delete' ? 'move' : 'copy'
+        // some browsers won't drag without data
+        event.dataTransfer.setData('text/plain', item == 'delete' ? 'delete' : String(item.data?.label ?? ''))
+      },
+      dragend: () => {
+        this.carrying = undefined
+      },
+      click: () => {
+        if (item != 'delete') this.addNode(item)
+      },
+    }
+    for (const [type, handler] of Object.entries(handlers))
+      el.addEventListener(type, handler)
+    el.setAttribute('draggable', 'true')
+    return () => {
+      for (const [type, handler] of Object.entries(handlers))
+        el.removeEventListener(type, handler)
+      el.removeAttribute('draggable')
+    }
+  }
+
+  // Handle gestures on an svg, instead of any attached before, with the
+  // handles drawn into a group of it that's in graph coordinates, such
+  // as render's root group; returns a function that stops
+  attach(svg, parent = svg) {
+    this.detach()
+    const prefix = `${this.options.className}-builder`
+    const layer = element(parent, 'g', { class: prefix })
+    this.parts = {
+      layer,
+      // grips go under ports, so a port can always start a new edge
+      grips: element(layer, 'g', { class: `${prefix}-grips`, fill: '#64748b' }),
+      ports: element(layer, 'g', { class: `${prefix}-ports`, fill: 'white', stroke: '#3b82f6' }),
+      preview: element(layer, 'path', {
+        class: `${prefix}-preview`,
+        fill: 'none',
+        'stroke-dasharray': '4 3',
+        'pointer-events': 'none',
+        visibility: 'hidden',
+      }),
+    }
+    // pressing a handle goes no further, so a viewport on the svg
+    // doesn't pan as well
+    this.handlers = [
+      [layer, 'pointerdown', event => this._onPointerDown(event)],
+      [svg, 'pointermove', event => this._onPointerMove(event)],
+      [svg, 'pointerup', event => this._onPointerUp(event)],
+      [svg, 'pointercancel', event => this._onPointerUp(event, true)],
+      [svg, 'dragover', event => this._onDragOver(event)],
+      [svg, 'drop', event => this._onDrop(event)],
+    ]
+    for (const [el, type, handler] of this.handlers)
+      el.addEventListener(type, handler)
+    this.svg = svg
+    if (this.graph) this._patch()
+    return () => {
+      if (this.svg === svg) this.detach()
+    }
+  }
+
+  // Stop handling gestures, and take the handles away
+  detach() {
+    if (!this.svg) return
+    for (const [el, type, handler] of this.handlers)
+      el.removeEventListener(type, handler)
+    this.parts.layer.remove()
+    this.handlers = []
+    this.nodes.clear()
+    this.edges.clear()
+    this.drag = undefined
+    this.svg = undefined
+    this.parts = undefined
+  }
+
+  // Listen for actions, with a chance to veto them, for the versions
+  // they make, or for changes the graph refused; returns a function
+  // that stops listening
+  on(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set())
+    this.listeners.get(type).add(listener)
+    return () => this.off(type, listener)
+  }
+
+  off(type, listener) {
+    this.listeners.get(type)?.delete(listener)
+  }
+
+  _act(type, mutator, details) {
+    const action = {
+      type,
+      mutator,
+      graph: this.graph,
+      ...details,
+      vetoed: false,
+      veto: () => {
+        action.vetoed = true
+      },
+    }
+    this._emit('action', action)
+    if (action.vetoed) return undefined
+    return this._commit(mutator, action)
+  }
+
+  // With no one listening for errors, they're thrown as they would be
+  // by the graph
+  _commit(mutator, action) {
+    const previous = this.graph
+    let graph
+    try {
+      graph = previous.withMutations(m => {
+        for (const [kind, items] of Object.entries(mutator.changes))
+          m.changes[kind].push(...items)
+      })
+    } catch (error) {
+      if (!(error instanceof GraphError) || !this.listeners.get('error')?.size) throw error
+      this._emit('error', { error, graph: previous, action })
+      return undefined
+    }
+    this.setGraph(graph)
+    this._emit('change', { graph, previous, action })
+    return graph
+  }
+
+  _emit(type, event) {
+    for (const listener of this.listeners.get(type) || [])
+      listener(event)
+  }
+
+  // Draw handles for the ports of each node and grips on each edge,
+  // redoing those whose layout changed
+  _patch() {
+    const { graph, parts } = this
+    for (const [id, entry] of this.nodes)
+      if (!graph.nodeLayout.get(id) || graph.isCluster(id)) {
+        entry.handles.forEach(handle => handle.remove())
+        this.nodes.delete(id)
+      }
+    for (const [id, layout] of graph.nodeLayout) {
+      if (graph.isCluster(id)) continue
+      const node = graph.getNode(id)
+      const entry = this.nodes.get(id)
+      if (entry?.layout === layout && entry.node === node) continue
+      entry?.handles.forEach(handle => handle.remove())
+      const handles = portsOf(graph, id).map(({ side, port, point }) => {
+        const handle = element(parts.ports, 'circle', {
+          class: `${this.options.className}-builder-port ${this.options.className}-builder-${side}`,
+          'data-node': id,
+          'data-side': side,
+          cx: point.x,
+          cy: point.y,
+          r: this.options.portRadius,
+        })
+        if (port !== undefined) attrs(handle, { 'data-port': port })
+        return handle
+      })
+      this.nodes.set(id, { layout, node, handles })
+    }
+
+    for (const [id, entry] of this.edges)
+      if (!graph.hasEdge(id) || !graph.edgeLayout(id)) {
+        entry.handles.forEach(handle => handle.remove())
+        this.edges.delete(id)
+      }
+    for (const edge of graph.edges()) {
+      const id = graph.edgeId(edge)
+      const layout = graph.edgeLayout(id)
+      const entry = this.edges.get(id)
+      if (!layout || entry?.layout === layout) continue
+      entry?.handles.forEach(handle => handle.remove())
+      const { points } = layout
+      const handles = [['source', points], ['target', [...points].reverse()]].map(([end, route]) => {
+        const { x, y } = along(route, this.options.grip)
+        return element(parts.grips, 'circle', {
+          class: `${this.options.className}-builder-grip`,
+          'data-edge': id,
+          'data-end': end,
+          cx: x,
+          cy: y,
+          r: this.options.portRadius - 1,
+        })
+      })
+      this.edges.set(id, { layout, handles })
+    }
+  }
+
+  _onPointerDown(event) {
+    if (event.button > 0 || !this.graph) return
+    const hit = this._hit(event.target)
+    let fixed, from, replacing
+    if (hit?.side) {
+      fixed = { nodeId: hit.nodeId, port: hit.port, side: hit.side }
+      from = portsOf(this.graph, hit.nodeId).find(p => p.side == hit.side && p.port === hit.port)?.point
+    } else if (hit?.end) {
+      // the other end stays where it is
+      const edge = this.graph.getEdge(hit.edgeId)
+      const { points } = this.graph.edgeLayout(hit.edgeId)
+      replacing = hit.edgeId
+      if (hit.end == 'target') {
+        fixed = { nodeId: edge.sourceId, port: edge.sourcePort, side: 'output' }
+        from = points[0]
+      } else {
+        fixed = { nodeId: edge.targetId, port: edge.targetPort, side: 'input' }
+        from = points[points.length - 1]
+      }
+    }
+    if (!fixed || !from) return
+    event.preventDefault()
+    event.stopPropagation()
+    this.svg.setPointerCapture?.(event.pointerId)
+    this.drag = { pointerId: event.pointerId, fixed, from, replacing, edge: undefined, reason: undefined }
+    this._preview(pointAt(this.parts.layer, event), undefined)
+  }
+
+  _onPointerMove(event) {
+    const { drag } = this
+    if (!drag || drag.pointerId !== event.pointerId) return
+    const point = pointAt(this.parts.layer, event)
+    // with the pointer captured, the event comes from the svg, not
+    // what's under the pointer
+    const under = this.svg.ownerDocument?.elementFromPoint?.(event.clientX, event.clientY) ?? event.target
+    const target = this._target(this._hit(under), point)
+    if (!target) {
+      drag.edge = drag.reason = undefined
+      this._preview(point, undefined)
+      return
+    }
+    drag.edge = drag.fixed.side == 'output' ? link(drag.fixed, target) : link(target, drag.fixed)
+    drag.reason = this.check(drag.edge, drag.replacing)
+    this._preview(drag.reason ? point : target.point, drag.reason)
+  }
+
+  _onPointerUp(event, cancelled = false) {
+    const { drag } = this
+    if (!drag || drag.pointerId !== event.pointerId) return
+    this.drag = undefined
+    attrs(this.parts.preview, { visibility: 'hidden' })
+    if (cancelled || !drag.edge || drag.reason) return
+    if (drag.replacing) this.reconnect(drag.replacing, drag.edge)
+    else this.connect(drag.edge)
+  }
+
+  // Show the edge being dragged out, and whether it could be made
+  _preview(to, reason) {
+    const prefix = `${this.options.className}-builder`
+    const { from } = this.drag
+    attrs(this.parts.preview, {
+      class: reason ? `${prefix}-preview ${prefix}-invalid` : `${prefix}-preview`,
+      stroke: reason ? '#ef4444' : '#3b82f6',
+      d: `M ${from.x} ${from.y} L ${to.x} ${to.y}`,
+      visibility: 'visible',
+    })
+  }
+
+  // Port the loose end of the dragged edge would attach to: the one
+  // under the pointer, or the closest on the node it's over
+  _target(hit, point) {
+    if (!hit?.nodeId || this.graph.isCluster(hit.nodeId)) return undefined
+    const side = this.drag.fixed.side == 'output' ? 'input' : 'output'
+    if (hit.side && hit.side != side) return undefined
+    const ports = portsOf(this.graph, hit.nodeId).filter(p => p.side == side && (!hit.side || p.port === hit.port))
+    let best
+    for (const p of ports)
+      if (!best || distance(p.point, point) < distance(best.point, point)) best = p
+    return best && { nodeId: hit.nodeId, port: best.port, point: best.point }
+  }
+
+  _onDragOver(event) {
+    if (this.carrying === undefined) return
+    const hit = this._hit(event.target)
+    if (this.carrying == 'delete' && !hit) return
+    // letting it be dropped here
+    event.preventDefault()
+  }
+
+  _onDrop(event) {
+    const item = this.carrying
+    this.carrying = undefined
+    if (item === undefined || !this.graph) return
+    event.preventDefault()
+    const hit = this._hit(event.target)
+    if (item == 'delete') {
+      const id = hit?.nodeId ?? hit?.edgeId
+      if (id !== undefined) this.remove([id])
+    } else {
+      this.addNode(item, hit?.nodeId)
+    }
+  }
+
+  // What an element is part of: a port handle or edge grip, or a node
+  // or edge drawn with its id as data-id
+  _hit(el) {
+    for (; el && el !== this.svg; el = el.parentNode) {
+      const nodeId = el.getAttribute?.('data-node')
+      if (nodeId != null) {
+        const port = el.getAttribute('data-port')
+        return { nodeId, side: el.getAttribute('data-side'), port: port ?? undefined }
+      }
+      const edgeId = el.getAttribute?.('data-edge')
+      if (edgeId != null) return { edgeId, end: el.getAttribute('data-end') }
+      const id = el.getAttribute?.('data-id')
+      if (id == null) continue
+      if (this.graph.hasNode(id)) return { nodeId: id }
+      if (this.graph.hasEdge(id)) return { edgeId: id }
+    }
+    return undefined
+  }
+}
+
+// Where edges attach to a node: its declared ports, or for a side
+// without any declared, the middle of the side facing that way
+function portsOf(graph, id) {
+  const node = graph.getNode(id)
+  const layout = graph.nodeLayout.get(id)
+  const ports = []
+  if (!layout) return ports
+  for (const [side, declared, anchors] of [
+    ['input', node.inputPorts, layout.inputs],
+    ['output', node.outputPorts, layout.outputs],
+  ]) {
+    if (declared) for (const port of declared) ports.push({ side, port, point: anchors[port] })
+    else ports.push({ side, port: undefined, point: face(graph.options.orientation, layout, side) })
+  }
+  return ports
+}
+
+// Middle of the side of a node that edges come in or go out of
+function face(orientation, { pos, dims }, side) {
+  const first = (side == 'input') == (orientation == 'TB' || orientation == 'LR')
+  if (orientation == 'TB' || orientation == 'BT')
+    return { x: pos.x + dims.w / 2, y: first ? pos.y : pos.y + dims.h }
+  return { x: first ? pos.x : pos.x + dims.w, y: pos.y + dims.h / 2 }
+}
+
+// An edge between two ends, each a node and maybe a port
+function link(source, target) {
+  const edge = { sourceId: source.nodeId, targetId: target.nodeId }
+  if (source.port !== undefined) edge.sourcePort = source.port
+  if (target.port !== undefined) edge.targetPort = target.port
+  return edge
+}
+
+// Whether a path leads from one node to another, leaving out an edge.
+// The graph caches reachability, so that's asked first.
+function reaches(graph, from, to, skip) {
+  if (from == to) return true
+  if (!graph.isReachable(from, to)) return false
+  if (skip === undefined) return true
+  const seen = new Set([from])
+  const queue = [from]
+  for (let i = 0; i < queue.length; i++)
+    for (const edge of graph.succEdges(queue[i])) {
+      if (seen.has(edge.targetId) || graph.edgeId(edge) == skip) continue
+      if (edge.targetId == to) return true
+      seen.add(edge.targetId)
+      queue.push(edge.targetId)
+    }
+  return false
+}
+
+// Point a distance along a route, or its end if it's shorter
+function along(points, length) {
+  for (let i = 1; i < points.length; i++) {
+    const step = distance(points[i - 1], points[i])
+    if (step >= length && step > 0) {
+      const t = length / step
+      return {
+        x: points[i - 1].x + (points[i].x - points[i - 1].x) * t,
+        y: points[i - 1].y + (points[i].y - points[i - 1].y) * t,
+      }
+    }
+    length -= step
+  }
+  return points[points.length - 1]
+}
+
+function distance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y)
+}
+
+// Graph coordinates of a pointer, through the transforms on the way
+// to the layer, such as a viewport's and the svg's viewBox
+function pointAt(layer, event) {
+  const m = layer.getScreenCTM?.()
+  if (!m) return { x: event.clientX, y: event.clientY }
+  const x = event.clientX - m.e
+  const y = event.clientY - m.f
+  const det = m.a * m.d - m.b * m.c
+  return { x: (m.d * x - m.c * y) / det, y: (m.a * y - m.b * x) / det }
+}
@@ -0,0 +1,213 @@
+import { GraphError, MissingNodeError } from './errors.js'
+
+// Collapsing part of a graph behind one placeholder node.
+//
+// A collapsed graph is an ordinary version of the graph, derived by
+// removing the hidden nodes and their edges, and adding summary edges
+// between the placeholder and the nodes outside that the hidden edges
+// reached, with the number of edges each one stands for as its data.
+// What was hidden is kept with the version, along with the version it
+// was hidden from; expanding rebuilds the graph from that version, so
+// hidden nodes come back where they were, and the rest keeps whatever
+// changed in the meantime.
+
+// summary edges made here, which count as the edges they stand for
+// when they're summarized in turn
+const summaryEdges = new WeakSet()
+
+// Hide the descendants of a node, or the contents of a cluster, behind it
+export function collapse(graph, id) {
+  if (!graph.hasNode(id)) throw new MissingNodeError(id)
+  if (graph.collapsed.has(id)) throw new GraphError(`Already collapsed: ${id}`)
+  const region = graph.isCluster(id) ? contentsOf(graph, id) : descendantsOf(graph, id)
+  if (region.size == 0) throw new GraphError(`Nothing to collapse: ${id}`)
+
+  const edges = new Map()
+  for (const nodeId of region) {
+    for (const edge of graph.predEdges(nodeId)) edges.set(graph.edgeId(edge), edge)
+    for (const edge of graph.succEdges(nodeId)) edges.set(graph.edgeId(edge), edge)
+  }
+  // edges the summaries would replace are hidden along with the rest
+  for (const summary of summarize(graph, id, region, edges.values())) {
+    const summaryId = graph.edgeId(summary)
+    if (graph.hasEdge(summaryId) && !edges.has(summaryId))
+      edges.set(summaryId, graph.getEdge(summaryId))
+  }
+  let summaries = summarize(graph, id, region, edges.values())
+  if (!graph.options.allowCycles) summaries = withoutCycles(graph, id, region, summaries)
+
+  const result = graph.withMutations(m => {
+    for (const nodeId of region) m.removeNode(nodeId)
+    for (const summary of summaries) {
+      if (graph.hasEdge(graph.edgeId(summary))) m.updateEdge(summary)
+      else m.addEdge(summary)
+    }
+  })
+  result.collapsed = graph.collapsed.set(id, {
+    nodes: [...region].map(nodeId => graph.getNode(nodeId)),
+    edges: [...edges.values()],
+    summaries,
+    before: graph,
+  })
+  return result
+}
+
+// Show what collapsing a node hid, where it was before
+export function expand(graph, id) {
+  const record = graph.collapsed.get(id)
+  if (!record) throw new GraphError(`Not collapsed: ${id}`)
+  if (!graph.hasNode(id)) throw new GraphError(`Can't expand hidden node: ${id}`)
+  const { before } = record
+  let collapsed = graph.collapsed.remove(id)
+
+  // the graph as it is, with the hidden nodes and edges in place of
+  // the summaries
+  const nodes = new Map(graph.nodeMap)
+  for (const node of record.nodes) nodes.set(node.id, node)
+  const summaryIds = new Set(record.summaries.map(edge => graph.edgeId(edge)))
+  const edges = new Map(graph.edgeMap)
+  for (const summaryId of summaryIds) edges.delete(summaryId)
+  for (const edge of record.edges) edges.set(graph.edgeId(edge), edge)
+
+  // hidden edges can lead into what was collapsed since, and belong
+  // to that instead; the summaries there are redone
+  for (const [otherId, other] of collapsed) {
+    const region = new Set(other.nodes.map(node => node.id))
+    const moved = [...record.edges].filter(edge =>
+      nodes.has(edge.sourceId) != nodes.has(edge.targetId) &&
+      (region.has(edge.sourceId) || region.has(edge.targetId)))
+    const stale = other.edges.filter(edge => summaryIds.has(graph.edgeId(edge)))
+    if (moved.length == 0 && stale.length == 0) continue
+    const otherEdges = new Map()
+    for (const edge of other.edges)
+      if (!summaryIds.has(graph.edgeId(edge))) otherEdges.set(graph.edgeId(edge), edge)
+    for (const edge of moved) {
+      otherEdges.set(graph.edgeId(edge), edge)
+      edges.delete(graph.edgeId(edge))
+    }
+    for (const edge of other.summaries)
+      edges.delete(graph.edgeId(edge))
+    let summaries = summarize(graph, otherId, region, otherEdges.values())
+    for (const summary of summaries) {
+      const summaryId = graph.edgeId(summary)
+      if (edges.has(summaryId) && !otherEdges.has(summaryId))
+        otherEdges.set(summaryId, edges.get(summaryId))
+    }
+    summaries = summarize(graph, otherId, region, otherEdges.values())
+    for (const summary of summaries) edges.set(graph.edgeId(summary), summary)
+    collapsed = collapsed.set(otherId, { ...other, edges: [...otherEdges.values()], summaries })
+  }
+
+  // edges whose ends are gone went with them
+  for (const [edgeId, edge] of edges)
+    if (!nodes.has(edge.sourceId) || !nodes.has(edge.targetId)) edges.delete(edgeId)
+
+  let result = before.withMutations(m => {
+    for (const [nodeId, node] of before.nodeMap) {
+      if (!nodes.has(nodeId)) m.removeNode(nodeId)
+      else if (nodes.get(nodeId) !== node) m.updateNode(nodes.get(nodeId))
+    }
+    for (const node of nodes.values())
+      if (!before.hasNode(node.id)) m.addNode(node)
+    for (const [edgeId, edge] of before.edgeMap) {
+      // edges of removed nodes go with them
+      if (!nodes.has(edge.sourceId) || !nodes.has(edge.targetId)) continue
+      if (!edges.has(edgeId)) m.removeEdge(edge)
+      else if (edges.get(edgeId) !== edge) m.updateEdge(edges.get(edgeId))
+    }
+    for (const [edgeId, edge] of edges)
+      if (!before.hasEdge(edgeId)) m.addEdge(edge)
+  })
+  if (Object.keys(graph.options).some(key => graph.options[key] !== result.options[key]))
+    result = new result.constructor({ prior: result, options: graph.options })
+  result.collapsed = collapsed
+  return result
+}
+
+// Everything nested in a cluster
+function contentsOf(graph, id) {
+  const region = new Set()
+  const visit = (parentId) => {
+    for (const childId of graph.childNodes(parentId)) {
+      region.add(childId)
+      visit(childId)
+    }
+  }
+  visit(id)
+  return region
+}
+
+// Everything reachable from a node, and the clusters left with nothing
+// else in them
+function descendantsOf(graph, id) {
+  const region = new Set()
+  const stack = [id]
+  while (stack.length > 0)
+    for (const nodeId of graph.succNodes(stack.pop()))
+      if (nodeId != id && !region.has(nodeId)) {
+        region.add(nodeId)
+        stack.push(nodeId)
+      }
+  for (const nodeId of region)
+    for (let parentId = graph.getNode(nodeId).parentId; parentId !== undefined;
+      parentId = graph.getNode(parentId).parentId) {
+      if (region.has(parentId) || !graph.childNodes(parentId).every(childId => region.has(childId)))
+        break
+      region.add(parentId)
+    }
+  return region
+}
+
+// Summaries that don't close a cycle. Edges can leave a cluster for a
+// node outside and come back from it, or from something it leads to;
+// the summaries for those would loop through the placeholder. The
+// first of them is kept and the rest left out, and the edges they'd
+// stand for stay hidden until the region is expanded.
+function withoutCycles(graph, id, region, summaries) {
+  // summaries kept so far, by source; those replacing an edge are
+  // already in the graph
+  const added = new Map()
+  const next = (nodeId) => [
+    ...[...graph.succNodes(nodeId)].filter(other => !region.has(other)),
+    ...(added.get(nodeId) || []),
+  ]
+  const leads = (from, to) => {
+    const seen = new Set([from])
+    const stack = [from]
+    while (stack.length > 0)
+      for (const other of next(stack.pop())) {
+        if (other == to) return true
+        if (!seen.has(other)) {
+          seen.add(other)
+          stack.push(other)
+        }
+      }
+    return false
+  }
+  return summaries.filter(summary => {
+    if (graph.hasEdge(graph.edgeId(summary))) return true
+    if (leads(summary.targetId, summary.sourceId)) return false
+    added.set(summary.sourceId, [...(added.get(summary.sourceId) || []), summary.targetId])
+    return true
+  })
+}
+
+// One edge between the placeholder and each node and port outside
+// that edges crossing into or out of the region reach, counting them
+function summarize(graph, id, region, edges) {
+  const summaries = new Map()
+  const inside = (nodeId) => nodeId == id || region.has(nodeId)
+  for (const edge of edges) {
+    if (inside(edge.sourceId) == inside(edge.targetId)) continue
+    const summary = inside(edge.sourceId)
+      ? { sourceId: id, targetId: edge.targetId }
+      : { sourceId: edge.sourceId, targetId: id }
+    if (!inside(edge.sourceId) && edge.sourcePort !== undefined) summary.sourcePort = edge.sourcePort
+    if (!inside(edge.targetId) && edge.targetPort !== undefined) summary.targetPort = edge.targetPort
+    const summaryId = graph.edgeId(summary)
+    if (!summaries.has(summaryId)) summaries.set(summaryId, { ...summary, data: { count: 0 } })
+    summaries.get(summaryId).data.count += summaryEdges.has(edge) ? edge.data.count : 1
+  }
+  for (const summary of summaries.values()) summaryEdges.add(summary)
+  return [...summaries.values()]
+}
@@ -0,0 +1,124 @@
+// Differences between two versions of a graph.
+//
+// Versions share most of their structure, so rather than comparing
+// everything, the diff walks back from both versions to their nearest
+// common ancestor and only looks at what the versions in between
+// touched. Versions that don't share an ancestor are compared in full,
+// which is still cheap where their maps are shared.
+export function diff(a, b) {
+  const result = {
+    addedNodes: [],
+    removedNodes: [],
+    updatedNodes: [],
+    addedEdges: [],
+    removedEdges: [],
+    updatedEdges: [],
+    relayeredNodes: [],
+    reorderedNodes: [],
+    movedNodes: [],
+  }
+  if (a === b) return result
+
+  const versions = versionsBetween(a, b)
+  const nodeIds = new Set()
+  const edgeIds = new Set()
+  const laidOut = new Set()
+  if (versions) {
+    for (const version of versions) {
+      const { changes } = version
+      for (const node of changes.addedNodes) nodeIds.add(node.id)
+      for (const node of changes.removedNodes) nodeIds.add(node.id)
+      for (const node of changes.updatedNodes) nodeIds.add(node.id)
+      for (const edge of changes.addedEdges) edgeIds.add(version.edgeId(edge))
+      for (const edge of changes.removedEdges) edgeIds.add(version.edgeId(edge))
+      for (const edge of changes.updatedEdges) edgeIds.add(version.edgeId(edge))
+      for (const id of version.laidOutNodes) laidOut.add(id)
+    }
+  } else {
+    keysOf(a.nodeMap, b.nodeMap, nodeIds)
+    keysOf(a.edgeMap, b.edgeMap, edgeIds)
+    keysOf(a.nodeLayout, b.nodeLayout, laidOut)
+  }
+
+  compare(a.nodeMap, b.nodeMap, nodeIds, result.addedNodes, result.removedNodes, result.updatedNodes)
+  compare(a.edgeMap, b.edgeMap, edgeIds, result.addedEdges, result.removedEdges, result.updatedEdges)
+
+  // layers that weren't rewritten hold the same nodes in the same order
+  // at the same index, so only the nodes of rewritten ones can move
+  const aOrder = orderIndex(a)
+  const bOrder = orderIndex(b)
+  for (const [layerId, layer] of b.layers) {
+    if (a.layers.get(layerId) === layer) continue
+    for (const id of layer.nodes) {
+      // nodes that were clusters weren't in a layer
+      if (!a.layerMap.has(id)) continue
+      if (a.layerOf(id) != layer.index)
+        result.relayeredNodes.push(id)
+      else if (aOrder(id) != bOrder(id))
+        result.reorderedNodes.push(id)
+    }
+  }
+
+  for (const id of laidOut) {
+    const before = a.nodeLayout.get(id)
+    const after = b.nodeLayout.get(id)
+    if (!before || !after || before === after) continue
+    if (before.pos.x != after.pos.x || before.pos.y != after.pos.y ||
+      before.dims.w != after.dims.w || before.dims.h != after.dims.h)
+      result.movedNodes.push(id)
+  }
+  return result
+}
+
+// Versions after the nearest common ancestor of a and b, on either
+// side, or undefined if they don't have one
+function versionsBetween(a, b) {
+  const ancestors = new Set()
+  for (let version = a; version; version = version.prior)
+    ancestors.add(version)
+  const versions = []
+  let common = b
+  while (common && !ancestors.has(common)) {
+    versions.push(common)
+    common = common.prior
+  }
+  if (!common) return undefined
+  for (let version = a; version !== common; version = version.prior)
+    versions.push(version)
+  return versions
+}
+
+// Add the keys of two maps to a set, skipping the work if the maps
+// are shared
+function keysOf(a, b, keys) {
+  if (a === b) return
+  for (const key of a.keys()) keys.add(key)
+  for (const key of b.keys()) keys.add(key)
+}
+
+function compare(a, b, ids, added, removed, updated) {
+  if (a === b) return
+  for (const id of ids) {
+    const before = a.get(id)
+    const after = b.get(id)
+    if (before === after) continue
+    if (!before) added.push(after)
+    else if (!after) removed.push(before)
+    else updated.push(after)
+  }
+}
+
+// Position of a node among the real nodes of its layer, computed a
+// layer at a time as needed
+function orderIndex(graph) {
+  const index = new Map()
+  return (id) => {
+    if (!index.has(id)) {
+      const layer = graph.layers.get(graph.layerMap.get(id))
+      let i = 0
+      for (const other of layer.sorted)
+        if (layer.nodes.has(other)) index.set(other, i++)
+    }
+    return index.get(id)
+  }
+}
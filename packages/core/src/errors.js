@@ -0,0 +1,67 @@
+// Errors for changes a graph can't take, typed so callers can tell
+// them apart. Each names what it's about.
+
+export class GraphError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = this.constructor.name
+  }
+}
+
+// A node that isn't in the graph, named by an edge, an update or as
+// a parent
+export class MissingNodeError extends GraphError {
+  constructor(id, message = `Node not found: ${id}`) {
+    super(message)
+    this.id = id
+  }
+}
+
+export class MissingEdgeError extends GraphError {
+  constructor(id) {
+    super(`Edge not found: ${id}`)
+    this.id = id
+  }
+}
+
+export class DuplicateNodeError extends GraphError {
+  constructor(id) {
+    super(`Duplicate node: ${id}`)
+    this.id = id
+  }
+}
+
+// Edges collide when they join the same ports of the same nodes
+export class DuplicateEdgeError extends GraphError {
+  constructor(id) {
+    super(`Duplicate edge: ${id}`)
+    this.id = id
+  }
+}
+
+export class UnknownPortError extends GraphError {
+  constructor(id, port) {
+    super(`Unknown port: ${id}.${port}`)
+    this.id = id
+    this.port = port
+  }
+}
+
+// cycle holds the nodes around the cycle, starting and ending with
+// the same one
+export class CycleError extends GraphError {
+  constructor(cycle) {
+    super(`Cycle detected: ${cycle.join(' → ')}`)
+    this.cycle = cycle
+  }
+}
+
+// Every problem with a changeset, when the collectErrors option asks
+// for them all at once
+export class ValidationError extends GraphError {
+  constructor(errors) {
+    super(`${errors.length} ${errors.length == 1 ? 'problem' : 'problems'} with changes: ` +
+      errors.map(error => error.message).join('; '))
+    this.errors = errors
+  }
+}
@@ -0,0 +1,83 @@
+import { Graph, Mutator } from '../graph.js'
+
+// Add what a parser read to a changeset. Nodes keep the order they
+// first appeared in. Formats that only name ports on edges don't
+// declare them, so nodes get the ports their edges use, in order of
+// use, unless the file declared them. Nodes already in the graph the
+// changes are for are updated instead, if the file says anything more
+// about them than their id.
+export function addParsed({ nodes, edges }, mutator = new Mutator()) {
+  const ports = new Map()
+  const notePort = (id, side, port) => {
+    if (port === undefined || nodes.get(id)?.[side]) return
+    if (!ports.has(id)) ports.set(id, { inputPorts: [], outputPorts: [] })
+    const list = ports.get(id)[side]
+    if (!list.includes(port)) list.push(port)
+  }
+  for (const edge of edges) {
+    notePort(edge.sourceId, 'outputPorts', edge.sourcePort)
+    notePort(edge.targetId, 'inputPorts', edge.targetPort)
+  }
+  for (const node of nodes.values()) {
+    const used = ports.get(node.id)
+    const result = { ...node }
+    if (used?.inputPorts.length) result.inputPorts = used.inputPorts
+    if (used?.outputPorts.length) result.outputPorts = used.outputPorts
+    const existing = mutator.graph?.getNode(node.id)
+    if (!existing)
+      mutator.addNode(result)
+    else if (Object.keys(result).length > 1)
+      mutator.updateNode({ ...existing, ...result })
+  }
+  // edges joining the same ports of the same nodes collide, so the
+  // last one read wins
+  const unique = new Map()
+  for (const edge of edges)
+    unique.set(JSON.stringify([edge.sourceId, edge.sourcePort, edge.targetId, edge.targetPort]), edge)
+  for (const edge of unique.values()) {
+    if (mutator.graph?.hasEdge(mutator.graph.edgeId(edge)))
+      mutator.updateEdge(edge)
+    else
+      mutator.addEdge(edge)
+  }
+  return mutator
+}
+
+// A new graph holding what a parser read, in the orientation the file
+// asked for unless the options say otherwise
+export function readGraph(parsed, options) {
+  const { orientation } = parsed
+  return new Graph({ options: { ...(orientation && { orientation }), ...options } })
+    .withMutations(mutator => addParsed(parsed, mutator))
+}
+
+// Node in the order it was first seen, creating it if needed
+export function nodeFor(nodes, id) {
+  if (!nodes.has(id)) nodes.set(id, { id })
+  return nodes.get(id)
+}
+
+// Attributes are kept as the data of nodes and edges; plain values
+// written out are taken as labels
+export function attributesOf(data) {
+  if (data === undefined || data === null) return {}
+  if (typeof data == 'object' && !Array.isArray(data)) return data
+  return { label: String(data) }
+}
+
+// Set attributes as data, leaving data out if there are none
+export function withData(item, attrs) {
+  if (Object.keys(attrs).length == 0) return item
+  return { ...item, data: { ...attributesOf(item.data), ...attrs } }
+}
+
+// Nodes of a graph by the cluster they're in, top-level ones under
+// undefined, each in graph order
+export function nodesByParent(graph) {
+  const result = new Map()
+  for (const node of graph.nodes()) {
+    if (!result.has(node.parentId)) result.set(node.parentId, [])
+    result.get(node.parentId).push(node)
+  }
+  return result
+}
@@ -0,0 +1,393 @@
+import { addParsed, readGraph, nodeFor, attributesOf, withData, nodesByParent } from './common.js'
+
+// Graphviz DOT.
+//
+// Nodes and edges keep their attributes as data; `node:port` on edges
+// becomes sourcePort/targetPort, and rankdir the orientation.
+// Subgraphs are read for the nodes and edges in them, and defaults
+// set with `node [...]` and `edge [...]` apply as in Graphviz. A
+// `cluster_<id>` subgraph is a cluster node with the attributes it
+// sets as data, holding the nodes first put in a cluster there.
+//
+// DOT only has strings, so what it can't hold is written in extra
+// attributes Graphviz ignores: `steadyflow:json` lists the attributes
+// holding other values as JSON, and `steadyflow:inputPorts` and
+// `steadyflow:outputPorts` the ports a node declares when its edges
+// don't already give them.
+
+// Add the nodes and edges of a DOT graph to a changeset
+export function parseDot(text, mutator) {
+  return addParsed(readDotText(text), mutator)
+}
+
+// Read a DOT graph into a new graph
+export function readDot(text, options) {
+  return readGraph(readDotText(text), options)
+}
+
+export function writeDot(graph) {
+  const lines = ['digraph {']
+  if (graph.options.orientation != 'TB')
+    lines.push(`  rankdir=${graph.options.orientation}`)
+  const byParent = nodesByParent(graph)
+  const used = portsUsed(graph)
+  const writeNode = (node, indent) => {
+    const attrs = { ...attributesFor(node.data), ...portAttributes(node, used.get(node.id)) }
+    if (!byParent.has(node.id)) {
+      lines.push(`${indent}${quote(node.id)}${attrList(attrs)}`)
+      return
+    }
+    lines.push(`${indent}subgraph ${quote(`cluster_${node.id}`)} {`)
+    for (const [key, value] of Object.entries(attrs))
+      lines.push(`${indent}  ${quote(key)}=${quote(value)}`)
+    for (const child of byParent.get(node.id))
+      writeNode(child, `${indent}  `)
+    lines.push(`${indent}}`)
+  }
+  for (const node of byParent.get(undefined) || [])
+    writeNode(node, '  ')
+  for (const edge of graph.edges()) {
+    let source = quote(edge.sourceId)
+    if (edge.sourcePort !== undefined) source += `:${quote(edge.sourcePort)}`
+    let target = quote(edge.targetId)
+    if (edge.targetPort !== undefined) target += `:${quote(edge.targetPort)}`
+    lines.push(`  ${source} -> ${target}${attrList(attributesFor(edge.data))}`)
+  }
+  lines.push('}')
+  return lines.join('\n') + '\n'
+}
+
+const idPattern = /^([A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*|-?(\.\d+|\d+(\.\d*)?))/
+const plainId = new RegExp(idPattern.source + '$')
+// the tokenizer matches in place, with lastIndex, rather than on a copy
+// of the rest of the text
+const idToken = new RegExp(idPattern.source.slice(1), 'y')
+const joinToken = /\s*\+\s*"/y
+const keywords = new Set(['node', 'edge', 'graph', 'digraph', 'subgraph', 'strict'])
+const orientations = new Set(['TB', 'LR', 'BT', 'RL'])
+const jsonKey = 'steadyflow:json'
+const portKeys = { inputPorts: 'steadyflow:inputPorts', outputPorts: 'steadyflow:outputPorts' }
+
+function quote(id) {
+  id = String(id)
+  if (plainId.test(id) && !keywords.has(id.toLowerCase())) return id
+  return `"${id.replace(/[\\"]/g, '\\$&')}"`
+}
+
+function attrList(attrs) {
+  const entries = Object.entries(attrs)
+  if (entries.length == 0) return ''
+  return ` [${entries.map(([key, value]) => `${quote(key)}=${quote(value)}`).join(', ')}]`
+}
+
+// Data as DOT attributes, with the ones that aren't strings as JSON
+function attributesFor(data) {
+  const attrs = {}
+  const json = []
+  for (const [key, value] of Object.entries(attributesOf(data))) {
+    if (value === undefined) continue
+    if (typeof value == 'string') {
+      attrs[key] = value
+    } else {
+      attrs[key] = JSON.stringify(value)
+      json.push(key)
+    }
+  }
+  if (json.length > 0) attrs[jsonKey] = JSON.stringify(json)
+  return attrs
+}
+
+// Ports of each node in the order its edges use them, as they're
+// read back when a node doesn't declare them
+function portsUsed(graph) {
+  const result = new Map()
+  const note = (id, side, port) => {
+    if (port === undefined) return
+    if (!result.has(id)) result.set(id, { inputPorts: [], outputPorts: [] })
+    const list = result.get(id)[side]
+    if (!list.includes(port)) list.push(port)
+  }
+  for (const edge of graph.edges()) {
+    note(edge.sourceId, 'outputPorts', edge.sourcePort)
+    note(edge.targetId, 'inputPorts', edge.targetPort)
+  }
+  return result
+}
+
+// Declared ports that wouldn't be read back from the edges alone
+function portAttributes(node, used) {
+  const attrs = {}
+  for (const side of ['inputPorts', 'outputPorts']) {
+    const ports = node[side] || []
+    const implied = used?.[side] || []
+    if (ports.length > 0 && (ports.length != implied.length || ports.some((port, i) => port !== implied[i])))
+      attrs[portKeys[side]] = JSON.stringify(ports)
+  }
+  return attrs
+}
+
+// Undo what writeDot does for values and ports DOT can't hold
+function decoded(item) {
+  const data = item.data
+  if (!data || ![jsonKey, ...Object.values(portKeys)].some(key => key in data)) return item
+  const parse = (key) => {
+    try {
+      return JSON.parse(data[key])
+    } catch {
+      throw new Error(`Expected JSON for ${key} in DOT`)
+    }
+  }
+  const result = { ...item, data: { ...data } }
+  if (jsonKey in data) {
+    for (const key of parse(jsonKey))
+      if (key in data) result.data[key] = parse(key)
+    delete result.data[jsonKey]
+  }
+  for (const [side, key] of Object.entries(portKeys)) {
+    if (!(key in data)) continue
+    const ports = parse(key)
+    if (ports.length > 0) result[side] = ports
+    delete result.data[key]
+  }
+  if (Object.keys(result.data).length == 0) delete result.data
+  return result
+}
+
+function readDotText(text) {
+  const tokens = tokenize(text)
+  let index = 0
+  const peek = () => tokens[index]
+  const next = () => tokens[index++]
+  const is = (value) => peek()?.type == 'punct' && peek().value == value
+  const keyword = (word) => peek()?.type == 'id' && !peek().quoted && peek().value.toLowerCase() == word
+  const expect = (value) => {
+    const token = next()
+    if (token?.type != 'punct' || token.value != value)
+      throw new Error(`Expected '${value}' in DOT at line ${token?.line ?? 'end'}`)
+  }
+  const id = () => {
+    const token = next()
+    if (token?.type != 'id')
+      throw new Error(`Expected an id in DOT at line ${token?.line ?? 'end'}`)
+    return token.value
+  }
+
+  const nodes = new Map()
+  const edges = []
+  let orientation
+
+  const attrs = () => {
+    const result = {}
+    while (is('[')) {
+      next()
+      while (!is(']')) {
+        const key = id()
+        expect('=')
+        result[key] = id()
+        if (is(',') || is(';')) next()
+      }
+      next()
+    }
+    return result
+  }
+
+  const addNode = (nodeId, scope, extra = {}) => {
+    const isNew = !nodes.has(nodeId)
+    const node = nodeFor(nodes, nodeId)
+    nodes.set(nodeId, inCluster(withData(node, isNew ? { ...scope.node, ...extra } : extra), scope))
+  }
+
+  // a node goes in the first cluster it's named in
+  const inCluster = (node, scope) => {
+    if (scope.cluster === undefined || node.parentId !== undefined || node.id == scope.cluster) return node
+    return { ...node, parentId: scope.cluster }
+  }
+
+  // statements until the closing brace; returns the nodes they named
+  const stmts = (scope) => {
+    const named = []
+    while (!is('}')) {
+      if (!peek()) throw new Error('Unexpected end of DOT')
+      if (is(';')) {
+        next()
+        continue
+      }
+      if (keyword('graph') || keyword('node') || keyword('edge')) {
+        const kind = next().value.toLowerCase()
+        const values = attrs()
+        if (kind == 'graph') graphAttrs(values, scope)
+        else scope[kind] = { ...scope[kind], ...values }
+        continue
+      }
+      if (tokens[index + 1]?.type == 'punct' && tokens[index + 1].value == '=' && peek().type == 'id') {
+        const key = id()
+        next()
+        graphAttrs({ [key]: id() }, scope)
+        continue
+      }
+      named.push(...statement(scope))
+    }
+    return named
+  }
+
+  // attributes of a cluster are its data
+  const graphAttrs = (values, scope) => {
+    if (scope.cluster !== undefined) {
+      nodes.set(scope.cluster, withData(nodes.get(scope.cluster), values))
+      return
+    }
+    const dir = values.rankdir?.toUpperCase()
+    if (orientations.has(dir)) orientation = dir
+  }
+
+  // a node, or a subgraph, or an edge chain through either
+  const operand = (scope) => {
+    if (keyword('subgraph') || is('{')) {
+      let { cluster } = scope
+      if (keyword('subgraph')) {
+        next()
+        const name = peek()?.type == 'id' ? next().value : ''
+        if (name.startsWith('cluster')) {
+          cluster = name.startsWith('cluster_') ? name.slice('cluster_'.length) : name
+          nodes.set(cluster, inCluster(nodeFor(nodes, cluster), scope))
+        }
+      }
+      expect('{')
+      const named = stmts({ node: { ...scope.node }, edge: { ...scope.edge }, cluster })
+      expect('}')
+      return named.map(nodeId => ({ id: nodeId }))
+    }
+    const nodeId = id()
+    let port
+    if (is(':')) {
+      next()
+      port = id()
+      if (is(':')) {
+        next()
+        port += `:${id()}`
+      }
+    }
+    return [{ id: nodeId, port }]
+  }
+
+  const statement = (scope) => {
+    const chain = [operand(scope)]
+    while (is('->') || is('--')) {
+      next()
+      chain.push(operand(scope))
+    }
+    const values = attrs()
+    const named = new Set()
+    if (chain.length == 1) {
+      for (const { id: nodeId } of chain[0]) {
+        addNode(nodeId, scope, values)
+        named.add(nodeId)
+      }
+      return [...named]
+    }
+    for (const group of chain)
+      for (const { id: nodeId } of group) {
+        addNode(nodeId, scope)
+        named.add(nodeId)
+      }
+    for (let i = 0; i < chain.length - 1; i++)
+      for (const source of chain[i])
+        for (const target of chain[i + 1]) {
+          const edge = { sourceId: source.id, targetId: target.id }
+          if (source.port !== undefined) edge.sourcePort = source.port
+          if (target.port !== undefined) edge.targetPort = target.port
+          edges.push(withData(edge, { ...scope.edge, ...values }))
+        }
+    return [...named]
+  }
+
+  if (keyword('strict')) next()
+  if (!keyword('graph') && !keyword('digraph'))
+    throw new Error('Expected a DOT graph or digraph')
+  next()
+  if (peek()?.type == 'id') next()
+  expect('{')
+  stmts({ node: {}, edge: {} })
+  expect('}')
+  for (const [nodeId, node] of nodes) nodes.set(nodeId, decoded(node))
+  return { nodes, edges: edges.map(decoded), orientation }
+}
+
+// Split DOT into ids and punctuation, dropping comments. Quoted ids
+// keep their escapes except for quotes, and may be joined with '+'.
+function tokenize(text) {
+  const tokens = []
+  let i = 0
+  let line = 1
+  while (i < text.length) {
+    const c = text[i]
+    if (c == '\n') {
+      line++
+      i++
+    } else if (/\s/.test(c)) {
+      i++
+    } else if ((c == '/' && text[i + 1] == '/') || (c == '#' && (i == 0 || text[i - 1] == '\n'))) {
+      while (i < text.length && text[i] != '\n') i++
+    } else if (c == '/' && text[i + 1] == '*') {
+      const end = text.indexOf('*/', i + 2)
+      if (end < 0) throw new Error(`Unterminated comment in DOT at line ${line}`)
+      line += text.slice(i, end).split('\n').length - 1
+      i = end + 2
+    } else if (c == '-' && (text[i + 1] == '>' || text[i + 1] == '-')) {
+      tokens.push({ type: 'punct', value: text.slice(i, i + 2), line })
+      i += 2
+    } else if ('{}[];,=:'.includes(c)) {
+      tokens.push({ type: 'punct', value: c, line })
+      i++
+    } else if (c == '"') {
+      let value = ''
+      i++
+      while (i < text.length && text[i] != '"') {
+        if (text[i] == '\\' && (text[i + 1] == '"' || text[i + 1] == '\\')) {
+          value += text[i + 1]
+          i += 2
+        } else if (text[i] == '\\' && text[i + 1] == '\n') {
+          line++
+          i += 2
+        } else {
+          if (text[i] == '\n') line++
+          value += text[i++]
+        }
+      }
+      if (i >= text.length) throw new Error(`Unterminated string in DOT at line ${line}`)
+      i++
+      const last = tokens[tokens.length - 1]
+      if (last?.concat) {
+        last.value += value
+        delete last.concat
+      } else {
+        tokens.push({ type: 'id', value, quoted: true, line })
+      }
+      // a '+' after a quoted id joins it with the next one
+      joinToken.lastIndex = i
+      const rest = joinToken.exec(text)
+      if (rest) {
+        tokens[tokens.length - 1].concat = true
+        i += rest[0].length - 1
+      }
+    } else if (c == '<') {
+      let depth = 0
+      const start = i
+      do {
+        if (text[i] == '<') depth++
+        else if (text[i] == '>') depth--
+        else if (text[i] == '\n') line++
+        i++
+      } while (depth > 0 && i < text.length)
+      if (depth > 0) throw new Error(`Unterminated HTML string in DOT at line ${line}`)
+      tokens.push({ type: 'id', value: text.slice(start + 1, i - 1), quoted: true, line })
+    } else {
+      idToken.lastIndex = i
+      const match = idToken.exec(text)
+      if (!match) throw new Error(`Unexpected '${c}' in DOT at line ${line}`)
+      tokens.push({ type: 'id', value: match[0], line })
+      i += match[0].length
+    }
+  }
+  return tokens
+}
@@ -0,0 +1,289 @@
+import { addParsed, readGraph, nodeFor, attributesOf, withData, nodesByParent } from './common.js'
+
+// GraphML.
+//
+// Data declared with <key> elements becomes the data of nodes and
+// edges, keyed by attr.name and typed by attr.type. Values GraphML has
+// no type for, and keys holding more than one type, are written as
+// JSON strings marked with steadyflow.type="json", the way other tools
+// mark their own types. Ports declared on a node become its input or
+// output ports: the side is kept in a `side` data item when written
+// here, and otherwise taken from how edges use the port. A node with a
+// graph inside is a cluster holding its nodes. Orientation is kept as
+// graph data.
+
+// Add the nodes and edges of a GraphML document to a changeset
+export function parseGraphML(text, mutator) {
+  return addParsed(readGraphMLText(text), mutator)
+}
+
+// Read a GraphML document into a new graph
+export function readGraphML(text, options) {
+  return readGraph(readGraphMLText(text), options)
+}
+
+export function writeGraphML(graph) {
+  const nodeKeys = keysFor(graph.nodes(), 'node', 'n')
+  const edgeKeys = keysFor(graph.edges(), 'edge', 'e')
+  const hasPorts = graph.nodes().some(node => node.inputPorts || node.outputPorts)
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+  ]
+  if (graph.options.orientation != 'TB')
+    lines.push('  <key id="orientation" for="graph" attr.name="orientation" attr.type="string"/>')
+  if (hasPorts)
+    lines.push('  <key id="side" for="port" attr.name="side" attr.type="string"/>')
+  for (const key of [...nodeKeys.values(), ...edgeKeys.values()]) {
+    const type = key.type == 'json' ? 'string' : key.type
+    const mark = key.type == 'json' ? ' steadyflow.type="json"' : ''
+    lines.push(`  <key id="${key.id}" for="${key.for}" attr.name="${escape(key.name)}" attr.type="${type}"${mark}/>`)
+  }
+  lines.push('  <graph edgedefault="directed">')
+  if (graph.options.orientation != 'TB')
+    lines.push(`    <data key="orientation">${graph.options.orientation}</data>`)
+
+  const byParent = nodesByParent(graph)
+  const nodeLines = (node) => {
+    const children = [
+      ...dataLines(node.data, nodeKeys),
+      ...(node.inputPorts || []).map(port => portLine(port, 'in')),
+      ...(node.outputPorts || []).map(port => portLine(port, 'out')),
+    ]
+    if (byParent.has(node.id))
+      children.push(
+        `<graph id="${escape(node.id)}:" edgedefault="directed">`,
+        ...byParent.get(node.id).flatMap(nodeLines).map(line => `  ${line}`),
+        '</graph>',
+      )
+    return element('node', { id: node.id }, children)
+  }
+  for (const node of byParent.get(undefined) || [])
+    lines.push(...nodeLines(node).map(line => `    ${line}`))
+  for (const edge of graph.edges()) {
+    const attrs = { source: edge.sourceId, target: edge.targetId }
+    if (edge.sourcePort !== undefined) attrs.sourceport = edge.sourcePort
+    if (edge.targetPort !== undefined) attrs.targetport = edge.targetPort
+    lines.push(...element('edge', attrs, dataLines(edge.data, edgeKeys)).map(line => `    ${line}`))
+  }
+  lines.push('  </graph>', '</graphml>')
+  return lines.join('\n') + '\n'
+}
+
+// One key per attribute name, typed by the values it holds
+function keysFor(items, kind, prefix) {
+  const keys = new Map()
+  for (const item of items)
+    for (const [name, value] of Object.entries(attributesOf(item.data))) {
+      if (value === undefined) continue
+      const type = typeof value == 'number' ? 'double'
+        : typeof value == 'boolean' ? 'boolean'
+          : typeof value == 'string' ? 'string' : 'json'
+      const key = keys.get(name)
+      if (!key)
+        keys.set(name, { id: `${prefix}${keys.size}`, for: kind, name, type })
+      else if (key.type != type)
+        key.type = 'json'
+    }
+  return keys
+}
+
+function dataLines(data, keys) {
+  return Object.entries(attributesOf(data))
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => {
+      const key = keys.get(name)
+      return `<data key="${key.id}">${escape(key.type == 'json' ? JSON.stringify(value) : value)}</data>`
+    })
+}
+
+function portLine(port, side) {
+  return `<port name="${escape(port)}"><data key="side">${side}</data></port>`
+}
+
+function element(name, attrs, children) {
+  const open = `<${name} ${Object.entries(attrs)
+    .map(([key, value]) => `${key}="${escape(value)}"`).join(' ')}`
+  if (children.length == 0) return [`${open}/>`]
+  return [`${open}>`, ...children.map(child => `  ${child}`), `</${name}>`]
+}
+
+function escape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function readGraphMLText(text) {
+  const root = parseXml(text)
+  if (root.name != 'graphml') throw new Error('Expected a GraphML document')
+  const keys = new Map()
+  for (const key of children(root, 'key')) {
+    const def = children(key, 'default')[0]
+    keys.set(key.attrs.id, {
+      name: key.attrs['attr.name'] ?? key.attrs.id,
+      type: key.attrs['steadyflow.type'] == 'json' ? 'json' : key.attrs['attr.type'] ?? 'string',
+      for: key.attrs.for ?? 'all',
+      default: def && textOf(def),
+    })
+  }
+  const graph = children(root, 'graph')[0]
+  if (!graph) throw new Error('Expected a graph in GraphML')
+
+  // data of an element, with the defaults of keys for its kind
+  const dataOf = (element, kind) => {
+    const data = {}
+    for (const key of keys.values())
+      if (key.default !== undefined && (key.for == kind || key.for == 'all'))
+        data[key.name] = typed(key.default, key.type)
+    for (const item of children(element, 'data')) {
+      const key = keys.get(item.attrs.key)
+      data[key?.name ?? item.attrs.key] = typed(textOf(item), key?.type)
+    }
+    return data
+  }
+
+  const nodes = new Map()
+  const edges = []
+  let { orientation } = dataOf(graph, 'graph')
+  if (!['TB', 'LR', 'BT', 'RL'].includes(orientation)) orientation = undefined
+
+  const readNode = (element, parentId) => {
+    const id = element.attrs.id
+    let node = withData(nodeFor(nodes, id), dataOf(element, 'node'))
+    if (parentId !== undefined) node = { ...node, parentId }
+    const ports = children(element, 'port')
+    if (ports.length > 0) {
+      const sides = ports.map(port => [port.attrs.name, dataOf(port, 'port').side])
+      // ports without a side are placed by how edges use them
+      if (sides.every(([, side]) => side == 'in' || side == 'out')) {
+        const inputs = sides.filter(([, side]) => side == 'in').map(([name]) => name)
+        const outputs = sides.filter(([, side]) => side == 'out').map(([name]) => name)
+        if (inputs.length > 0) node = { ...node, inputPorts: inputs }
+        if (outputs.length > 0) node = { ...node, outputPorts: outputs }
+      }
+    }
+    nodes.set(id, node)
+  }
+
+  // nodes of a graph, and of the graphs inside them; edges may be
+  // declared in any of them
+  const readNodes = (graph, parentId) => {
+    for (const element of children(graph, 'node')) {
+      readNode(element, parentId)
+      for (const inner of children(element, 'graph')) readNodes(inner, element.attrs.id)
+    }
+  }
+  const readEdges = (graph) => {
+    for (const element of children(graph, 'edge')) {
+      const edge = { sourceId: element.attrs.source, targetId: element.attrs.target }
+      if (element.attrs.sourceport !== undefined) edge.sourcePort = element.attrs.sourceport
+      if (element.attrs.targetport !== undefined) edge.targetPort = element.attrs.targetport
+      nodeFor(nodes, edge.sourceId)
+      nodeFor(nodes, edge.targetId)
+      edges.push(withData(edge, dataOf(element, 'edge')))
+    }
+    for (const node of children(graph, 'node'))
+      for (const inner of children(node, 'graph')) readEdges(inner)
+  }
+  readNodes(graph)
+  readEdges(graph)
+  return { nodes, edges, orientation }
+}
+
+function typed(text, type) {
+  switch (type) {
+    case 'int':
+    case 'long':
+    case 'float':
+    case 'double':
+      return Number(text)
+    case 'boolean':
+      return text.trim() == 'true'
+    case 'json':
+      try {
+        return JSON.parse(text)
+      } catch {
+        throw new Error(`Expected JSON in GraphML: ${text}`)
+      }
+    default:
+      return text
+  }
+}
+
+function children(element, name) {
+  return element.children.filter(child => child.name == name)
+}
+
+function textOf(element) {
+  return element.children.map(child => child.text ?? textOf(child)).join('')
+}
+
+const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }
+
+function unescape(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, name) => {
+    if (name[0] != '#') return entities[name] ?? match
+    return String.fromCodePoint(name[1] == 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)))
+  })
+}
+
+// An opening or empty tag, matched in place with lastIndex
+const tagPattern = /<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y
+
+// Just enough XML for GraphML: elements, attributes and text, skipping
+// the prolog, comments and processing instructions. Namespace prefixes
+// are dropped from names.
+function parseXml(text) {
+  const root = { name: undefined, attrs: {}, children: [] }
+  const stack = [root]
+  const local = (name) => name.slice(name.indexOf(':') + 1)
+  let i = 0
+  while (i < text.length) {
+    const top = stack[stack.length - 1]
+    if (text.startsWith('<!--', i)) {
+      i = end(text, '-->', i)
+    } else if (text.startsWith('<![CDATA[', i)) {
+      const close = end(text, ']]>', i)
+      top.children.push({ text: text.slice(i + 9, close - 3) })
+      i = close
+    } else if (text.startsWith('<?', i) || text.startsWith('<!', i)) {
+      i = end(text, '>', i)
+    } else if (text.startsWith('</', i)) {
+      const close = end(text, '>', i)
+      const name = local(text.slice(i + 2, close - 1).trim())
+      if (stack.length == 1 || top.name != name)
+        throw new Error(`Unexpected </${name}> in GraphML`)
+      stack.pop()
+      i = close
+    } else if (text[i] == '<') {
+      tagPattern.lastIndex = i
+      const match = tagPattern.exec(text)
+      if (!match) throw new Error('Malformed tag in GraphML')
+      const attrs = {}
+      for (const [, name, double, single] of match[2].matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g))
+        attrs[name] = unescape(double ?? single)
+      const element = { name: local(match[1]), attrs, children: [] }
+      top.children.push(element)
+      if (!match[3]) stack.push(element)
+      i += match[0].length
+    } else {
+      const next = text.indexOf('<', i)
+      const close = next < 0 ? text.length : next
+      top.children.push({ text: unescape(text.slice(i, close)) })
+      i = close
+    }
+  }
+  if (stack.length > 1) throw new Error(`Unclosed <${stack[stack.length - 1].name}> in GraphML`)
+  const element = root.children.find(child => child.name)
+  if (!element) throw new Error('Expected a GraphML document')
+  return element
+}
+
+function end(text, close, from) {
+  const index = text.indexOf(close, from)
+  if (index < 0) throw new Error('Unexpected end of GraphML')
+  return index + close.length
+}
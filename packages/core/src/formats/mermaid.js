@@ -0,0 +1,222 @@
+import { addParsed, readGraph, nodeFor, attributesOf, withData } from './common.js'
+
+// Mermaid flowcharts.
+//
+// A node's label and shape become its data, as { label, shape }, and
+// an edge's label and link style as { label, link }, leaving out the
+// plain `-->` link. The flowchart's direction becomes the orientation.
+// Styling statements and subgraph boundaries are skipped; the nodes
+// and edges inside subgraphs are read.
+
+// Add the nodes and edges of a flowchart to a changeset
+export function parseMermaid(text, mutator) {
+  return addParsed(readMermaidText(text), mutator)
+}
+
+// Read a flowchart into a new graph
+export function readMermaid(text, options) {
+  return readGraph(readMermaidText(text), options)
+}
+
+export function writeMermaid(graph) {
+  const lines = [`flowchart ${graph.options.orientation}`]
+  for (const node of graph.nodes()) {
+    const { label, shape } = attributesOf(node.data)
+    const [open, close] = shapes[shape] || shapes.rect
+    const text = label === undefined ? '' : `${open}"${escape(label)}"${close}`
+    lines.push(`  ${mermaidId(node.id)}${text}`)
+  }
+  for (const edge of graph.edges()) {
+    const { label, link = '-->' } = attributesOf(edge.data)
+    const text = label === undefined ? '' : `|"${escape(label)}"|`
+    lines.push(`  ${mermaidId(edge.sourceId)} ${link}${text} ${mermaidId(edge.targetId)}`)
+  }
+  return lines.join('\n') + '\n'
+}
+
+// shape -> [open, close]
+const shapes = {
+  rect: ['[', ']'],
+  round: ['(', ')'],
+  stadium: ['([', '])'],
+  subroutine: ['[[', ']]'],
+  cylinder: ['[(', ')]'],
+  circle: ['((', '))'],
+  asymmetric: ['>', ']'],
+  rhombus: ['{', '}'],
+  hexagon: ['{{', '}}'],
+  'lean-right': ['[/', '/]'],
+  'lean-left': ['[\\', '\\]'],
+  trapezoid: ['[/', '\\]'],
+  'trapezoid-alt': ['[\\', '/]'],
+}
+// longest openings first, so '((' isn't read as '('
+const openings = Object.entries(shapes)
+  .sort((a, b) => b[1][0].length - a[1][0].length)
+
+const directions = { TB: 'TB', TD: 'TB', BT: 'BT', LR: 'LR', RL: 'RL' }
+const idPattern = /^[A-Za-z0-9_]+(?:-[A-Za-z0-9_]+)*/
+const linkPattern = /^(<)?(-{2,}|={2,}|-\.+-|-\.)([>ox])?/
+const skipped = /^(classDef|class|style|linkStyle|click|subgraph|end|direction)\b/
+
+function mermaidId(id) {
+  if (!new RegExp(idPattern.source + '$').test(id))
+    throw new Error(`Can't write node id to Mermaid: ${id}`)
+  return id
+}
+
+// Mermaid has no escapes in quoted text, only entities
+function escape(text) {
+  return String(text).replace(/"/g, '#quot;')
+}
+
+function unescape(text) {
+  return text.replace(/#quot;/g, '"')
+}
+
+// Statements end at newlines or semicolons outside quotes
+function split(text) {
+  const statements = []
+  let start = 0
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] == '"') quoted = !quoted
+    else if (text[i] == '\n' || (text[i] == ';' && !quoted)) {
+      statements.push(text.slice(start, i))
+      start = i + 1
+      quoted = false
+    }
+  }
+  statements.push(text.slice(start))
+  return statements
+}
+
+function readMermaidText(text) {
+  const nodes = new Map()
+  const edges = []
+  let orientation
+
+  const statements = split(text).map(line => line.trim())
+    .filter(line => line && !line.startsWith('%%'))
+  const header = /^(flowchart|graph)\b\s*(\w+)?/.exec(statements[0] || '')
+  if (!header) throw new Error('Expected a Mermaid flowchart')
+  if (header[2]) {
+    orientation = directions[header[2].toUpperCase()]
+    if (!orientation) throw new Error(`Unknown Mermaid direction: ${header[2]}`)
+  }
+
+  for (const statement of statements.slice(1)) {
+    if (skipped.test(statement)) continue
+    let rest = statement
+    const fail = () => {
+      throw new Error(`Can't read Mermaid statement: ${statement}`)
+    }
+    const space = () => {
+      rest = rest.trimStart()
+    }
+
+    // a node reference, with an optional shape and label
+    const node = () => {
+      const match = idPattern.exec(rest)
+      if (!match) fail()
+      const id = match[0]
+      rest = rest.slice(id.length)
+      const opening = openings.filter(([, [open]]) => rest.startsWith(open))
+      if (opening.length > 0) {
+        // shapes sharing an opening differ in how they close
+        const length = opening[0][1][0].length
+        let label
+        let end
+        let found
+        rest = rest.slice(length)
+        if (rest.startsWith('"')) {
+          const close = rest.indexOf('"', 1)
+          if (close < 0) fail()
+          label = unescape(rest.slice(1, close))
+          end = close + 1
+          found = opening.filter(([, [open]]) => open.length == length)
+            .find(([, [, close]]) => rest.startsWith(close, end))
+        } else {
+          let best = Infinity
+          for (const candidate of opening) {
+            if (candidate[1][0].length != length) continue
+            const index = rest.indexOf(candidate[1][1])
+            if (index >= 0 && index < best) {
+              best = index
+              found = candidate
+            }
+          }
+          label = rest.slice(0, best).trim()
+          end = best
+        }
+        if (!found) fail()
+        const [shape, [, close]] = found
+        rest = rest.slice(end + close.length)
+        const data = shape == 'rect' ? { label } : { label, shape }
+        nodes.set(id, withData(nodeFor(nodes, id), data))
+      } else {
+        nodeFor(nodes, id)
+      }
+      return id
+    }
+
+    // nodes joined with '&'
+    const group = () => {
+      const ids = [node()]
+      space()
+      while (rest.startsWith('&')) {
+        rest = rest.slice(1)
+        space()
+        ids.push(node())
+        space()
+      }
+      return ids
+    }
+
+    // a link, with an optional label in pipes or inside the link
+    const link = () => {
+      const match = linkPattern.exec(rest)
+      if (!match) return undefined
+      rest = rest.slice(match[0].length)
+      let token = match[0]
+      let label
+      if (!match[1] && !match[3] && (token == '--' || token == '==' || token == '-.')) {
+        // `A -- text --> B`
+        const close = /(-{2,}>|={2,}>|\.-+>|-{3,}|={3,})/.exec(rest)
+        if (!close) fail()
+        label = rest.slice(0, close.index).trim()
+        token = token == '-.' ? `-${close[0]}` : close[0]
+        rest = rest.slice(close.index + close[0].length)
+      }
+      space()
+      if (rest.startsWith('|')) {
+        const close = rest.indexOf('|', 1)
+        if (close < 0) fail()
+        label = rest.slice(1, close).trim()
+        if (label.startsWith('"') && label.endsWith('"') && label.length > 1)
+          label = label.slice(1, -1)
+        label = unescape(label)
+        rest = rest.slice(close + 1)
+      }
+      const data = {}
+      if (label !== undefined) data.label = label
+      if (token != '-->') data.link = token
+      return data
+    }
+
+    let sources = group()
+    space()
+    while (rest.length > 0) {
+      const data = link()
+      if (!data) fail()
+      space()
+      const targets = group()
+      for (const sourceId of sources)
+        for (const targetId of targets)
+          edges.push(withData({ sourceId, targetId }, data))
+      sources = targets
+      space()
+    }
+  }
+  return { nodes, edges, orientation }
+}
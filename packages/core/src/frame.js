@@ -0,0 +1,12 @@
+// Frames of animation, or near enough where there's no display
+
+export function requestFrame(callback) {
+  return globalThis.requestAnimationFrame
+    ? globalThis.requestAnimationFrame(callback)
+    : setTimeout(callback, 16)
+}
+
+export function cancelFrame(frame) {
+  if (globalThis.cancelAnimationFrame) globalThis.cancelAnimationFrame(frame)
+  else clearTimeout(frame)
+}
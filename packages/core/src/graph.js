@@ -1,6 +1,57 @@
 import { Map as IMap, List as IList, Set as ISet } from 'immutable'
+import { diff } from './diff.js'
+import { serialize, hydrate } from './serialize.js'
+import { collapse, expand } from './collapse.js'
+import {
+  ancestors,
+  descendants,
+  topologicalOrder,
+  shortestPath,
+  isReachable,
+  roots,
+  leaves,
+  connectedComponents,
+} from './queries.js'
+import { view } from './view.js'
+import {
+  GraphError,
+  MissingNodeError,
+  MissingEdgeError,
+  DuplicateNodeError,
+  DuplicateEdgeError,
+  UnknownPortError,
+  CycleError,
+  ValidationError,
+} from './errors.js'
+
+const defaultOptions = {
+  // number of up/down sweeps when ordering nodes within layers
+  orderPasses: 4,
+  // 'barycenter' or 'median'
+  orderMethod: 'barycenter',
+  // size of nodes that don't declare their own dims
+  defaultDims: { w: 100, h: 40 },
+  // gap between adjacent nodes in a layer
+  nodeSpacing: 20,
+  // minimum gap between adjacent layers
+  layerSpacing: 40,
+  // gap between edge tracks running between layers
+  trackSpacing: 10,
+  // corner radius of edge routes
+  edgeRadius: 6,
+  // direction of flow from layer to layer: 'TB', 'LR', 'BT' or 'RL'
+  orientation: 'TB',
+  // lay out cycles by reversing back edges, rather than throwing
+  allowCycles: false,
+  // space between the border of a cluster and its contents
+  clusterPadding: 10,
+  // throw every problem with a batch of changes at once, as a
+  // ValidationError, rather than just the first
+  collectErrors: false,
+}
 
-const defaultOptions = {}
+// dummy nodes only occupy their slot in the layer order
+const dummyDims = { w: 0, h: 0 }
 
 export class Graph {
   constructor({ prior, changes, options, nodes, edges } = {}) {
@@ -20,9 +71,42 @@ export class Graph {
     this.succMap = prior?.succMap || IMap()
     // nodeId -> { pos, dims }
     this.nodeLayout = prior?.nodeLayout || IMap()
+    // dummyId -> { id, edgeId, layerId, pos, dims }, or for borders
+    // { id, clusterId, layerId, pos, dims }
+    this.dummyMap = prior?.dummyMap || IMap()
+    // edgeId -> [dummyId] from top to bottom
+    this.edgeDummies = prior?.edgeDummies || IMap()
+    // edgeId -> { points, path, back }
+    this.edgeLayouts = prior?.edgeLayouts || IMap()
+    // edgeIds laid out reversed to break cycles
+    this.backEdges = prior?.backEdges || ISet()
+    // clusterId -> { childId }
+    this.childMap = prior?.childMap || IMap()
+    // placeholderId -> { nodes, edges, summaries, before } hidden
+    // behind it, and the version they were hidden from
+    this.collapsed = prior?.collapsed || IMap()
 
     this.nextLayerId = prior?.nextLayerId || 0
     this.dirtyNodes = new Set()
+    this.dirtyLayers = new Set()
+    this.dirtyEdges = new Set()
+    this.resizedNodes = new Set()
+    // nodes laid out in a different cluster than before
+    this.reparentedNodes = new Set()
+    // nodeId -> ids of the clusters it's in, outermost first
+    this.clusterPaths = new Map()
+    // nodes whose layout this version wrote, for diffs
+    this.laidOutNodes = new Set()
+    // problems with the changes, when collecting them
+    this.problems = []
+    // results of queries on this version
+    this.queryCache = new Map()
+    // predicate -> view of this version
+    this.views = new Map()
+    // for a view, the version it shows and the predicate choosing what
+    // shows; views can't be changed themselves
+    this.source = undefined
+    this.predicate = undefined
     this.prior = prior
     this.options = {
       ...defaultOptions,
@@ -33,18 +117,28 @@ export class Graph {
     this.changes = changes || {
       addedNodes: [],
       removedNodes: [],
+      updatedNodes: [],
       addedEdges: [],
       removedEdges: [],
+      updatedEdges: [],
     }
 
     this.changes.addedNodes.push(...(nodes || []))
     this.changes.addedEdges.push(...(edges || []))
 
+    // changing options on a derived graph keeps layers and order,
+    // but redoes coordinates and routes
+    this.relayout = !!prior && Object.keys(options || {})
+      .some(key => options[key] !== prior.options[key])
+
     this.dirty =
+      this.relayout ||
       this.changes.addedNodes.length > 0 ||
       this.changes.removedNodes.length > 0 ||
+      this.changes.updatedNodes.length > 0 ||
       this.changes.addedEdges.length > 0 ||
-      this.changes.removedEdges.length > 0
+      this.changes.removedEdges.length > 0 ||
+      this.changes.updatedEdges.length > 0
 
     // Apply initial changes
     if (this.dirty) {
@@ -52,6 +146,80 @@ export class Graph {
     }
   }
 
+  // What differs between two versions of a graph
+  static diff(a, b) {
+    return diff(a, b)
+  }
+
+  // Restore a graph from the output of toJSON
+  static fromJSON(json) {
+    const graph = new Graph({ options: json?.options })
+    return Object.assign(graph, hydrate(graph, json))
+  }
+
+  toJSON() {
+    return serialize(this)
+  }
+
+  // A version with the descendants of a node, or the contents of a
+  // cluster, hidden behind it, and summary edges counting the edges
+  // that led in and out
+  collapse(id) {
+    return collapse(this, id)
+  }
+
+  // A version showing what collapsing a node hid, where it was
+  expand(id) {
+    return expand(this, id)
+  }
+
+  isCollapsed(id) {
+    return this.collapsed.has(id)
+  }
+
+  // A read-only graph of the nodes that pass a predicate, with
+  // transitive edges for the paths through the rest. Views of later
+  // versions by the same predicate are derived from this one.
+  view(predicate) {
+    return view(this, predicate)
+  }
+
+  // Nodes with a path to a node, in layer order
+  ancestors(id) {
+    return ancestors(this, id)
+  }
+
+  // Nodes a node has a path to, in layer order
+  descendants(id) {
+    return descendants(this, id)
+  }
+
+  // Nodes ordered so every edge runs forward; throws a CycleError if
+  // edges form cycles
+  topologicalOrder() {
+    return topologicalOrder(this)
+  }
+
+  shortestPath(from, to) {
+    return shortestPath(this, from, to)
+  }
+
+  isReachable(from, to) {
+    return isReachable(this, from, to)
+  }
+
+  roots() {
+    return roots(this)
+  }
+
+  leaves() {
+    return leaves(this)
+  }
+
+  connectedComponents() {
+    return connectedComponents(this)
+  }
+
   edgeId(edge) {
     let source = edge.sourceId
     if (edge.sourcePort) source += `.${edge.sourcePort}`
@@ -100,6 +268,50 @@ export class Graph {
     return this.edgeMap?.has(id) || false
   }
 
+  // Box around every node and edge route laid out. Flipped
+  // orientations put the graph at negative coordinates, so the box
+  // starts wherever it does.
+  bounds() {
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity
+    for (const { pos, dims } of this.nodeLayout.values()) {
+      x0 = Math.min(x0, pos.x)
+      y0 = Math.min(y0, pos.y)
+      x1 = Math.max(x1, pos.x + dims.w)
+      y1 = Math.max(y1, pos.y + dims.h)
+    }
+    for (const { points } of this.edgeLayouts.values())
+      for (const { x, y } of points) {
+        x0 = Math.min(x0, x)
+        y0 = Math.min(y0, y)
+        x1 = Math.max(x1, x)
+        y1 = Math.max(y1, y)
+      }
+    if (x0 > x1) return { pos: { x: 0, y: 0 }, dims: { w: 0, h: 0 } }
+    return { pos: { x: x0, y: y0 }, dims: { w: x1 - x0, h: y1 - y0 } }
+  }
+
+  // Bend points of an edge: its source anchor, a point for each layer
+  // it passes through, and its target anchor
+  edgeLayout(id) {
+    return this.edgeLayouts.get(id)
+  }
+
+  // Whether an edge is laid out reversed to break a cycle; renderers
+  // may want to draw these as loops
+  isBackEdge(id) {
+    return this.backEdges.has(id)
+  }
+
+  // Whether a node is a cluster: a node with children, laid out as a
+  // box around them rather than in a layer of its own
+  isCluster(id) {
+    return this.childMap.has(id)
+  }
+
+  childNodes(id) {
+    return this.childMap.get(id)?.toArray().sort() || []
+  }
+
   _pred(id) {
     return this.predMap.get(id) || ISet()
   }
@@ -125,7 +337,8 @@ export class Graph {
   }
 
   withMutations(callback) {
-    const mut = new Mutator()
+    if (this.source) throw new GraphError("Can't change a view; change the graph it shows")
+    const mut = new Mutator(this)
     callback(mut)
     return new Graph({ prior: this, changes: mut.changes })
   }
@@ -178,8 +391,45 @@ export class Graph {
     })
   }
 
+  updateNodes(...nodes) {
+    return this.withMutations(mutator => {
+      nodes.forEach(node => mutator.updateNode(node))
+    })
+  }
+
+  updateNode(node) {
+    return this.withMutations(mutator => {
+      mutator.updateNode(node)
+    })
+  }
+
+  updateEdges(...edges) {
+    return this.withMutations(mutator => {
+      edges.forEach(edge => mutator.updateEdge(edge))
+    })
+  }
+
+  updateEdge(edge) {
+    return this.withMutations(mutator => {
+      mutator.updateEdge(edge)
+    })
+  }
+
+  // Clusters have no layer
   layerOf(id) {
-    return this.layers.get(this.layerMap.get(id)).index
+    return this.layers.get(this.layerMap.get(id))?.index
+  }
+
+  // Position of the node within its layer
+  orderOf(id) {
+    return this.layerNodes(this.layerOf(id)).indexOf(id)
+  }
+
+  // Node ids of the layer at the given index, in order
+  layerNodes(index) {
+    const layerId = this.layerList.get(index)
+    if (layerId === undefined) return []
+    return this.layers.get(layerId).sorted.filter(id => !this.dummyMap.has(id)).toArray()
   }
 
   update() {
@@ -189,6 +439,11 @@ export class Graph {
       this._markDirtyNodes()
       this._checkCycles()
       this._updateLayers()
+      this._updateDummies()
+      this._updateBorders()
+      this._updateOrder()
+      this._updateCoords()
+      this._updateEdgeLayouts()
     })
     this.dirty = false
   }
@@ -203,6 +458,11 @@ export class Graph {
       'layers',
       'layerList',
       'nodeLayout',
+      'dummyMap',
+      'edgeDummies',
+      'edgeLayouts',
+      'backEdges',
+      'childMap',
     ]
     const mut = () => {
       if (state.length == 0) return callback()
@@ -218,38 +478,91 @@ export class Graph {
   // Apply changes to the graph
   _applyChanges() {
     let layer = this.layerByIndex(0)
+    const added = []
+    // clusters whose children changed
+    const parentIds = new Set()
+    const reparented = []
     const nodes = layer.nodes.withMutations(nodes => {
       for (const node of this.changes.addedNodes) {
+        if (this.nodeMap.has(node.id)) {
+          this._problem(new DuplicateNodeError(node.id))
+          continue
+        }
         this.nodeMap.set(node.id, node)
         this.predMap.set(node.id, ISet())
         this.succMap.set(node.id, ISet())
         this.layerMap.set(node.id, layer.id)
         nodes.add(node.id)
+        added.push(node.id)
+        this._setParent(node.id, undefined, node.parentId, parentIds)
       }
     })
-    layer = { ...layer, nodes }
-    this.layers.set(layer.id, layer)
+    if (added.length > 0) {
+      layer = { ...layer, nodes, sorted: layer.sorted.push(...added) }
+      this.layers.set(layer.id, layer)
+      this.dirtyLayers.add(layer.id)
+    }
     for (const node of this.changes.removedNodes) {
-      layer = this.layers.get(this.layerMap.get(node.id))
-      layer = { ...layer, nodes: layer.nodes.remove(node.id) }
       for (const edge of this.predEdges(node.id))
         this.changes.removedEdges.push(edge)
       for (const edge of this.succEdges(node.id))
         this.changes.removedEdges.push(edge)
-      this.layers.set(layer.id, layer)
+      if (this.layerMap.has(node.id))
+        this._removeFromLayer(node.id)
+      this._setParent(node.id, this.nodeMap.get(node.id)?.parentId, undefined, parentIds)
+      parentIds.add(node.id)
       this.nodeMap.delete(node.id)
       this.predMap.delete(node.id)
       this.succMap.delete(node.id)
-      this.layerMap.delete(node.id)
+      this.nodeLayout.delete(node.id)
     }
+    const addedEdges = []
     for (const edge of this.changes.addedEdges) {
       const id = this.edgeId(edge)
+      const missing = [edge.sourceId, edge.targetId].find(nodeId => !this.nodeMap.has(nodeId))
+      if (missing !== undefined) {
+        this._problem(new MissingNodeError(missing, `Node not found: ${missing}, in edge ${id}`))
+        continue
+      }
+      if (this.edgeMap.has(id)) {
+        this._problem(new DuplicateEdgeError(id))
+        continue
+      }
+      addedEdges.push(edge)
       this.edgeMap.set(id, edge)
+      this.dirtyEdges.add(id)
       const predSet = this.predMap.get(edge.targetId)
       this.predMap.set(edge.targetId, predSet.add(id))
       const succSet = this.succMap.get(edge.sourceId)
       this.succMap.set(edge.sourceId, succSet.add(id))
     }
+    for (const node of this.changes.updatedNodes) {
+      const old = this.nodeMap.get(node.id)
+      if (!old) {
+        this._problem(new MissingNodeError(node.id))
+        continue
+      }
+      this.nodeMap.set(node.id, node)
+      if (old.parentId != node.parentId) {
+        this._setParent(node.id, old.parentId, node.parentId, parentIds)
+        reparented.push(node.id)
+      }
+      // only layout-relevant changes make the node dirty
+      if (!sameList(old.inputPorts, node.inputPorts) || !sameList(old.outputPorts, node.outputPorts)) {
+        this._markDirty(node.id)
+      } else if (old.dims?.w != node.dims?.w || old.dims?.h != node.dims?.h) {
+        this.resizedNodes.add(node.id)
+        this.dirtyLayers.add(this.layerMap.get(node.id))
+      }
+    }
+    for (const edge of this.changes.updatedEdges) {
+      const id = this.edgeId(edge)
+      if (!this.edgeMap.has(id)) {
+        this._problem(new MissingEdgeError(id))
+        continue
+      }
+      this.edgeMap.set(id, edge)
+    }
     for (const edge of this.changes.removedEdges) {
       const id = this.edgeId(edge)
       this.edgeMap.delete(id)
@@ -260,6 +573,45 @@ export class Graph {
       if (succSet?.has(id))
         this.succMap.set(edge.sourceId, succSet.remove(id))
     }
+    // clusters that contain themselves can't be walked
+    if (this._updateClusters(parentIds)) {
+      for (const id of reparented)
+        if (this.nodeMap.has(id)) this._markReparented(id)
+    }
+    for (const edge of addedEdges)
+      if (this.edgeMap.has(this.edgeId(edge))) {
+        this._checkPorts(edge)
+        for (const id of [edge.sourceId, edge.targetId])
+          if (this.childMap.has(id))
+            this._problem(new GraphError(`Edges can't attach to clusters: ${id}`))
+      }
+    for (const node of this.changes.updatedNodes) {
+      for (const edge of this.predEdges(node.id)) this._checkPorts(edge)
+      for (const edge of this.succEdges(node.id)) this._checkPorts(edge)
+    }
+    if (this.problems.length > 0)
+      throw new ValidationError(this.problems)
+  }
+
+  // Throw a problem with the changes, or note it to throw with the
+  // rest once they're all found
+  _problem(error) {
+    if (!this.options.collectErrors) throw error
+    // an edge to a node that just became a cluster turns up twice
+    if (!this.problems.some(problem => problem.message == error.message))
+      this.problems.push(error)
+  }
+
+  // Edges may only name ports that their nodes declare; nodes that
+  // don't declare any accept any port
+  _checkPorts(edge) {
+    const check = (id, side, port) => {
+      const ports = this.nodeMap.get(id)?.[side]
+      if (port && ports && !ports.includes(port))
+        this._problem(new UnknownPortError(id, port))
+    }
+    check(edge.sourceId, 'outputPorts', edge.sourcePort)
+    check(edge.targetId, 'inputPorts', edge.targetPort)
   }
 
   _markDirtyNodes() {
@@ -271,8 +623,96 @@ export class Graph {
       this._markDirty(edge.targetId)
   }
 
+  // Move a node from one cluster to another, noting both
+  _setParent(id, oldParentId, parentId, parentIds) {
+    if (oldParentId !== undefined) {
+      const children = this.childMap.get(oldParentId)?.remove(id)
+      if (children?.size > 0)
+        this.childMap.set(oldParentId, children)
+      else
+        this.childMap.delete(oldParentId)
+      parentIds.add(oldParentId)
+    }
+    if (parentId !== undefined) {
+      this.childMap.set(parentId, (this.childMap.get(parentId) || ISet()).add(id))
+      parentIds.add(parentId)
+    }
+  }
+
+  // Nodes that changed clusters, and everything in them, need a new
+  // place in the order
+  _markReparented(id) {
+    const children = this.childMap.get(id)
+    if (!children) {
+      this.reparentedNodes.add(id)
+      this._markDirty(id)
+    } else {
+      for (const child of children)
+        this._markReparented(child)
+    }
+  }
+
+  // Nodes become clusters when they gain children, and plain nodes
+  // again when they lose them. Clusters have no place in the layers;
+  // they're laid out around their contents instead. Returns false if
+  // a cluster contains itself.
+  _updateClusters(parentIds) {
+    for (const id of parentIds) {
+      const visited = new Set()
+      for (let parentId = id; parentId !== undefined; parentId = this.nodeMap.get(parentId)?.parentId) {
+        if (visited.has(parentId)) {
+          this._problem(new GraphError(`Cluster contains itself: ${parentId}`))
+          return false
+        }
+        visited.add(parentId)
+      }
+    }
+    for (const id of parentIds) {
+      const isCluster = this.childMap.has(id)
+      if (!this.nodeMap.has(id)) {
+        if (isCluster) this._problem(new MissingNodeError(id, `Parent not found: ${id}`))
+      } else if (isCluster && this.layerMap.has(id)) {
+        if (this._pred(id).size > 0 || this._succ(id).size > 0)
+          this._problem(new GraphError(`Edges can't attach to clusters: ${id}`))
+        this._removeFromLayer(id)
+        this.nodeLayout.delete(id)
+        this.dirtyNodes.delete(id)
+        this.reparentedNodes.delete(id)
+      } else if (!isCluster && !this.layerMap.has(id)) {
+        const layer = this.layerByIndex(0)
+        this.layers.set(layer.id, {
+          ...layer,
+          nodes: layer.nodes.add(id),
+          sorted: layer.sorted.push(id),
+        })
+        this.layerMap.set(id, layer.id)
+        this.dirtyLayers.add(layer.id)
+        this.nodeLayout.delete(id)
+        this._markReparented(id)
+      }
+    }
+    return true
+  }
+
+  // Take a node out of its layer, crushing the layer if it's left empty
+  _removeFromLayer(id) {
+    const layer = this.layers.get(this.layerMap.get(id))
+    const rest = {
+      ...layer,
+      nodes: layer.nodes.remove(id),
+      sorted: removeSorted(layer.sorted, id),
+    }
+    if (rest.nodes.size == 0)
+      this._crushLayer(rest)
+    else
+      this.layers.set(layer.id, rest)
+    this.dirtyLayers.add(layer.id)
+    this.layerMap.delete(id)
+  }
+
+  // Only nodes in layers take part in layering; clusters don't
   _markDirty(id) {
-    if (this.nodeMap.has(id))
+    if (this.nodeMap.has(id) && this.layerMap.has(id))
       this.dirtyNodes.add(id)
   }
 
@@ -282,6 +722,10 @@ export class Graph {
   }
 
   _checkCycles() {
+    if (this.options.allowCycles)
+      return this._updateBackEdges()
+    if (this.backEdges.size > 0)
+      return this._clearBackEdges()
     const totalNodes = this.nodeMap.size
     const newStuff = this.changes.addedNodes.length + this.changes.addedEdges.length
     const changeRatio = newStuff / totalNodes
@@ -329,9 +773,7 @@ export class Graph {
     }
     cycle.push(this.cycleInfo(start))
     cycle.reverse()
-    const error = new Error(`Cycle detected: ${cycle.join(' → ')}`)
-    error.cycle = cycle
-    throw error
+    throw new CycleError(cycle)
   }
 
   _checkCyclesIncremental() {
@@ -339,15 +781,118 @@ export class Graph {
       const layer1 = this.layerOf(edge.sourceId)
       const layer2 = this.layerOf(edge.targetId)
       if (layer1 < layer2) continue
-      const route = this.findRoute(edge.sourceId, edge.targetId)
-      const cycle = route.map(id => this.cycleInfo(id))
-      cycle.reverse()
-      const error = new Error(`Cycle detected: ${cycle.join(' → ')}`)
-      error.cycle = cycle
-      throw error
+      // the edge closes a cycle if its target already leads back to it
+      const route = this.findRoute(edge.targetId, edge.sourceId)
+      if (!route) continue
+      throw new CycleError([edge.sourceId, ...route].map(id => this.cycleInfo(id)))
     }
   }
 
+  // Keep the edges reversed to break cycles up to date.
+  //
+  // Edges that were reversed stay reversed as long as they exist, so
+  // the layout doesn't flip back and forth. Each added edge is checked
+  // against the graph as laid out so far, and reversed if it would
+  // close a cycle; self loops are always back edges.
+  _updateBackEdges() {
+    for (const edge of this.changes.removedEdges) {
+      const id = this.edgeId(edge)
+      if (!this.backEdges.has(id) || this.edgeMap.has(id)) continue
+      this.backEdges.delete(id)
+      this._markDirty(edge.sourceId)
+    }
+    // edges not checked yet don't count
+    const pending = new Set(this.changes.addedEdges.map(edge => this.edgeId(edge)))
+    for (const edge of this.changes.addedEdges) {
+      const id = this.edgeId(edge)
+      pending.delete(id)
+      if (!this.edgeMap.has(id) || this.backEdges.has(id)) continue
+      if (edge.sourceId == edge.targetId || this._flowsTo(edge.targetId, edge.sourceId, pending)) {
+        this.backEdges.add(id)
+        this._markDirty(edge.sourceId)
+      }
+    }
+  }
+
+  // Back edges have to go once cycles aren't allowed; if there are
+  // still cycles, this throws like any other cycle check
+  _clearBackEdges() {
+    this._checkCyclesFull()
+    for (const id of this.backEdges) {
+      const edge = this.edgeMap.get(id)
+      if (!edge) continue
+      this._markDirty(edge.targetId)
+      this.dirtyEdges.add(id)
+    }
+    this.backEdges.clear()
+  }
+
+  // Whether there's a path between two nodes as laid out, ignoring the
+  // given edges
+  _flowsTo(from, to, skip) {
+    const stack = [from]
+    const visited = new Set(stack)
+    while (stack.length > 0) {
+      const id = stack.pop()
+      if (id == to) return true
+      for (const edgeId of this._outEdges(id)) {
+        if (skip.has(edgeId)) continue
+        const next = this._ends(edgeId)[1]
+        if (visited.has(next)) continue
+        visited.add(next)
+        stack.push(next)
+      }
+    }
+    return false
+  }
+
+  // Edges entering a node from the layer above, as laid out: back edges
+  // run from target to source, and self loops don't join layers at all
+  _inEdges(id) {
+    if (this.backEdges.size == 0) return this._pred(id)
+    return this._pred(id).filter(edgeId => !this.backEdges.has(edgeId))
+      .union(this._succ(id).filter(edgeId => this._isReversed(edgeId)))
+  }
+
+  // Edges leaving a node for the layers below, as laid out
+  _outEdges(id) {
+    if (this.backEdges.size == 0) return this._succ(id)
+    return this._succ(id).filter(edgeId => !this.backEdges.has(edgeId))
+      .union(this._pred(id).filter(edgeId => this._isReversed(edgeId)))
+  }
+
+  // Back edges other than self loops run upward
+  _isReversed(edgeId) {
+    if (!this.backEdges.has(edgeId)) return false
+    const edge = this.getEdge(edgeId)
+    return edge.sourceId != edge.targetId
+  }
+
+  // Upper and lower ends of an edge as laid out
+  _ends(edgeId) {
+    const edge = this.getEdge(edgeId)
+    return this.backEdges.has(edgeId)
+      ? [edge.targetId, edge.sourceId]
+      : [edge.sourceId, edge.targetId]
+  }
+
+  // Where an edge attaches at its upper and lower ends. Back edges
+  // still attach at their ports, but on the sides facing each other.
+  _endAnchors(edgeId) {
+    const edge = this.getEdge(edgeId)
+    const source = this._anchor(edge.sourceId, 'outputPorts', edge.sourcePort)
+    const target = this._anchor(edge.targetId, 'inputPorts', edge.targetPort)
+    return this.backEdges.has(edgeId) ? [target, source] : [source, target]
+  }
+
+  _upperNodes(id) {
+    return this._inEdges(id).map(edgeId => this._ends(edgeId)[0]).toSet()
+  }
+
+  _lowerNodes(id) {
+    return this._outEdges(id).map(edgeId => this._ends(edgeId)[1]).toSet()
+  }
+
   // Update layers in two passes:
   // 
   //  - Move children up or down to just below lowest parent
@@ -362,7 +907,7 @@ export class Graph {
     const phase2 = new Set(stack)
     while (stack.length > 0) {
       const id = stack.pop()
-      const parents = this.predNodes(id)
+      const parents = this._upperNodes(id)
       let correctLayer
       if (parents.size == 0) {
         // this only happens for new nodes or removed edges; move to top
@@ -377,7 +922,7 @@ export class Graph {
       // also add parents to phase 2
       if (curLayer != correctLayer) {
         this._moveNodeLayer(id, correctLayer)
-        stack.push(...this.succNodes(id))
+        stack.push(...this._lowerNodes(id))
         for (const parent of parents)
           phase2.add(parent)
       }
@@ -403,7 +948,7 @@ export class Graph {
       const curLayer = this.layers.get(layerId).index
       // visit each parent of this layer
       for (const id of byLayer.get(layerId).values()) {
-        const children = this.succNodes(id)
+        const children = this._lowerNodes(id)
         if (children.size == 0) continue
         // should be just above min child
         const minChild = children.map(id => this.layerOf(id)).min()
@@ -411,35 +956,1044 @@ export class Graph {
         // if needs a move, move it and push parents to stack
         if (curLayer != correctLayer) {
           this._moveNodeLayer(id, correctLayer)
-          for (const parent of this.predNodes(id))
+          for (const parent of this._upperNodes(id))
             addParent(parent)
         }
       }
     }
   }
 
+  // Keep a chain of dummy nodes for each edge that spans more than one
+  // layer, one dummy in each layer in between, so that ordering and
+  // coordinate assignment can route the edge around other nodes.
+  //
+  // Dummy ids are derived from the edge and layer ids, so a dummy that
+  // is still needed after its edge's endpoints move keeps its place.
+  _updateDummies() {
+    for (const edge of this.changes.removedEdges)
+      this.dirtyEdges.add(this.edgeId(edge))
+    const edgeIds = new Set(this.dirtyEdges)
+    for (const id of this.dirtyNodes) {
+      if (!this.nodeMap.has(id)) continue
+      for (const edgeId of this._pred(id)) edgeIds.add(edgeId)
+      for (const edgeId of this._succ(id)) edgeIds.add(edgeId)
+    }
+
+    for (const edgeId of edgeIds) {
+      const edge = this.edgeMap.get(edgeId)
+      const old = this.edgeDummies.get(edgeId) || IList()
+      const chain = []
+      const layerIds = []
+      if (edge) {
+        const [upper, lower] = this._ends(edgeId)
+        const start = this.layerOf(upper) + 1
+        const end = this.layerOf(lower)
+        for (let index = start; index < end; index++) {
+          const layerId = this.layerList.get(index)
+          chain.push(`dummy:${edgeId}@${layerId}`)
+          layerIds.push(layerId)
+        }
+      }
+      if (old.size == chain.length && old.every((id, i) => id == chain[i]))
+        continue
+
+      const keep = new Set(chain)
+      for (const id of old) {
+        if (keep.has(id)) continue
+        const layerId = this.layerMap.get(id)
+        const layer = this.layers.get(layerId)
+        if (layer) {
+          this.layers.set(layerId, { ...layer, sorted: removeSorted(layer.sorted, id) })
+          this.dirtyLayers.add(layerId)
+        }
+        this.dummyMap.delete(id)
+        this.layerMap.delete(id)
+      }
+      chain.forEach((id, i) => {
+        if (this.dummyMap.has(id)) return
+        const layerId = layerIds[i]
+        const layer = this.layers.get(layerId)
+        this.layers.set(layerId, { ...layer, sorted: layer.sorted.push(id) })
+        this.dirtyLayers.add(layerId)
+        this.dummyMap.set(id, { id, edgeId, layerId, pos: undefined, dims: dummyDims })
+        this.layerMap.set(id, layerId)
+        this.dirtyNodes.add(id)
+      })
+      if (chain.length > 0)
+        this.edgeDummies.set(edgeId, IList(chain))
+      else
+        this.edgeDummies.delete(edgeId)
+      this.dirtyEdges.add(edgeId)
+    }
+
+    // dummies go in the cluster their edge is in, so edges of nodes
+    // that changed clusters need theirs placed again
+    for (const id of this.reparentedNodes)
+      for (const edgeId of this._pred(id).union(this._succ(id)))
+        for (const dummyId of this.edgeDummies.get(edgeId) || [])
+          this.dirtyNodes.add(dummyId)
+  }
+
+  // Keep a border dummy in each layer a cluster spans but has nothing
+  // in, so its box has a place in the order of every layer it crosses.
+  // Clusters nested in one that need a border there serve for both.
+  // Borders are redone each update while there are clusters.
+  _updateBorders() {
+    if (this.childMap.size == 0 && !(this.prior?.childMap.size > 0)) return
+    // clusterId -> indices of layers with something in the cluster
+    const layersOf = new Map()
+    const note = (id) => {
+      for (const clusterId of this._clusterPath(id)) {
+        if (!layersOf.has(clusterId)) layersOf.set(clusterId, new Set())
+        layersOf.get(clusterId).add(this.layerOf(id))
+      }
+    }
+    const old = []
+    for (const [id, dummy] of this.dummyMap) {
+      if (dummy.clusterId !== undefined) old.push(id)
+      else note(id)
+    }
+    for (const children of this.childMap.values())
+      for (const id of children)
+        if (this.layerMap.has(id)) note(id)
+
+    const borders = new Map()
+    const innermostFirst = [...layersOf.keys()].sort((a, b) =>
+      this._clusterPath(b).length - this._clusterPath(a).length)
+    for (const clusterId of innermostFirst) {
+      const indices = layersOf.get(clusterId)
+      const top = Math.min(...indices)
+      const bottom = Math.max(...indices)
+      for (let index = top; index <= bottom; index++) {
+        if (indices.has(index)) continue
+        const layerId = this.layerList.get(index)
+        borders.set(`border:${clusterId}@${layerId}`, { clusterId, layerId })
+        for (const ancestorId of this._clusterPath(clusterId))
+          layersOf.get(ancestorId).add(index)
+      }
+    }
+
+    for (const id of old) {
+      if (borders.has(id)) continue
+      const { layerId } = this.dummyMap.get(id)
+      const layer = this.layers.get(layerId)
+      if (layer) {
+        this.layers.set(layerId, { ...layer, sorted: removeSorted(layer.sorted, id) })
+        this.dirtyLayers.add(layerId)
+      }
+      this.dummyMap.delete(id)
+      this.layerMap.delete(id)
+    }
+    for (const [id, { clusterId, layerId }] of borders) {
+      if (this.dummyMap.has(id)) continue
+      const layer = this.layers.get(layerId)
+      this.layers.set(layerId, { ...layer, sorted: layer.sorted.push(id) })
+      this.dirtyLayers.add(layerId)
+      this.dummyMap.set(id, { id, clusterId, layerId, pos: undefined, dims: dummyDims })
+      this.layerMap.set(id, layerId)
+      this.dirtyNodes.add(id)
+    }
+  }
+
+  // Order nodes within layers to reduce edge crossings.
+  //
+  // Only layers holding dirty nodes are touched. Within those layers,
+  // dirty nodes are free to move, while the rest keep their relative
+  // order from the prior version; this keeps the layout stable across
+  // small updates. On a fresh graph every node is dirty, so this is the
+  // usual layer-sweep heuristic:
+  //
+  //  - Sweep down, sorting each layer by the positions of its parents
+  //  - Sweep up, sorting each layer by the positions of its children
+  //
+  // After each sweep the crossings are counted, and the best ordering
+  // seen is kept.
+  //
+  // The contents of each cluster are kept together, so the order is
+  // regrouped after each layer is sorted.
+  _updateOrder() {
+    const free = new Set()
+    for (const id of this.dirtyNodes)
+      if (this.layerMap.has(id)) free.add(id)
+    if (free.size == 0) return
+
+    const layerIds = [...new Set([...free].map(id => this.layerMap.get(id)))]
+    layerIds.sort((a, b) => this.layers.get(a).index - this.layers.get(b).index)
+    const orders = new Map()
+    const pos = new Map()
+    for (const layerId of layerIds) {
+      const order = this.layers.get(layerId).sorted.toArray()
+      orders.set(layerId, order)
+      order.forEach((id, i) => pos.set(id, i))
+    }
+
+    // positions in untouched layers never change, so fill them in lazily
+    const posOf = (id) => {
+      if (!pos.has(id))
+        this.layers.get(this.layerMap.get(id)).sorted.forEach((id, i) => pos.set(id, i))
+      return pos.get(id)
+    }
+
+    // Sibling clusters have to be in the same order in every layer they
+    // share, so they're ordered by where their boxes were. New clusters
+    // go after those, by the mean relative position of their contents
+    // in the layers being ordered.
+    const clustered = this.childMap.size > 0
+    const orientation = this.relayout ? this.prior.options.orientation : this.options.orientation
+    const boxCenters = new Map()
+    const spread = new Map()
+    const boxCenter = (id) => {
+      if (!boxCenters.has(id)) {
+        const layout = this._canonLayout(id, orientation)
+        boxCenters.set(id, layout ? layout.pos.x + layout.dims.w / 2 : Infinity)
+      }
+      return boxCenters.get(id)
+    }
+    const spreadOf = (id) => spread.get(id).sum / spread.get(id).count
+    const compareClusters = (a, b) => boxCenter(a) - boxCenter(b) || spreadOf(a) - spreadOf(b)
+    const regroup = () => {
+      spread.clear()
+      for (const order of orders.values())
+        order.forEach((id, i) => {
+          for (const clusterId of this._clusterPath(id)) {
+            const entry = spread.get(clusterId) || { sum: 0, count: 0 }
+            entry.sum += (i + 0.5) / order.length
+            entry.count++
+            spread.set(clusterId, entry)
+          }
+        })
+      for (const [layerId, order] of orders) {
+        const grouped = this._groupOrder(order, compareClusters)
+        orders.set(layerId, grouped)
+        grouped.forEach((id, i) => pos.set(id, i))
+      }
+    }
+    if (clustered) regroup()
+
+    const keyOf = (id, down) => {
+      const hops = down ? this._predHops(id) : this._succHops(id)
+      if (hops.length == 0) return undefined
+      // ports shift a node toward where its edges attach on the other side
+      const positions = hops.map(hop => posOf(hop.id) + hop.far - hop.near)
+      if (this.options.orderMethod == 'median') {
+        positions.sort((a, b) => a - b)
+        const mid = positions.length >> 1
+        return positions.length % 2 ? positions[mid] : (positions[mid - 1] + positions[mid]) / 2
+      }
+      return positions.reduce((a, b) => a + b, 0) / positions.length
+    }
+
+    // Sort the free nodes of a layer by key, and merge them into the
+    // fixed nodes. Fixed nodes use a running max of their keys, so they
+    // never change relative order; nodes without neighbors on the
+    // relevant side stay next to their current predecessor.
+    const sortLayer = (layerId, down) => {
+      const fixed = []
+      const loose = []
+      let last = -Infinity
+      for (const id of orders.get(layerId)) {
+        let key = keyOf(id, down) ?? last
+        if (free.has(id)) {
+          loose.push([key, id])
+        } else {
+          key = Math.max(key, last)
+          fixed.push([key, id])
+        }
+        last = key
+      }
+      loose.sort((a, b) => a[0] - b[0])
+      const order = []
+      let i = 0
+      for (const [key, id] of loose) {
+        while (i < fixed.length && fixed[i][0] <= key)
+          order.push(fixed[i++][1])
+        order.push(id)
+      }
+      while (i < fixed.length)
+        order.push(fixed[i++][1])
+      orders.set(layerId, order)
+      order.forEach((id, i) => pos.set(id, i))
+    }
+
+    // crossings between each touched layer and its neighbors
+    const crossings = () => {
+      const upper = new Set()
+      for (const layerId of layerIds) {
+        const index = this.layers.get(layerId).index
+        if (index > 0) upper.add(index - 1)
+        if (index < this.layerList.size - 1) upper.add(index)
+      }
+      let total = 0
+      for (const index of upper)
+        total += this._crossingsBelow(index, posOf)
+      return total
+    }
+
+    let best = crossings()
+    let bestOrders = new Map(orders)
+    for (let pass = 0; pass < this.options.orderPasses && best > 0; pass++) {
+      const down = pass % 2 == 0
+      const sweep = down ? layerIds : [...layerIds].reverse()
+      for (const layerId of sweep)
+        sortLayer(layerId, down)
+      if (clustered) regroup()
+      const count = crossings()
+      if (count < best) {
+        best = count
+        bestOrders = new Map(orders)
+      }
+    }
+
+    for (const [layerId, order] of bestOrders) {
+      const layer = this.layers.get(layerId)
+      if (order.some((id, i) => layer.sorted.get(i) != id))
+        this.layers.set(layerId, { ...layer, sorted: IList(order) })
+    }
+  }
+
+  // Regroup the order of a layer so the contents of each cluster are
+  // together, nested like the clusters. Groups take the mean place of
+  // their contents among what's around them, but sibling clusters fill
+  // the places of their groups in the order given, which holds across
+  // layers.
+  _groupOrder(order, compareClusters) {
+    const root = { items: [] }
+    const groups = new Map()
+    order.forEach((id, i) => {
+      let group = root
+      for (const clusterId of this._clusterPath(id)) {
+        let sub = groups.get(clusterId)
+        if (!sub) {
+          sub = { id: clusterId, items: [], sum: 0, count: 0 }
+          groups.set(clusterId, sub)
+          group.items.push(sub)
+        }
+        sub.sum += i
+        sub.count++
+        group = sub
+      }
+      group.items.push({ node: id, sum: i, count: 1 })
+    })
+    const result = []
+    const flatten = (group) => {
+      const items = group.items.sort((a, b) => a.sum / a.count - b.sum / b.count)
+      const clusters = items.filter(item => item.node === undefined)
+        .sort((a, b) => compareClusters(a.id, b.id))
+      let next = 0
+      for (const item of items) {
+        if (item.node !== undefined) result.push(item.node)
+        else flatten(clusters[next++])
+      }
+    }
+    flatten(root)
+    return result
+  }
+
+  // Clusters a node or dummy is laid out in, outermost first. Dummies
+  // are in the innermost cluster holding both ends of their edge, so
+  // edges leaving a cluster run outside it.
+  _clusterPath(id) {
+    let path = this.clusterPaths.get(id)
+    if (path) return path
+    const dummy = this.dummyMap.get(id)
+    if (dummy?.clusterId !== undefined) {
+      path = [...this._clusterPath(dummy.clusterId), dummy.clusterId]
+    } else if (dummy) {
+      const edge = this.edgeMap.get(dummy.edgeId)
+      const source = this._clusterPath(edge.sourceId)
+      const target = this._clusterPath(edge.targetId)
+      let i = 0
+      while (i < source.length && source[i] == target[i]) i++
+      path = source.slice(0, i)
+    } else {
+      const parentId = this.nodeMap.get(id)?.parentId
+      path = parentId === undefined ? [] : [...this._clusterPath(parentId), parentId]
+    }
+    this.clusterPaths.set(id, path)
+    return path
+  }
+
+  // Count the edge crossings between the layer at the given index
+  // and the one below it
+  _crossingsBelow(index, posOf) {
+    const upperId = this.layerList.get(index)
+    const lowerId = this.layerList.get(index + 1)
+    const pairs = []
+    for (const id of this.layers.get(upperId).sorted)
+      for (const hop of this._succHops(id))
+        if (this.layerMap.get(hop.id) == lowerId)
+          pairs.push([posOf(id) + hop.near, posOf(hop.id) + hop.far])
+    return countCrossings(pairs)
+  }
+
+  // Hops from a node or dummy to its neighbors in the layer above, one
+  // per edge, passing through the dummies of long edges. Each hop has
+  // the neighbor's id, the anchor offsets of the edge at both ends
+  // (near is this side, far the neighbor's) and the port it leaves
+  // this side from, if declared.
+  _predHops(id) {
+    const dummy = this.dummyMap.get(id)
+    if (dummy?.clusterId !== undefined) return []
+    if (dummy) {
+      const chain = this.edgeDummies.get(dummy.edgeId)
+      const index = chain.indexOf(id)
+      if (index > 0) return [{ id: chain.get(index - 1), near: 0, far: 0 }]
+      const [upper] = this._ends(dummy.edgeId)
+      return [{ id: upper, near: 0, far: this._endAnchors(dummy.edgeId)[0].offset }]
+    }
+    return this._inEdges(id).toArray().map(edgeId => {
+      const [upper, lower] = this._endAnchors(edgeId)
+      const last = this.edgeDummies.get(edgeId)?.last()
+      if (last) return { id: last, near: lower.offset, far: 0, port: lower.port }
+      return { id: this._ends(edgeId)[0], near: lower.offset, far: upper.offset, port: lower.port }
+    })
+  }
+
+  // Hops from a node or dummy to its neighbors in the layer below
+  _succHops(id) {
+    const dummy = this.dummyMap.get(id)
+    if (dummy?.clusterId !== undefined) return []
+    if (dummy) {
+      const chain = this.edgeDummies.get(dummy.edgeId)
+      const index = chain.indexOf(id)
+      if (index < chain.size - 1) return [{ id: chain.get(index + 1), near: 0, far: 0 }]
+      const [, lower] = this._ends(dummy.edgeId)
+      return [{ id: lower, near: 0, far: this._endAnchors(dummy.edgeId)[1].offset }]
+    }
+    return this._outEdges(id).toArray().map(edgeId => {
+      const [upper, lower] = this._endAnchors(edgeId)
+      const first = this.edgeDummies.get(edgeId)?.first()
+      if (first) return { id: first, near: upper.offset, far: 0, port: upper.port }
+      return { id: this._ends(edgeId)[1], near: upper.offset, far: lower.offset, port: upper.port }
+    })
+  }
+
+  // Where an edge attaches to a node: the port, if the node declares
+  // it, and the anchor's offset from the node's center as a fraction of
+  // its width. Ports are spread evenly across the node in declared
+  // order; edges without one attach at the center.
+  _anchor(id, side, port) {
+    const ports = this.nodeMap.get(id)?.[side]
+    const index = port && ports ? ports.indexOf(port) : -1
+    if (index < 0) return { offset: 0 }
+    return { port, offset: (index + 1) / (ports.length + 1) - 0.5 }
+  }
+
+  dimsOf(id) {
+    if (this.dummyMap.has(id)) return dummyDims
+    return this.nodeMap.get(id)?.dims || this.options.defaultDims
+  }
+
+  // Layout of a node or dummy
+  _layoutOf(id) {
+    return this.nodeLayout.get(id) || this.dummyMap.get(id)
+  }
+
+  // Layout of a node or dummy as it was laid out top to bottom, taking
+  // it back from the given orientation
+  _canonLayout(id, orientation = this.options.orientation) {
+    const layout = this._layoutOf(id)
+    return layout?.pos && unproject(orientation, layout.pos, layout.dims)
+  }
+
+  // Dims of a node or dummy when laid out top to bottom
+  _canonDims(id) {
+    const dims = this.dimsOf(id)
+    return isTransposed(this.options.orientation) ? { w: dims.h, h: dims.w } : dims
+  }
+
+  _setLayout(id, pos, dims) {
+    const dummy = this.dummyMap.get(id)
+    if (dummy) {
+      this.dummyMap.set(id, { ...dummy, pos, dims })
+    } else {
+      this.nodeLayout.set(id, { pos, dims })
+      this.laidOutNodes.add(id)
+    }
+  }
+
+  // Note where the declared ports of a node sit on its boundary: inputs
+  // along the top and outputs along the bottom, as laid out top to
+  // bottom, projected like the node itself
+  _setAnchors(id, pos, dims) {
+    const node = this.nodeMap.get(id)
+    if (!node?.inputPorts && !node?.outputPorts) return
+    const anchors = (side, y) => {
+      const points = {}
+      for (const port of node[side] || []) {
+        const x = pos.x + (this._anchor(id, side, port).offset + 0.5) * dims.w
+        points[port] = projectPoint(this.options.orientation, { x, y })
+      }
+      return points
+    }
+    this.nodeLayout.set(id, {
+      ...this.nodeLayout.get(id),
+      inputs: anchors('inputPorts', pos.y),
+      outputs: anchors('outputPorts', pos.y + dims.h),
+    })
+  }
+
+  // Assign coordinates to nodes.
+  //
+  // All of this happens as if the layout ran top to bottom; positions
+  // are projected to the configured orientation as they're written, and
+  // taken back when they're read.
+  //
+  // Horizontally, only layers holding dirty nodes are placed; the rest
+  // keep the positions of the prior version. Within a placed layer, each
+  // node has a desired center - its prior x for clean nodes, the mean x
+  // of its neighbors for dirty ones - and the layer is laid out as close
+  // to those as possible while keeping order and spacing. Placement
+  // sweeps down using parents, then up using parents and children.
+  //
+  // Vertically, layers are stacked top to bottom, each as tall as its
+  // tallest node, with nodes centered in their layer. The gap below each
+  // layer is tall enough to hold the edge tracks running through it.
+  //
+  // Clusters are boxes around their contents, padded on every side;
+  // nodes outside a cluster are kept clear of its box, and the gaps
+  // between layers make room for the borders of boxes ending there.
+  _updateCoords() {
+    const free = new Set()
+    for (const id of this.dirtyNodes)
+      if (this.layerMap.has(id)) free.add(id)
+
+    // after an options change, every layer is placed from its prior
+    // positions, which may be in another orientation
+    let layerIds
+    let priorOrientation = this.options.orientation
+    if (this.relayout) {
+      priorOrientation = this.prior.options.orientation
+      layerIds = this.layerList.toArray()
+      for (const layerId of layerIds) this.dirtyLayers.add(layerId)
+    } else {
+      const ids = [...free, ...this.resizedNodes].filter(id => this.layerMap.has(id))
+      layerIds = [...new Set(ids.map(id => this.layerMap.get(id)))]
+    }
+
+    // horizontal: place the layers with dirty nodes
+    layerIds.sort((a, b) => this.layers.get(a).index - this.layers.get(b).index)
+    const xs = new Map()
+    const priorX = (id) => {
+      const layout = this._canonLayout(id, priorOrientation)
+      return layout && layout.pos.x + layout.dims.w / 2
+    }
+    const centerOf = (id) => xs.has(id) ? xs.get(id) : priorX(id)
+    for (const down of [true, false]) {
+      const sweep = down ? layerIds : [...layerIds].reverse()
+      for (const layerId of sweep) {
+        const order = this.layers.get(layerId).sorted.toArray()
+        const desired = order.map(id => {
+          if (!free.has(id)) return priorX(id)
+          const hops = down
+            ? this._predHops(id)
+            : [...this._predHops(id), ...this._succHops(id)]
+          const { w } = this._canonDims(id)
+          const centers = hops
+            .filter(hop => centerOf(hop.id) !== undefined)
+            .map(hop => centerOf(hop.id) + hop.far * this._canonDims(hop.id).w - hop.near * w)
+          if (centers.length == 0) return undefined
+          return centers.reduce((a, b) => a + b, 0) / centers.length
+        })
+        const centers = this._placeLayer(order, desired)
+        order.forEach((id, i) => xs.set(id, centers[i]))
+      }
+    }
+
+    // borders of boxes opening above and closing below each layer
+    const opening = new Map()
+    const closing = new Map()
+    let clusters
+    if (this.childMap.size > 0) {
+      clusters = this._clusterInfo()
+      const placed = new Set(layerIds)
+      this._separateClusters(clusters, placed, centerOf, xs)
+      layerIds = [...placed]
+      for (const cluster of clusters.values()) {
+        opening.set(cluster.top, Math.max(opening.get(cluster.top) || 0, cluster.open))
+        closing.set(cluster.bottom, Math.max(closing.get(cluster.bottom) || 0, cluster.close))
+      }
+    }
+
+    this._updateTracks(new Set([...layerIds, ...this.dirtyLayers]), centerOf)
+
+    // vertical: restack the layers, noting which ones shifted
+    const { layerSpacing, trackSpacing, clusterPadding } = this.options
+    const shifted = new Set()
+    let y = 0
+    for (const layerId of this.layerList) {
+      let layer = this.layers.get(layerId)
+      let height = layer.height
+      if (this.dirtyLayers.has(layerId))
+        height = Math.max(0, ...layer.nodes.map(id => this._canonDims(id).h))
+      const below = (closing.get(layer.index) || 0) * clusterPadding
+      const above = (opening.get(layer.index + 1) || 0) * clusterPadding
+      const gap = Math.max(layerSpacing, (layer.numTracks + 1) * trackSpacing + below + above)
+      if (layer.y != y || layer.height != height || layer.gap != gap ||
+        layer.closing != below || layer.opening != above) {
+        layer = { ...layer, y, height, gap, closing: below, opening: above }
+        this.layers.set(layerId, layer)
+        shifted.add(layerId)
+      }
+      y += height + gap
+    }
+
+    // write back any layouts that changed, and mark their edges dirty
+    for (const layerId of new Set([...layerIds, ...shifted])) {
+      const layer = this.layers.get(layerId)
+      for (const id of layer.sorted) {
+        const canon = this._canonDims(id)
+        const x = centerOf(id) - canon.w / 2
+        const y = layer.y + (layer.height - canon.h) / 2
+        const { pos, dims } = project(this.options.orientation, { x, y }, canon)
+        const layout = this._layoutOf(id)
+        // dirty nodes may have new ports, so their anchors are redone
+        const anchored = this.relayout || this.dirtyNodes.has(id)
+        if (!anchored && layout?.pos?.x == pos.x && layout.pos.y == pos.y &&
+          layout.dims.w == dims.w && layout.dims.h == dims.h) continue
+        this._setLayout(id, pos, layout?.dims.w == dims.w && layout.dims.h == dims.h ? layout.dims : dims)
+        this._setAnchors(id, { x, y }, canon)
+        this._markEdgesDirty(id)
+      }
+    }
+
+    if (clusters) this._setClusterBoxes(clusters)
+  }
+
+  // Gather the clusters afresh: what's directly in each one, the nodes
+  // and dummies and the clusters nested in it, the layers it spans, and
+  // how many borders open above its top layer and close below its
+  // bottom one, counting nested clusters that end there too
+  _clusterInfo() {
+    const clusters = new Map()
+    for (const [id, children] of this.childMap) {
+      const cluster = { id, items: [], children: [], top: Infinity, bottom: -Infinity, open: 1, close: 1 }
+      for (const child of children)
+        (this.childMap.has(child) ? cluster.children : cluster.items).push(child)
+      clusters.set(id, cluster)
+    }
+    for (const id of this.dummyMap.keys()) {
+      const path = this._clusterPath(id)
+      if (path.length > 0) clusters.get(path[path.length - 1]).items.push(id)
+    }
+    const done = new Set()
+    const visit = (cluster) => {
+      if (done.has(cluster.id)) return cluster
+      done.add(cluster.id)
+      for (const id of cluster.items) {
+        cluster.top = Math.min(cluster.top, this.layerOf(id))
+        cluster.bottom = Math.max(cluster.bottom, this.layerOf(id))
+      }
+      const children = cluster.children.map(id => visit(clusters.get(id)))
+      for (const child of children) {
+        cluster.top = Math.min(cluster.top, child.top)
+        cluster.bottom = Math.max(cluster.bottom, child.bottom)
+      }
+      for (const child of children) {
+        if (child.top == cluster.top) cluster.open = Math.max(cluster.open, child.open + 1)
+        if (child.bottom == cluster.bottom) cluster.close = Math.max(cluster.close, child.close + 1)
+      }
+      return cluster
+    }
+    for (const cluster of clusters.values()) visit(cluster)
+    return clusters
+  }
+
+  // Horizontal extent of a cluster's box, as laid out top to bottom
+  _clusterBounds(cluster, clusters, centerOf, bounds) {
+    if (bounds.has(cluster.id)) return bounds.get(cluster.id)
+    let lo = Infinity
+    let hi = -Infinity
+    for (const id of cluster.items) {
+      const { w } = this._canonDims(id)
+      lo = Math.min(lo, centerOf(id) - w / 2)
+      hi = Math.max(hi, centerOf(id) + w / 2)
+    }
+    for (const childId of cluster.children) {
+      const child = this._clusterBounds(clusters.get(childId), clusters, centerOf, bounds)
+      lo = Math.min(lo, child.lo)
+      hi = Math.max(hi, child.hi)
+    }
+    const { clusterPadding } = this.options
+    const result = { lo: lo - clusterPadding, hi: hi + clusterPadding }
+    bounds.set(cluster.id, result)
+    return result
+  }
+
+  // Keep the boxes of clusters clear of everything else. A box spans
+  // every layer its contents are in, so in each of those layers, what's
+  // to the right of the cluster is pushed right of its box, and if
+  // what's to the left reaches into the box, the contents are pushed
+  // right of that. Neighbors are pushed along to keep their spacing.
+  // Everything only moves right, so with clusters in the same order in
+  // every layer this settles; layers pushed are added to those placed.
+  _separateClusters(clusters, placed, centerOf, xs) {
+    const { nodeSpacing, clusterPadding } = this.options
+    const widthOf = (id) => this._canonDims(id).w
+    const spacing = (a, b) =>
+      (widthOf(a) + widthOf(b)) / 2 + nodeSpacing + this._borderGap(a, b)
+    const orders = new Map()
+    const orderOf = (layerId) => {
+      if (!orders.has(layerId))
+        orders.set(layerId, this.layers.get(layerId).sorted.toArray())
+      return orders.get(layerId)
+    }
+    // push a node right, and its neighbors after it as needed
+    let moved = false
+    const push = (id, x) => {
+      const layerId = this.layerMap.get(id)
+      const order = orderOf(layerId)
+      xs.set(id, x)
+      for (let i = order.indexOf(id) + 1; i < order.length; i++) {
+        const min = centerOf(order[i - 1]) + spacing(order[i - 1], order[i])
+        if (centerOf(order[i]) >= min - 1e-6) break
+        xs.set(order[i], min)
+      }
+      placed.add(layerId)
+      moved = true
+    }
+    // nodes and dummies in a cluster, with the padding of the clusters
+    // around them inside it
+    const contents = (cluster) => {
+      const result = cluster.items.map(id => [id, clusterPadding])
+      for (const childId of cluster.children)
+        for (const [id, padding] of contents(clusters.get(childId)))
+          result.push([id, padding + clusterPadding])
+      return result
+    }
+
+    const rightOf = (cluster) => Math.max(...contents(cluster)
+      .map(([id, padding]) => centerOf(id) + widthOf(id) / 2 + padding))
+    // push the contents of a cluster right of a line
+    const pushContents = (cluster, lo) => {
+      for (const [id, padding] of contents(cluster)) {
+        const min = lo + padding + widthOf(id) / 2
+        if (centerOf(id) < min - 1e-6) push(id, min)
+      }
+    }
+
+    for (let round = 0; round <= clusters.size + 1; round++) {
+      moved = false
+      for (const cluster of clusters.values()) {
+        // layerList is mutable here, so it can't be sliced
+        const layerIds = []
+        for (let index = cluster.top; index <= cluster.bottom; index++)
+          layerIds.push(this.layerList.get(index))
+        if (!layerIds.some(layerId => placed.has(layerId))) continue
+        // the outermost cluster a node is in that this one isn't in
+        const path = this._clusterPath(cluster.id)
+        const apart = (id) => {
+          const other = this._clusterPath(id)
+          let i = 0
+          while (i < path.length && other[i] == path[i]) i++
+          return clusters.get(other[i])
+        }
+
+        // the box has to start right of whatever is left of it
+        let lo = -Infinity
+        for (const layerId of layerIds) {
+          const order = orderOf(layerId)
+          const first = order.findIndex(id => this._clusterPath(id).includes(cluster.id))
+          if (first <= 0) continue
+          const id = order[first - 1]
+          const other = apart(id)
+          lo = Math.max(lo, nodeSpacing + (other ? rightOf(other) : centerOf(id) + widthOf(id) / 2))
+        }
+        pushContents(cluster, lo)
+
+        // and whatever is right of it has to start right of the box
+        const hi = rightOf(cluster) + nodeSpacing
+        for (const layerId of layerIds) {
+          const order = orderOf(layerId)
+          let last = order.length - 1
+          while (last >= 0 && !this._clusterPath(order[last]).includes(cluster.id)) last--
+          if (last < 0 || last == order.length - 1) continue
+          const id = order[last + 1]
+          const other = apart(id)
+          if (other) pushContents(other, hi)
+          else if (centerOf(id) < hi + widthOf(id) / 2 - 1e-6) push(id, hi + widthOf(id) / 2)
+        }
+      }
+      if (!moved) break
+    }
+  }
+
+  // Extra space between neighbors in a layer for the borders of the
+  // clusters between them
+  _borderGap(a, b) {
+    if (this.childMap.size == 0) return 0
+    const pathA = this._clusterPath(a)
+    const pathB = this._clusterPath(b)
+    let i = 0
+    while (i < pathA.length && pathA[i] == pathB[i]) i++
+    return (pathA.length + pathB.length - 2 * i) * this.options.clusterPadding
+  }
+
+  // Write the box of each cluster around its contents as laid out,
+  // reaching from the top of its first layer to the bottom of its last
+  _setClusterBoxes(clusters) {
+    const { clusterPadding, orientation } = this.options
+    const bounds = new Map()
+    const centerOf = (id) => {
+      const { pos, dims } = this._canonLayout(id)
+      return pos.x + dims.w / 2
+    }
+    for (const cluster of clusters.values()) {
+      const { lo, hi } = this._clusterBounds(cluster, clusters, centerOf, bounds)
+      const top = this.layers.get(this.layerList.get(cluster.top))
+      const bottom = this.layers.get(this.layerList.get(cluster.bottom))
+      const y = top.y - cluster.open * clusterPadding
+      const canon = { w: hi - lo, h: bottom.y + bottom.height + cluster.close * clusterPadding - y }
+      const { pos, dims } = project(orientation, { x: lo, y }, canon)
+      const layout = this.nodeLayout.get(cluster.id)
+      if (layout?.pos.x == pos.x && layout.pos.y == pos.y &&
+        layout.dims.w == dims.w && layout.dims.h == dims.h) continue
+      this._setLayout(cluster.id, pos, dims)
+    }
+  }
+
+  // Mark the edges entering or leaving a node or dummy dirty
+  _markEdgesDirty(id) {
+    const dummy = this.dummyMap.get(id)
+    if (dummy) {
+      if (dummy.edgeId !== undefined) this.dirtyEdges.add(dummy.edgeId)
+    } else {
+      for (const edgeId of this._pred(id)) this.dirtyEdges.add(edgeId)
+      for (const edgeId of this._succ(id)) this.dirtyEdges.add(edgeId)
+    }
+  }
+
+  // Assign tracks in the gaps below layers.
+  //
+  // Each hop of an edge from one layer to the next runs horizontally
+  // along a track in the gap between them, railroad style. Hops leaving
+  // the same node and port share a track; hops whose spans overlap get
+  // different ones. A gap is revisited when a layer next to it changed or a dirty
+  // edge runs through it, and hops keep their prior track when they can.
+  _updateTracks(layerIds, centerOf) {
+    const indices = new Set()
+    for (const layerId of layerIds) {
+      const layer = this.layers.get(layerId)
+      if (!layer) continue
+      indices.add(layer.index)
+      indices.add(layer.index - 1)
+    }
+    for (const edgeId of this.dirtyEdges) {
+      const edge = this.edgeMap.get(edgeId)
+      if (!edge) continue
+      const [upper, lower] = this._ends(edgeId)
+      for (let i = this.layerOf(upper); i < this.layerOf(lower); i++)
+        indices.add(i)
+    }
+    for (const edge of this.changes.removedEdges)
+      for (const id of [edge.sourceId, edge.targetId])
+        if (this.nodeMap.has(id))
+          indices.add(this.layerOf(id))
+
+    const { trackSpacing } = this.options
+    for (const index of indices) {
+      const layerId = this.layerList.get(index)
+      if (layerId === undefined) continue
+      const layer = this.layers.get(layerId)
+      // span of the hops leaving each node in this layer
+      const groups = new Map()
+      for (const id of layer.sorted) {
+        const { w } = this._canonDims(id)
+        for (const hop of this._succHops(id)) {
+          const x1 = centerOf(id) + hop.near * w
+          const x2 = centerOf(hop.id) + hop.far * this._canonDims(hop.id).w
+          if (x1 == x2) continue
+          const key = trackKey(id, hop.port)
+          const group = groups.get(key) || { id: key, lo: x1, hi: x1 }
+          group.lo = Math.min(group.lo, x2)
+          group.hi = Math.max(group.hi, x2)
+          groups.set(key, group)
+        }
+      }
+      // keep prior tracks first, then fill in the rest left to right
+      const prior = layer.tracks
+      const pending = [...groups.values()].sort((a, b) =>
+        (prior.get(a.id) ?? Infinity) - (prior.get(b.id) ?? Infinity) || a.lo - b.lo)
+      const placed = []
+      const fits = (group, track) => placed.every(other => other.track != track ||
+        group.lo >= other.hi + trackSpacing || other.lo >= group.hi + trackSpacing)
+      const tracks = IMap().withMutations(tracks => {
+        for (const group of pending) {
+          let track = prior.get(group.id)
+          if (track === undefined || !fits(group, track)) {
+            track = 0
+            while (!fits(group, track)) track++
+          }
+          placed.push({ ...group, track })
+          tracks.set(group.id, track)
+        }
+      })
+      if (tracks.equals(prior)) continue
+      const numTracks = placed.reduce((max, group) => Math.max(max, group.track + 1), 0)
+      this.layers.set(layerId, { ...layer, tracks, numTracks })
+      for (const id of layer.sorted)
+        this._markEdgesDirty(id)
+    }
+  }
+
+  // Route edges whose endpoints, dummies or tracks moved.
+  //
+  // Routes are orthogonal: down from the source, along a track in each
+  // gap the edge crosses, and down into the target, passing straight
+  // through the layers between on its dummies.
+  _updateEdgeLayouts() {
+    const { edgeRadius, orientation } = this.options
+    const centerOf = (id) => {
+      const { pos, dims } = this._canonLayout(id)
+      return pos.x + dims.w / 2
+    }
+    for (const edgeId of this.dirtyEdges) {
+      const edge = this.edgeMap.get(edgeId)
+      if (!edge) {
+        this.edgeLayouts.delete(edgeId)
+        continue
+      }
+      const back = this.backEdges.has(edgeId)
+      const points = edge.sourceId == edge.targetId
+        ? this._loopPoints(edgeId)
+        : this._routePoints(edgeId, centerOf)
+      // back edges are routed top to bottom, but still run from source
+      // to target
+      if (back) points.reverse()
+      for (let i = 0; i < points.length; i++)
+        points[i] = projectPoint(orientation, points[i])
+      const old = this.edgeLayouts.get(edgeId)
+      if (old && !!old.back == back && old.points.length == points.length &&
+        old.points.every((p, i) => p.x == points[i].x && p.y == points[i].y))
+        continue
+      const layout = { points, path: roundedPath(points, edgeRadius) }
+      this.edgeLayouts.set(edgeId, back ? { ...layout, back } : layout)
+    }
+  }
+
+  // Route an edge from its upper to its lower end, as laid out top to
+  // bottom
+  _routePoints(edgeId, centerOf) {
+    const { trackSpacing } = this.options
+    const [upperId, lowerId] = this._ends(edgeId)
+    const [upperAnchor, lowerAnchor] = this._endAnchors(edgeId)
+    const upper = this._canonLayout(upperId)
+    const lower = this._canonLayout(lowerId)
+    const hops = [upperId, ...(this.edgeDummies.get(edgeId) || []), lowerId]
+    const xs = hops.map(centerOf)
+    xs[0] += upperAnchor.offset * upper.dims.w
+    xs[xs.length - 1] += lowerAnchor.offset * lower.dims.w
+    let x = xs[0]
+    const points = [{ x, y: upper.pos.y + upper.dims.h }]
+    for (let i = 0; i < hops.length - 1; i++) {
+      const nextX = xs[i + 1]
+      if (nextX == x) continue
+      const layer = this.layers.get(this.layerMap.get(hops[i]))
+      const key = i == 0 ? trackKey(hops[i], upperAnchor.port) : hops[i]
+      const track = layer.tracks.get(key) ?? 0
+      // tracks run in the middle of what cluster borders leave of the gap
+      const middle = layer.closing + (layer.gap - layer.closing - layer.opening) / 2
+      const y = layer.y + layer.height + middle +
+        (track - (layer.numTracks - 1) / 2) * trackSpacing
+      points.push({ x, y }, { x: nextX, y })
+      x = nextX
+    }
+    points.push({ x, y: lower.pos.y })
+    return points
+  }
+
+  // Route a self loop around the right side of its node, from the
+  // bottom back into the top. It's a back edge, so this runs from
+  // target to source.
+  _loopPoints(edgeId) {
+    const { trackSpacing, nodeSpacing } = this.options
+    const edge = this.getEdge(edgeId)
+    const { pos, dims } = this._canonLayout(edge.sourceId)
+    const [input, output] = this._endAnchors(edgeId)
+    const x1 = pos.x + (output.offset + 0.5) * dims.w
+    const x2 = pos.x + (input.offset + 0.5) * dims.w
+    const right = pos.x + dims.w + nodeSpacing / 2
+    const top = pos.y - trackSpacing
+    const bottom = pos.y + dims.h + trackSpacing
+    return [
+      { x: x2, y: pos.y },
+      { x: x2, y: top },
+      { x: right, y: top },
+      { x: right, y: bottom },
+      { x: x1, y: bottom },
+      { x: x1, y: pos.y + dims.h },
+    ]
+  }
+
+  // Place the nodes of a layer, in order and with spacing, minimizing
+  // the squared distance from each node's desired center. Nodes without
+  // a desired center just follow their left neighbor; if none of them
+  // do, the layer starts at x = 0. Returns centers.
+  _placeLayer(order, desired) {
+    // minimum offset of each node from the first one
+    const offsets = []
+    let offset = 0
+    order.forEach((id, i) => {
+      if (i > 0)
+        offset += (this._canonDims(order[i - 1]).w + this._canonDims(id).w) / 2 +
+          this.options.nodeSpacing + this._borderGap(order[i - 1], id)
+      offsets.push(offset)
+    })
+    // with the offsets factored out, this is an isotonic regression
+    const values = desired.map((x, i) => x === undefined ? undefined : x - offsets[i])
+    let last = values.find(v => v !== undefined) ?? this._canonDims(order[0]).w / 2
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] === undefined) values[i] = last
+      last = values[i]
+    }
+    return isotonic(values).map((v, i) => v + offsets[i])
+  }
+
   // Move the node to a new layer, crushing the original layer
-  // if it becomes empty
+  // if it becomes empty. The node is appended to the new layer
+  // and marked dirty so that _updateOrder will place it properly.
   _moveNodeLayer(id, newIndex) {
     const oldId = this.layerMap.get(id)
     let oldLayer = this.layers.get(oldId)
     let newLayer = this.layerByIndex(newIndex)
-    oldLayer = { ...oldLayer, nodes: oldLayer.nodes.remove(id) }
-    newLayer = { ...newLayer, nodes: newLayer.nodes.add(id) }
+    oldLayer = {
+      ...oldLayer,
+      nodes: oldLayer.nodes.remove(id),
+      sorted: removeSorted(oldLayer.sorted, id),
+    }
+    newLayer = {
+      ...newLayer,
+      nodes: newLayer.nodes.add(id),
+      sorted: newLayer.sorted.push(id),
+    }
+    this.dirtyNodes.add(id)
+    this.dirtyLayers.add(oldId)
+    this.dirtyLayers.add(newLayer.id)
     this.layers.set(newLayer.id, newLayer)
     this.layerMap.set(id, newLayer.id)
-    if (oldLayer.nodes.size == 0) {
-      this.layers.delete(oldId)
-      this.layerList.remove(oldLayer.index)
-      // Update indices for all layers after the removed one
-      for (let i = oldLayer.index; i < this.layerList.size; i++) {
-        const layerId = this.layerList.get(i)
-        const layer = { ...this.layers.get(layerId), index: i }
-        this.layers.set(layerId, layer)
-      }
-    } else {
+    if (oldLayer.nodes.size == 0)
+      this._crushLayer(oldLayer)
+    else
       this.layers.set(oldId, oldLayer)
+  }
+
+  // Remove a layer that has no nodes left
+  _crushLayer(layer) {
+    // edges passing through get new dummy chains; borders are redone
+    // anyway
+    for (const dummyId of layer.sorted) {
+      const { edgeId } = this.dummyMap.get(dummyId)
+      if (edgeId !== undefined) this.dirtyEdges.add(edgeId)
     }
+    this.layers.delete(layer.id)
+    // Shift later layers up and update their indices; List.remove
+    // can't be used here since layerList is mutable
+    for (let i = layer.index; i < this.layerList.size - 1; i++) {
+      const layerId = this.layerList.get(i + 1)
+      this.layerList.set(i, layerId)
+      this.layers.set(layerId, { ...this.layers.get(layerId), index: i })
+    }
+    this.layerList.pop()
   }
 
   // Get the layer at the given index, creating it if necessary
@@ -447,7 +2001,19 @@ export class Graph {
     while (index >= this.layerList.size) {
       const id = this.nextLayerId++
       const layerIndex = this.layerList.size  // Use current size as the index
-      const layer = { id, index: layerIndex, nodes: ISet() }
+      const layer = {
+        id,
+        index: layerIndex,
+        nodes: ISet(),
+        sorted: IList(),
+        y: 0,
+        height: 0,
+        gap: 0,
+        tracks: IMap(),
+        numTracks: 0,
+        closing: 0,
+        opening: 0,
+      }
       this.layers.set(id, layer)
       this.layerList.push(id)  // Store ID, not layer object
     }
@@ -488,14 +2054,138 @@ export class Graph {
   }
 }
 
+// Hops leaving the same node share a track, unless they leave from
+// different ports
+function trackKey(id, port) {
+  return port === undefined ? id : `${id}.${port}`
+}
+
+// Compare two optional lists, such as a node's ports
+function sameList(a, b) {
+  if (a == b) return true
+  if (!a || !b || a.length != b.length) return false
+  return a.every((item, i) => item == b[i])
+}
+
+// Remove an id from a sorted layer list, if present
+function removeSorted(sorted, id) {
+  const index = sorted.indexOf(id)
+  return index < 0 ? sorted : sorted.delete(index)
+}
+
+// Count crossings between two layers using an accumulator tree
+// (Barth, Jünger & Mutzel). Each pair is [upper pos, lower pos];
+// positions may be fractional when edges attach at ports, so lower
+// positions are ranked first. Edges sharing an end don't cross.
+function countCrossings(pairs) {
+  pairs.sort((a, b) => a[0] - b[0] || a[1] - b[1])
+  const ranks = new Map([...new Set(pairs.map(pair => pair[1]))]
+    .sort((a, b) => a - b).map((pos, i) => [pos, i]))
+  let first = 1
+  while (first < ranks.size) first *= 2
+  const tree = new Array(2 * first - 1).fill(0)
+  first -= 1
+  let crossings = 0
+  for (const [, lower] of pairs) {
+    let index = ranks.get(lower) + first
+    tree[index]++
+    while (index > 0) {
+      if (index % 2) crossings += tree[index + 1]
+      index = (index - 1) >> 1
+      tree[index]++
+    }
+  }
+  return crossings
+}
+// Least-squares fit of a non-decreasing sequence to the given values,
+// by pooling adjacent violators
+function isotonic(values) {
+  const blocks = []
+  for (const value of values) {
+    let block = { sum: value, count: 1 }
+    while (blocks.length > 0) {
+      const prev = blocks[blocks.length - 1]
+      if (prev.sum / prev.count <= block.sum / block.count) break
+      blocks.pop()
+      block = { sum: prev.sum + block.sum, count: prev.count + block.count }
+    }
+    blocks.push(block)
+  }
+  const result = []
+  for (const block of blocks)
+    for (let i = 0; i < block.count; i++)
+      result.push(block.sum / block.count)
+  return result
+}
+// Layouts are computed top to bottom, with x across layers and y down
+// through them. Other orientations swap the axes and/or mirror the flow
+// axis about zero, so that positions don't depend on the graph's extent.
+function isTransposed(orientation) {
+  return orientation == 'LR' || orientation == 'RL'
+}
+
+function projectPoint(orientation, { x, y }) {
+  switch (orientation) {
+    case 'BT': return { x, y: -y }
+    case 'LR': return { x: y, y: x }
+    case 'RL': return { x: -y, y: x }
+    default: return { x, y }
+  }
+}
+
+// Project a top-to-bottom box to the given orientation
+function project(orientation, pos, dims) {
+  switch (orientation) {
+    case 'BT': return { pos: { x: pos.x, y: -(pos.y + dims.h) }, dims }
+    case 'LR': return { pos: { x: pos.y, y: pos.x }, dims: { w: dims.h, h: dims.w } }
+    case 'RL': return { pos: { x: -(pos.y + dims.h), y: pos.x }, dims: { w: dims.h, h: dims.w } }
+    default: return { pos, dims }
+  }
+}
+
+// Take a box in the given orientation back to top to bottom
+function unproject(orientation, pos, dims) {
+  switch (orientation) {
+    case 'BT': return { pos: { x: pos.x, y: -(pos.y + dims.h) }, dims }
+    case 'LR': return { pos: { x: pos.y, y: pos.x }, dims: { w: dims.h, h: dims.w } }
+    case 'RL': return { pos: { x: pos.y, y: -(pos.x + dims.w) }, dims: { w: dims.h, h: dims.w } }
+    default: return { pos, dims }
+  }
+}
+
+// SVG path data for an orthogonal polyline, with its corners rounded
+function roundedPath(points, radius) {
+  let d = `M ${points[0].x} ${points[0].y}`
+  for (let i = 1; i < points.length - 1; i++) {
+    const [prev, point, next] = [points[i - 1], points[i], points[i + 1]]
+    const r = Math.min(
+      radius,
+      Math.hypot(point.x - prev.x, point.y - prev.y) / 2,
+      Math.hypot(next.x - point.x, next.y - point.y) / 2
+    )
+    const inX = Math.sign(point.x - prev.x)
+    const inY = Math.sign(point.y - prev.y)
+    const outX = Math.sign(next.x - point.x)
+    const outY = Math.sign(next.y - point.y)
+    const sweep = inX * outY - inY * outX > 0 ? 1 : 0
+    d += ` L ${point.x - inX * r} ${point.y - inY * r}`
+    d += ` A ${r} ${r} 0 0 ${sweep} ${point.x + outX * r} ${point.y + outY * r}`
+  }
+  const last = points[points.length - 1]
+  return d + ` L ${last.x} ${last.y}`
+}
 
 export class Mutator {
-  constructor() {
+  constructor(graph) {
+    // the graph the changes will apply to, if known
+    this.graph = graph
     this.changes = {
       addedNodes: [],
       removedNodes: [],
+      updatedNodes: [],
       addedEdges: [],
       removedEdges: [],
+      updatedEdges: [],
     }
   }
 
@@ -533,4 +2223,20 @@ export class Mutator {
   removeEdges(...edges) {
     edges.forEach(edge => this.removeEdge(edge))
   }
+
+  updateNode(node) {
+    this.changes.updatedNodes.push(node)
+  }
+
+  updateNodes(...nodes) {
+    nodes.forEach(node => this.updateNode(node))
+  }
+
+  updateEdge(edge) {
+    this.changes.updatedEdges.push(edge)
+  }
+
+  updateEdges(...edges) {
+    edges.forEach(edge => this.updateEdge(edge))
+  }
 }
\ No newline at end of file
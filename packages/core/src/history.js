@@ -0,0 +1,156 @@
+import { Graph } from './graph.js'
+
+// Undo and redo through versions of a graph.
+//
+// Versions are immutable and keep their layout, so going back is just
+// a matter of keeping hold of them. History holds them in a tree: each
+// entry is a version and the one it was made from, and making a new
+// version after undoing starts a branch alongside the old one, which
+// redo can still reach. Listeners are told whenever the current
+// version changes, with the one it replaced; the two share history
+// through prior, so Graph.diff between them is cheap.
+//
+// That sharing means limit bounds the undo steps, not memory: every
+// version holds on to the ones it was made from, so those dropped
+// stay alive as long as a later one is. Resetting to a version loaded
+// afresh lets go of them.
+export class History {
+  constructor(graph = new Graph(), { limit = 100 } = {}) {
+    // most undo steps kept; older entries are dropped, though not the
+    // versions they made, which later ones still refer to
+    this.limit = limit
+    this.listeners = new Map()
+    // depth of open groups, and the entry the outermost one started at
+    this.grouping = 0
+    this.groupStart = undefined
+    this._reset(graph)
+  }
+
+  get graph() {
+    return this.entry.graph
+  }
+
+  get canUndo() {
+    return !!this.entry.parent
+  }
+
+  get canRedo() {
+    return this.entry.children.length > 0
+  }
+
+  // Versions redo can go to from here, the one it goes to first
+  branches() {
+    const { children, next } = this.entry
+    if (children.length == 0) return []
+    return [next, ...children.filter(child => child !== next)].map(child => child.graph)
+  }
+
+  // Make the version a change returns the current one. The change is
+  // a function of the current version, or the new version itself.
+  apply(change) {
+    const graph = typeof change == 'function' ? change(this.graph) : change
+    if (graph === this.graph) return graph
+    const previous = this.graph
+    if (this.grouping > 0 && this.entry !== this.groupStart) {
+      // later changes in a group replace the version the group made
+      this.entry.graph = graph
+    } else {
+      const entry = { graph, parent: this.entry, children: [], next: undefined }
+      this.entry.children.push(entry)
+      this.entry.next = entry
+      this.entry = entry
+      this._trim()
+    }
+    if (this.grouping == 0) this._emit('apply', previous)
+    return graph
+  }
+
+  // Run a callback whose changes undo and redo as one. Listeners hear
+  // about the group when it ends; if the callback throws, the changes
+  // it made are dropped.
+  group(callback) {
+    if (this.grouping++ == 0) this.groupStart = this.entry
+    const start = this.groupStart
+    let result
+    try {
+      result = callback(this)
+    } catch (error) {
+      if (--this.grouping == 0) this._rollback(start)
+      throw error
+    }
+    if (--this.grouping == 0 && this.entry !== start)
+      this._emit('apply', start.graph)
+    return result
+  }
+
+  undo() {
+    if (!this.canUndo) return this.graph
+    const previous = this.graph
+    this.entry.parent.next = this.entry
+    this.entry = this.entry.parent
+    this._emit('undo', previous)
+    return this.graph
+  }
+
+  // Redo the last version undone from here, or another of the branches
+  redo(branch) {
+    if (!this.canRedo) return this.graph
+    const next = branch === undefined
+      ? this.entry.next
+      : this.entry.children.find(child => child.graph === branch)
+    if (!next) throw new Error('Not a branch of the current version')
+    const previous = this.graph
+    this.entry.next = next
+    this.entry = next
+    this._emit('redo', previous)
+    return this.graph
+  }
+
+  // Start over from a version, forgetting everything before it
+  reset(graph) {
+    const previous = this.graph
+    this._reset(graph)
+    if (graph !== previous) this._emit('reset', previous)
+  }
+
+  // Listen for changes to the current version; returns a function
+  // that stops listening
+  on(type, listener) {
+    if (type != 'change') throw new Error(`Unknown History event: ${type}`)
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set())
+    this.listeners.get(type).add(listener)
+    return () => this.off(type, listener)
+  }
+
+  off(type, listener) {
+    this.listeners.get(type)?.delete(listener)
+  }
+
+  _reset(graph) {
+    this.entry = { graph, parent: undefined, children: [], next: undefined }
+    this.grouping = 0
+  }
+
+  _emit(cause, previous) {
+    const event = { graph: this.graph, previous, cause }
+    for (const listener of this.listeners.get('change') || [])
+      listener(event)
+  }
+
+  // Drop the entries more than limit steps back, along with the
+  // branches that only they led to
+  _trim() {
+    const path = []
+    for (let entry = this.entry; entry; entry = entry.parent)
+      path.push(entry)
+    if (path.length - 1 > this.limit)
+      path[this.limit].parent = undefined
+  }
+
+  _rollback(start) {
+    if (this.entry === start) return
+    start.children = start.children.filter(child => child !== this.entry)
+    start.next = start.children[start.children.length - 1]
+    this.entry = start
+  }
+}
@@ -1 +1,20 @@
-export { Graph } from './graph.js'
+export { Graph, Mutator } from './graph.js'
+export { History } from './history.js'
+export { Viewport } from './viewport.js'
+export { Transition } from './transition.js'
+export { render, unrender, midpoint } from './render.js'
+export { minimap } from './minimap.js'
+export { Builder } from './builder.js'
+export {
+  GraphError,
+  MissingNodeError,
+  MissingEdgeError,
+  DuplicateNodeError,
+  DuplicateEdgeError,
+  UnknownPortError,
+  CycleError,
+  ValidationError,
+} from './errors.js'
+export { parseDot, readDot, writeDot } from './formats/dot.js'
+export { parseMermaid, readMermaid, writeMermaid } from './formats/mermaid.js'
+export { parseGraphML, readGraphML, writeGraphML } from './formats/graphml.js'
@@ -0,0 +1,202 @@
+// An overview of a whole graph, for finding the way around a viewport.
+//
+// The mini-map draws nodes as plain boxes and edges as thin lines,
+// scaled down to a small svg, with a rectangle over the part of the
+// graph the viewport shows. Pressing in it brings the viewport there,
+// and dragging moves it along; grabbing the rectangle drags it from
+// where it's held. Like render, drawing a new version patches what's
+// there, touching only what changed layout, so it stays cheap on large
+// graphs.
+
+import { element, attrs } from './svg.js'
+
+const defaultOptions = {
+  // Viewport the rectangle shows, and that input moves
+  viewport: undefined,
+  // size of the svg
+  width: 200,
+  height: 150,
+  // space around the graph, in graph units
+  padding: 20,
+  // prefix of the classes, as for render; the svg is {prefix}-minimap
+  className: 'steadyflow',
+}
+
+// container -> mini-map drawn into it
+const drawings = new WeakMap()
+
+// Draw an overview of a version of a graph into a container, patching
+// whatever an earlier call left there. Returns the svg element.
+export function minimap(graph, container, options = {}) {
+  options = { ...defaultOptions, ...options }
+  let drawing = drawings.get(container)
+  if (!drawing || drawing.svg.parentNode !== container || drawing.options.className != options.className) {
+    drawing?.release?.()
+    drawing?.svg.remove()
+    drawing = create(container, options)
+    drawings.set(container, drawing)
+  }
+  if (drawing.viewport !== options.viewport) {
+    drawing.release?.()
+    drawing.release = options.viewport?.on('change', () => patchView(drawing))
+    drawing.viewport = options.viewport
+  }
+  drawing.options = options
+  patchNodes(drawing, graph)
+  patchEdges(drawing, graph)
+  patchBounds(drawing, graph)
+  patchView(drawing)
+  return drawing.svg
+}
+
+function create(container, options) {
+  const prefix = `${options.className}-minimap`
+  const svg = element(container, 'svg', { class: prefix })
+  const drawing = {
+    svg,
+    options,
+    viewport: undefined,
+    // stops following the viewport
+    release: undefined,
+    // colors are set on the layers, so parts only carry their geometry
+    clusterLayer: element(svg, 'g', { class: `${prefix}-clusters`, fill: '#e2e8f0' }),
+    edgeLayer: element(svg, 'g', { class: `${prefix}-edges`, fill: 'none', stroke: '#cbd5e1' }),
+    nodeLayer: element(svg, 'g', { class: `${prefix}-nodes`, fill: '#94a3b8' }),
+    view: element(svg, 'rect', {
+      class: `${prefix}-view`,
+      fill: '#3b82f6',
+      'fill-opacity': 0.1,
+      stroke: '#3b82f6',
+      'vector-effect': 'non-scaling-stroke',
+    }),
+    // id -> { shape, cluster, layout }
+    nodes: new Map(),
+    edges: new Map(),
+    // graph area shown
+    box: undefined,
+    // the pointer dragging, and the offset from it to the middle of the
+    // view, in graph units
+    drag: undefined,
+  }
+  svg.addEventListener('pointerdown', event => press(drawing, event))
+  svg.addEventListener('pointermove', event => move(drawing, event))
+  svg.addEventListener('pointerup', event => letGo(drawing, event))
+  svg.addEventListener('pointercancel', event => letGo(drawing, event))
+  // the browser would scroll the page on touch otherwise
+  if (svg.style) svg.style.touchAction = 'none'
+  return drawing
+}
+
+function patchNodes(drawing, graph) {
+  for (const [id, entry] of drawing.nodes)
+    if (!graph.nodeLayout.get(id) || graph.isCluster(id) != entry.cluster) {
+      entry.shape.remove()
+      drawing.nodes.delete(id)
+    }
+  for (const [id, layout] of graph.nodeLayout) {
+    let entry = drawing.nodes.get(id)
+    if (!entry) {
+      const cluster = graph.isCluster(id)
+      const shape = element(cluster ? drawing.clusterLayer : drawing.nodeLayer, 'rect', { 'data-id': id })
+      entry = { shape, cluster, layout: undefined }
+      drawing.nodes.set(id, entry)
+    }
+    if (entry.layout === layout) continue
+    const { pos, dims } = layout
+    attrs(entry.shape, { x: pos.x, y: pos.y, width: dims.w, height: dims.h })
+    entry.layout = layout
+  }
+}
+
+function patchEdges(drawing, graph) {
+  for (const [id, entry] of drawing.edges)
+    if (!graph.hasEdge(id) || !graph.edgeLayout(id)) {
+      entry.shape.remove()
+      drawing.edges.delete(id)
+    }
+  for (const edge of graph.edges()) {
+    const id = graph.edgeId(edge)
+    const layout = graph.edgeLayout(id)
+    if (!layout) continue
+    let entry = drawing.edges.get(id)
+    if (!entry) {
+      const shape = element(drawing.edgeLayer, 'path', { 'data-id': id, 'vector-effect': 'non-scaling-stroke' })
+      entry = { shape, layout: undefined }
+      drawing.edges.set(id, entry)
+    }
+    if (entry.layout === layout) continue
+    attrs(entry.shape, { d: layout.path })
+    entry.layout = layout
+  }
+}
+
+// Scale the graph to the svg
+function patchBounds(drawing, graph) {
+  const { pos, dims } = graph.bounds()
+  const { width, height, padding } = drawing.options
+  drawing.box = {
+    pos: { x: pos.x - padding, y: pos.y - padding },
+    dims: { w: dims.w + 2 * padding, h: dims.h + 2 * padding },
+  }
+  const { x, y } = drawing.box.pos
+  const { w, h } = drawing.box.dims
+  attrs(drawing.svg, { width, height, viewBox: `${x} ${y} ${w} ${h}` })
+}
+
+// Put the rectangle over what the viewport shows
+function patchView(drawing) {
+  const { viewport, view } = drawing
+  const { w, h } = viewport ? viewport.viewSize() : { w: 0, h: 0 }
+  if (w == 0 || h == 0) {
+    attrs(view, { visibility: 'hidden' })
+    return
+  }
+  const { pos, dims } = shown(viewport)
+  attrs(view, { visibility: 'visible', x: pos.x, y: pos.y, width: dims.w, height: dims.h })
+}
+
+function press(drawing, event) {
+  const { viewport } = drawing
+  if (!viewport || event.button > 0) return
+  event.preventDefault()
+  const point = pointAt(drawing, event)
+  const { pos, dims } = shown(viewport)
+  const inside = point.x >= pos.x && point.x <= pos.x + dims.w && point.y >= pos.y && point.y <= pos.y + dims.h
+  drawing.drag = {
+    pointerId: event.pointerId,
+    offset: inside ? { x: pos.x + dims.w / 2 - point.x, y: pos.y + dims.h / 2 - point.y } : { x: 0, y: 0 },
+  }
+  drawing.svg.setPointerCapture?.(event.pointerId)
+  if (!inside) viewport.centerAt(point)
+}
+
+function move(drawing, event) {
+  const { drag, viewport } = drawing
+  if (!drag || drag.pointerId !== event.pointerId || !viewport) return
+  const point = pointAt(drawing, event)
+  viewport.centerAt({ x: point.x + drag.offset.x, y: point.y + drag.offset.y })
+}
+
+function letGo(drawing, event) {
+  if (drawing.drag?.pointerId === event.pointerId) drawing.drag = undefined
+}
+
+// Graph area the viewport shows
+function shown(viewport) {
+  const { w, h } = viewport.viewSize()
+  const a = viewport.toGraph({ x: 0, y: 0 })
+  const b = viewport.toGraph({ x: w, y: h })
+  return { pos: a, dims: { w: b.x - a.x, h: b.y - a.y } }
+}
+
+// Graph coordinates of a pointer over the svg, which shows the box
+// scaled to fit and centered, as the default preserveAspectRatio does
+function pointAt(drawing, event) {
+  const rect = drawing.svg.getBoundingClientRect()
+  const { pos, dims } = drawing.box
+  const scale = Math.min(rect.width / dims.w, rect.height / dims.h)
+  return {
+    x: pos.x + (event.clientX - rect.left - (rect.width - dims.w * scale) / 2) / scale,
+    y: pos.y + (event.clientY - rect.top - (rect.height - dims.h * scale) / 2) / scale,
+  }
+}
@@ -0,0 +1,156 @@
+import { MissingNodeError, CycleError } from './errors.js'
+
+// Queries over the structure of a graph.
+//
+// Every edge runs from a lower layer to a higher one, unless it's a
+// back edge, so searches toward a node can skip anything in a layer
+// past it. Only searches from one node to another, shortestPath and
+// isReachable, are pruned that way; ancestors and descendants have no
+// node to stop at, so they visit all they reach and use the layers
+// just to put it in order.
+//
+// Versions never change, so results are cached with the version
+// they're for, and frozen to keep them that way. Clusters only group
+// nodes and take no part in the flow, so they're left out.
+
+function cached(graph, key, compute) {
+  if (!graph.queryCache.has(key))
+    graph.queryCache.set(key, Object.freeze(compute()))
+  return graph.queryCache.get(key)
+}
+
+function check(graph, id) {
+  if (!graph.hasNode(id)) throw new MissingNodeError(id)
+}
+
+// Ids in layer order, and by order within layers
+function inFlowOrder(graph, ids) {
+  const rank = cached(graph, 'rank', () => new Map(layerOrder(graph).map((id, i) => [id, i])))
+  return [...ids].sort((a, b) => rank.get(a) - rank.get(b))
+}
+
+// Everything reachable from a node along edges one way, other than
+// the node itself. All of it is wanted, so there's nothing to prune.
+function reach(graph, id, next) {
+  const found = new Set()
+  const stack = [id]
+  while (stack.length > 0)
+    for (const other of next(stack.pop()))
+      if (!found.has(other)) {
+        found.add(other)
+        stack.push(other)
+      }
+  found.delete(id)
+  return found
+}
+
+export function ancestors(graph, id) {
+  check(graph, id)
+  return cached(graph, `ancestors:${id}`, () =>
+    inFlowOrder(graph, reach(graph, id, other => graph.predNodes(other))))
+}
+
+export function descendants(graph, id) {
+  check(graph, id)
+  return cached(graph, `descendants:${id}`, () =>
+    inFlowOrder(graph, reach(graph, id, other => graph.succNodes(other))))
+}
+
+// The layers already put every edge forward, except back edges.
+// Those stay reversed after the cycles they broke are gone, so the
+// order is only worked out afresh when there are any.
+export function topologicalOrder(graph) {
+  return cached(graph, 'topologicalOrder', () => {
+    if (graph.backEdges.size == 0) return layerOrder(graph)
+    for (const edgeId of graph.backEdges) {
+      const { sourceId, targetId } = graph.getEdge(edgeId)
+      const route = shortestPath(graph, targetId, sourceId)
+      if (route) throw new CycleError([sourceId, ...route])
+    }
+    // nodes once all the nodes with edges to them are placed
+    const waiting = new Map()
+    const order = layerOrder(graph).filter(id => graph.predNodes(id).size == 0)
+    for (let i = 0; i < order.length; i++)
+      for (const next of graph.succNodes(order[i])) {
+        const count = (waiting.get(next) ?? graph.predNodes(next).size) - 1
+        waiting.set(next, count)
+        if (count == 0) order.push(next)
+      }
+    return order
+  })
+}
+
+// Fewest edges from one node to another, as the nodes along the way,
+// or undefined if there's no way
+export function shortestPath(graph, from, to) {
+  check(graph, from)
+  check(graph, to)
+  // ids can hold any character, so they're kept apart in the key
+  return cached(graph, JSON.stringify(['shortestPath', from, to]), () => {
+    if (from == to) return [from]
+    // without back edges, nothing past the target's layer leads to it
+    const pruned = graph.backEdges.size == 0
+    const limit = pruned ? graph.layerOf(to) : Infinity
+    if (graph.isCluster(from) || graph.isCluster(to) || graph.layerOf(from) >= limit)
+      return undefined
+    const parents = new Map([[from, undefined]])
+    const queue = [from]
+    for (let i = 0; i < queue.length; i++) {
+      for (const next of graph.succNodes(queue[i])) {
+        if (parents.has(next) || graph.layerOf(next) > limit) continue
+        parents.set(next, queue[i])
+        if (next == to) {
+          const path = []
+          for (let id = to; id !== undefined; id = parents.get(id))
+            path.push(id)
+          return path.reverse()
+        }
+        queue.push(next)
+      }
+    }
+    return undefined
+  })
+}
+
+export function isReachable(graph, from, to) {
+  return shortestPath(graph, from, to) !== undefined
+}
+
+// Nodes without edges in, in layer order
+export function roots(graph) {
+  return cached(graph, 'roots', () =>
+    layerOrder(graph).filter(id => graph.predNodes(id).size == 0))
+}
+
+// Nodes without edges out, in layer order
+export function leaves(graph) {
+  return cached(graph, 'leaves', () =>
+    layerOrder(graph).filter(id => graph.succNodes(id).size == 0))
+}
+
+// Groups of nodes joined by edges either way, each in layer order,
+// ordered by their first nodes
+export function connectedComponents(graph) {
+  return cached(graph, 'connectedComponents', () => {
+    const components = []
+    const seen = new Set()
+    for (const id of layerOrder(graph)) {
+      if (seen.has(id)) continue
+      const component = reach(graph, id, other => [...graph.predNodes(other), ...graph.succNodes(other)])
+      component.add(id)
+      for (const other of component) seen.add(other)
+      components.push(Object.freeze(inFlowOrder(graph, component)))
+    }
+    return components
+  })
+}
+
+// Nodes in layer order, whether or not edges form cycles
+function layerOrder(graph) {
+  return cached(graph, 'layerOrder', () => {
+    const order = []
+    for (let index = 0; index < graph.layerList.size; index++)
+      order.push(...graph.layerNodes(index))
+    return order
+  })
+}
@@ -0,0 +1,325 @@
+// Drawing laid-out graphs as SVG, without a framework.
+//
+// Each container holds one drawing, and rendering a new version into
+// it patches what's there: layouts are shared between versions until
+// they change, so only the nodes and edges whose layout or data are
+// new get touched. Nodes are groups translated to their position, with
+// content from a callback; edges are paths along their routes, ending
+// in arrowheads, with optional labels. Everything carries a class, and
+// data-id with its id, for styling and for finding it from events.
+// The svg is sized to the graph, unless a viewport pans and zooms it.
+// A builder draws its handles over the top, and follows each version.
+//
+// What's drawn are the states of a Transition, which jump straight to
+// each version, or with animate, move there over a few frames.
+
+import { element, attrs } from './svg.js'
+import { Transition } from './transition.js'
+
+const defaultOptions = {
+  // content of a node: text for the default box, or an element drawn
+  // in its place, at the node's top-left corner
+  renderNode: (node) => node.data?.label ?? node.id,
+  // label of an edge, if any
+  edgeLabel: (edge) => edge.data?.label,
+  // space around the graph
+  padding: 20,
+  // class of the svg element; parts get it as a prefix
+  className: 'steadyflow',
+  // a Viewport to pan and zoom the drawing with; the svg then fills the
+  // container and the viewport handles input on it
+  viewport: undefined,
+  // whether to animate between versions: true, or the duration and
+  // easing of the Transition
+  animate: false,
+  // a Builder to edit the graph with, by gestures on the drawing
+  builder: undefined,
+}
+
+// container -> drawing rendered into it
+const drawings = new WeakMap()
+// markers need ids unique to the document
+let nextMarker = 0
+
+// Draw a version of a graph into a container, patching whatever an
+// earlier render left there. Returns the svg element.
+export function render(graph, container, options = {}) {
+  options = { ...defaultOptions, ...options }
+  let drawing = drawings.get(container)
+  if (!drawing || drawing.svg.parentNode !== container || drawing.options.className != options.className) {
+    if (drawing) dispose(drawing)
+    drawing = create(container, options)
+    drawings.set(container, drawing)
+  }
+  const redraw = optionsChanged(drawing.options, options)
+  if (redraw) {
+    // content depends on the callbacks, so all of it is redone
+    drawing.nodes.clear()
+    drawing.edges.clear()
+    drawing.nodeLayer.replaceChildren()
+    drawing.edgeLayer.replaceChildren()
+    drawing.clusterLayer.replaceChildren()
+  }
+  if (drawing.viewport !== options.viewport) {
+    drawing.release?.()
+    drawing.release = options.viewport && follow(drawing, options.viewport)
+    drawing.viewport = options.viewport
+  }
+  if (drawing.builder !== options.builder) {
+    drawing.unbuild?.()
+    drawing.unbuild = options.builder?.attach(drawing.svg, drawing.root)
+    drawing.builder = options.builder
+  }
+  drawing.options = options
+  const { transition } = drawing
+  transition.configure(options.animate === true ? {} : options.animate || { duration: 0 })
+  transition.update(graph)
+  if (redraw) patch(drawing, { nodes: transition.nodes.keys(), edges: transition.edges.keys() })
+  if (options.viewport) options.viewport.setGraph(graph)
+  else patchBounds(drawing, graph)
+  if (options.builder) options.builder.setGraph(graph)
+  return drawing.svg
+}
+
+// Take a drawing out of a container: stop its transition, let go of
+// its viewport and builder, and remove the svg. Rendering into the
+// container again starts afresh.
+export function unrender(container) {
+  const drawing = drawings.get(container)
+  if (!drawing) return
+  dispose(drawing)
+  drawings.delete(container)
+}
+
+function dispose(drawing) {
+  drawing.release?.()
+  drawing.unbuild?.()
+  drawing.stop()
+  drawing.svg.remove()
+}
+
+function create(container, options) {
+  const prefix = options.className
+  const svg = element(container, 'svg', { class: prefix })
+  const marker = `${prefix}-arrow-${nextMarker++}`
+  const defs = element(svg, 'defs')
+  const arrow = element(defs, 'marker', {
+    id: marker,
+    viewBox: '0 0 10 10',
+    refX: 10,
+    refY: 5,
+    markerWidth: 8,
+    markerHeight: 8,
+    orient: 'auto',
+  })
+  element(arrow, 'path', { d: 'M 0 0 L 10 5 L 0 10 z', fill: 'context-stroke' })
+  const root = element(svg, 'g', { class: `${prefix}-graph` })
+  const transition = new Transition()
+  const drawing = {
+    svg,
+    root,
+    marker,
+    options,
+    viewport: undefined,
+    // stops following the viewport
+    release: undefined,
+    builder: undefined,
+    // takes the builder's handles away
+    unbuild: undefined,
+    // clusters go under edges, and edges under nodes
+    clusterLayer: element(root, 'g', { class: `${prefix}-clusters` }),
+    edgeLayer: element(root, 'g', { class: `${prefix}-edges` }),
+    nodeLayer: element(root, 'g', { class: `${prefix}-nodes` }),
+    // id -> { group, cluster or path and label, state drawn }
+    nodes: new Map(),
+    edges: new Map(),
+    transition,
+    stop: undefined,
+  }
+  const stop = transition.on('change', changed => patch(drawing, changed))
+  drawing.stop = () => {
+    stop()
+    transition.finish()
+  }
+  return drawing
+}
+
+function optionsChanged(before, after) {
+  return before.renderNode !== after.renderNode || before.edgeLabel !== after.edgeLabel
+}
+
+// Redraw the nodes and edges whose state changed
+function patch(drawing, changed) {
+  for (const id of changed.nodes) patchNode(drawing, id, drawing.transition.nodes.get(id))
+  for (const id of changed.edges) patchEdge(drawing, id, drawing.transition.edges.get(id))
+}
+
+function patchNode(drawing, id, state) {
+  const prefix = drawing.options.className
+  let entry = drawing.nodes.get(id)
+  if (entry && (!state || state.cluster != entry.cluster)) {
+    entry.group.remove()
+    drawing.nodes.delete(id)
+    entry = undefined
+  }
+  if (!state) return
+  if (!entry) {
+    const layer = state.cluster ? drawing.clusterLayer : drawing.nodeLayer
+    const group = element(layer, 'g', { class: `${prefix}-${state.cluster ? 'cluster' : 'node'}`, 'data-id': id })
+    entry = { group, cluster: state.cluster, state: undefined }
+    drawing.nodes.set(id, entry)
+  }
+  const before = entry.state
+  if (before === state) return
+  const { pos, dims } = state
+  attrs(entry.group, { transform: `translate(${pos.x} ${pos.y})` })
+  fade(entry.group, state.opacity)
+  const resized = before?.dims.w != dims.w || before?.dims.h != dims.h
+  if (before?.node !== state.node || resized) {
+    if (state.cluster) drawCluster(entry.group, state.node, dims, prefix)
+    else drawNode(entry.group, state.node, dims, drawing.options)
+  }
+  entry.state = state
+}
+
+// Show a part partly faded, or not at all
+function fade(el, opacity) {
+  if (opacity < 1) attrs(el, { opacity })
+  else if (el.getAttribute('opacity') !== null) el.removeAttribute('opacity')
+}
+
+function drawNode(group, node, dims, { renderNode, className }) {
+  const content = renderNode(node, dims)
+  group.replaceChildren()
+  if (typeof content != 'string' && typeof content != 'number') {
+    if (content) group.appendChild(content)
+    return
+  }
+  box(group, dims, `${className}-box`, 'white')
+  element(group, 'text', {
+    class: `${className}-label`,
+    x: dims.w / 2,
+    y: dims.h / 2,
+    'text-anchor': 'middle',
+    'dominant-baseline': 'central',
+  }).textContent = String(content)
+}
+
+function drawCluster(group, node, dims, prefix) {
+  group.replaceChildren()
+  box(group, dims, `${prefix}-box`, '#f8fafc')
+  element(group, 'text', {
+    class: `${prefix}-label`,
+    x: 6,
+    y: 6,
+    'dominant-baseline': 'hanging',
+  }).textContent = String(node.data?.label ?? node.id)
+}
+
+function box(group, dims, className, fill) {
+  element(group, 'rect', {
+    class: className,
+    width: dims.w,
+    height: dims.h,
+    rx: 4,
+    fill,
+    stroke: '#64748b',
+  })
+}
+
+function patchEdge(drawing, id, state) {
+  const prefix = drawing.options.className
+  let entry = drawing.edges.get(id)
+  if (!state) {
+    entry?.group.remove()
+    drawing.edges.delete(id)
+    return
+  }
+  if (!entry) {
+    const group = element(drawing.edgeLayer, 'g', { class: `${prefix}-edge`, 'data-id': id })
+    const path = element(group, 'path', {
+      fill: 'none',
+      stroke: '#64748b',
+      'marker-end': `url(#${drawing.marker})`,
+    })
+    entry = { group, path, label: undefined, state: undefined }
+    drawing.edges.set(id, entry)
+  }
+  const before = entry.state
+  if (before === state) return
+  attrs(entry.group, { class: `${prefix}-edge${state.back ? ` ${prefix}-back` : ''}` })
+  attrs(entry.path, { d: state.path })
+  fade(entry.group, state.opacity)
+  let moved = before?.points !== state.points
+  if (before?.edge !== state.edge) {
+    const text = drawing.options.edgeLabel(state.edge)
+    if (text === undefined || text === null || text === '') {
+      entry.label?.remove()
+      entry.label = undefined
+    } else {
+      if (!entry.label) {
+        entry.label = element(entry.group, 'text', {
+          class: `${prefix}-edge-label`,
+          'text-anchor': 'middle',
+          'dominant-baseline': 'central',
+        })
+        moved = true
+      }
+      entry.label.textContent = String(text)
+    }
+  }
+  if (entry.label && moved) {
+    const { x, y } = midpoint(state.points)
+    attrs(entry.label, { x, y })
+  }
+  entry.state = state
+}
+
+// Size the drawing to what's in it
+function patchBounds(drawing, graph) {
+  const { pos, dims } = graph.bounds()
+  const pad = drawing.options.padding
+  const w = dims.w + 2 * pad
+  const h = dims.h + 2 * pad
+  attrs(drawing.svg, { width: w, height: h, viewBox: `${pos.x - pad} ${pos.y - pad} ${w} ${h}` })
+}
+
+// Let a viewport move the drawing, until the returned function is called
+function follow(drawing, viewport) {
+  const { svg, root } = drawing
+  svg.removeAttribute('viewBox')
+  attrs(svg, { width: '100%', height: '100%' })
+  const apply = () => attrs(root, { transform: viewport.transform })
+  apply()
+  const stop = viewport.on('change', apply)
+  const detach = viewport.attach(svg)
+  return () => {
+    stop()
+    detach()
+    root.removeAttribute('transform')
+  }
+}
+
+// Point halfway along a route, where edge labels go
+export function midpoint(points) {
+  let length = 0
+  for (let i = 1; i < points.length; i++)
+    length += distance(points[i - 1], points[i])
+  let left = length / 2
+  for (let i = 1; i < points.length; i++) {
+    const step = distance(points[i - 1], points[i])
+    if (step >= left && step > 0) {
+      const t = left / step
+      return {
+        x: points[i - 1].x + (points[i].x - points[i - 1].x) * t,
+        y: points[i - 1].y + (points[i].y - points[i - 1].y) * t,
+      }
+    }
+    left -= step
+  }
+  return points[0]
+}
+
+function distance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y)
+}
@@ -0,0 +1,123 @@
+import { Map as IMap, List as IList, Set as ISet } from 'immutable'
+
+// Bump when the format changes, and keep reading older versions
+export const formatVersion = 1
+
+// Plain JSON for a graph, with everything needed to restore it as it
+// is: not just nodes and edges, but the layers they're in, the order
+// within them and the layout, so a restored graph stays stable
+export function serialize(graph) {
+  const layers = graph.layerList.toArray().map(layerId => {
+    const layer = graph.layers.get(layerId)
+    return {
+      id: layer.id,
+      sorted: layer.sorted.toArray(),
+      y: layer.y,
+      height: layer.height,
+      gap: layer.gap,
+      tracks: layer.tracks.toObject(),
+      numTracks: layer.numTracks,
+      closing: layer.closing,
+      opening: layer.opening,
+    }
+  })
+  const dummies = []
+  for (const chain of graph.edgeDummies.values())
+    for (const id of chain) {
+      const { edgeId, pos } = graph.dummyMap.get(id)
+      dummies.push({ id, edgeId, pos })
+    }
+  // borders keep clusters apart in layers where they hold nothing else
+  for (const { id, clusterId, pos } of graph.dummyMap.values())
+    if (clusterId !== undefined) dummies.push({ id, clusterId, pos })
+  return {
+    version: formatVersion,
+    options: graph.options,
+    nextLayerId: graph.nextLayerId,
+    nodes: graph.nodeMap.valueSeq().toArray(),
+    edges: graph.edgeMap.valueSeq().toArray(),
+    layers,
+    nodeLayout: graph.nodeLayout.toObject(),
+    dummies,
+    edgeLayouts: graph.edgeLayouts.toObject(),
+    backEdges: graph.backEdges.toArray(),
+  }
+}
+
+// Rebuild the state of a graph from its JSON, deriving the maps that
+// aren't stored. Takes the graph to fill in, for its edge ids.
+export function hydrate(graph, json) {
+  if (json?.version !== formatVersion)
+    throw new Error(`Unsupported graph format version: ${json?.version}`)
+
+  const dummyMap = IMap().asMutable()
+  const edgeDummies = IMap().asMutable()
+  for (const { id, edgeId, clusterId, pos } of json.dummies) {
+    if (clusterId !== undefined) {
+      dummyMap.set(id, { id, clusterId, layerId: undefined, pos, dims: { w: 0, h: 0 } })
+      continue
+    }
+    dummyMap.set(id, { id, edgeId, layerId: undefined, pos, dims: { w: 0, h: 0 } })
+    edgeDummies.set(edgeId, (edgeDummies.get(edgeId) || IList()).push(id))
+  }
+
+  const layers = IMap().asMutable()
+  const layerMap = IMap().asMutable()
+  json.layers.forEach((layer, index) => {
+    const sorted = IList(layer.sorted)
+    layers.set(layer.id, {
+      id: layer.id,
+      index,
+      nodes: ISet(sorted.filter(id => !dummyMap.has(id))),
+      sorted,
+      y: layer.y,
+      height: layer.height,
+      gap: layer.gap,
+      tracks: IMap(layer.tracks),
+      numTracks: layer.numTracks,
+      closing: layer.closing ?? 0,
+      opening: layer.opening ?? 0,
+    })
+    for (const id of sorted) {
+      layerMap.set(id, layer.id)
+      if (dummyMap.has(id))
+        dummyMap.set(id, { ...dummyMap.get(id), layerId: layer.id })
+    }
+  })
+
+  const nodeMap = IMap().asMutable()
+  const predMap = IMap().asMutable()
+  const succMap = IMap().asMutable()
+  const childMap = IMap().asMutable()
+  for (const node of json.nodes) {
+    nodeMap.set(node.id, node)
+    predMap.set(node.id, ISet())
+    succMap.set(node.id, ISet())
+    if (node.parentId !== undefined)
+      childMap.set(node.parentId, (childMap.get(node.parentId) || ISet()).add(node.id))
+  }
+  const edgeMap = IMap().asMutable()
+  for (const edge of json.edges) {
+    const id = graph.edgeId(edge)
+    edgeMap.set(id, edge)
+    predMap.set(edge.targetId, predMap.get(edge.targetId).add(id))
+    succMap.set(edge.sourceId, succMap.get(edge.sourceId).add(id))
+  }
+
+  return {
+    nodeMap: nodeMap.asImmutable(),
+    edgeMap: edgeMap.asImmutable(),
+    layerMap: layerMap.asImmutable(),
+    layers: layers.asImmutable(),
+    layerList: IList(json.layers.map(layer => layer.id)),
+    predMap: predMap.asImmutable(),
+    succMap: succMap.asImmutable(),
+    nodeLayout: IMap(json.nodeLayout),
+    dummyMap: dummyMap.asImmutable(),
+    edgeDummies: edgeDummies.asImmutable(),
+    edgeLayouts: IMap(json.edgeLayouts),
+    backEdges: ISet(json.backEdges),
+    childMap: childMap.asImmutable(),
+    nextLayerId: json.nextLayerId,
+  }
+}
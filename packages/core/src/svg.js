@@ -0,0 +1,16 @@
+// Helpers for drawing SVG, shared by the renderers
+
+export const SVG = 'http://www.w3.org/2000/svg'
+
+export function element(parent, tag, values = {}) {
+  const el = parent.ownerDocument.createElementNS(SVG, tag)
+  attrs(el, values)
+  parent.appendChild(el)
+  return el
+}
+
+// Set attributes, leaving those that already have the value alone
+export function attrs(el, values) {
+  for (const [name, value] of Object.entries(values))
+    if (el.getAttribute(name) !== String(value)) el.setAttribute(name, String(value))
+}
@@ -0,0 +1,230 @@
+// Animated transitions between versions of a graph, for any renderer.
+//
+// A transition holds what's shown of each node and edge while the
+// drawing moves from one version to the next: new ones fade in, removed
+// ones fade out, moved nodes slide to their new places, and edges bend
+// from their old routes to their new ones. Renderers draw the states,
+// and redraw those listeners are told changed on each frame. A version
+// arriving mid-transition carries on from wherever things are.
+//
+// States at rest keep their identity until their node, edge or layout
+// changes, so renderers can skip them as they skip unchanged layouts.
+
+import { requestFrame, cancelFrame } from './frame.js'
+
+const defaultOptions = {
+  // milliseconds a transition takes; 0 jumps straight to each version
+  duration: 300,
+  // progress at a share of the duration
+  easing: t => t < 0.5 ? 2 * t * t : 1 - (2 - 2 * t) * (2 - 2 * t) / 2,
+}
+
+export class Transition {
+  constructor(options = {}) {
+    this.configure(options)
+    // version transitioned to
+    this.graph = undefined
+    // id -> state shown:
+    // nodes { id, node, cluster, layout, pos, dims, opacity }
+    // edges { id, edge, layout, points, path, back, opacity }
+    // where layout is the one being moved to
+    this.nodes = new Map()
+    this.edges = new Map()
+    // id -> { from, to, start } of those moving
+    this.tweens = { nodes: new Map(), edges: new Map() }
+    this.frame = undefined
+    this.listeners = new Map()
+  }
+
+  // Change the options, for versions from the next on; those not given
+  // go back to their defaults
+  configure(options = {}) {
+    this.options = { ...defaultOptions, ...options }
+  }
+
+  // Whether anything is still moving
+  get running() {
+    return this.tweens.nodes.size + this.tweens.edges.size > 0
+  }
+
+  // Move towards a version. The first one shows at once, as does any
+  // with a duration of 0.
+  update(graph) {
+    if (graph === this.graph) return
+    const animate = this.graph !== undefined && this.options.duration > 0
+    this.graph = graph
+    const now = Date.now()
+    const changed = { nodes: new Set(), edges: new Set() }
+
+    const nodes = new Set()
+    for (const node of graph.nodes()) {
+      const layout = graph.nodeLayout.get(node.id)
+      if (!layout) continue
+      nodes.add(node.id)
+      const to = {
+        id: node.id,
+        node,
+        cluster: graph.isCluster(node.id),
+        layout,
+        pos: layout.pos,
+        dims: layout.dims,
+        opacity: 1,
+      }
+      this._target('nodes', to, animate, now, changed.nodes)
+    }
+    for (const [id, shown] of this.nodes)
+      if (!nodes.has(id)) this._leave('nodes', shown, animate, now, changed.nodes)
+
+    const edges = new Set()
+    for (const edge of graph.edges()) {
+      const id = graph.edgeId(edge)
+      const layout = graph.edgeLayout(id)
+      if (!layout) continue
+      edges.add(id)
+      const to = {
+        id,
+        edge,
+        layout,
+        points: layout.points,
+        path: layout.path,
+        back: layout.back,
+        opacity: 1,
+      }
+      this._target('edges', to, animate, now, changed.edges)
+    }
+    for (const [id, shown] of this.edges)
+      if (!edges.has(id)) this._leave('edges', shown, animate, now, changed.edges)
+
+    if (this.running && this.frame === undefined) this.frame = requestFrame(() => this._step())
+    if (changed.nodes.size + changed.edges.size > 0) this._emit(changed)
+  }
+
+  // Jump to the end of whatever's moving
+  finish() {
+    if (this.frame !== undefined) cancelFrame(this.frame)
+    this.frame = undefined
+    const changed = { nodes: new Set(), edges: new Set() }
+    for (const kind of ['nodes', 'edges']) {
+      for (const [id, tween] of this.tweens[kind]) {
+        this._land(kind, id, tween)
+        changed[kind].add(id)
+      }
+      this.tweens[kind].clear()
+    }
+    if (changed.nodes.size + changed.edges.size > 0) this._emit(changed)
+  }
+
+  // Listen for states changing, with the ids of those that did;
+  // returns a function that stops listening
+  on(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set())
+    this.listeners.get(type).add(listener)
+    return () => this.off(type, listener)
+  }
+
+  off(type, listener) {
+    this.listeners.get(type)?.delete(listener)
+  }
+
+  // Head for a state, from wherever the shown one is
+  _target(kind, to, animate, now, changed) {
+    const shown = this[kind].get(to.id)
+    const tween = this.tweens[kind].get(to.id)
+    const heading = tween ? tween.to : shown
+    const item = kind == 'nodes' ? 'node' : 'edge'
+    if (heading && !heading.leaving && heading.layout === to.layout) {
+      // already there or on its way, maybe with new data
+      if (heading[item] === to[item] && heading.cluster === to.cluster) return
+      if (tween) {
+        tween.to = to
+        tween.from = { ...tween.from, [item]: to[item], cluster: to.cluster }
+        this[kind].set(to.id, { ...shown, [item]: to[item], cluster: to.cluster })
+      } else {
+        this[kind].set(to.id, to)
+      }
+      changed.add(to.id)
+      return
+    }
+    changed.add(to.id)
+    if (!animate) {
+      this.tweens[kind].delete(to.id)
+      this[kind].set(to.id, to)
+      return
+    }
+    // new ones fade in where they'll be
+    const from = shown ? { ...shown, [item]: to[item], cluster: to.cluster } : { ...to, opacity: 0 }
+    this.tweens[kind].set(to.id, { from, to, start: now })
+    this[kind].set(to.id, from)
+  }
+
+  // Fade out one no longer there
+  _leave(kind, shown, animate, now, changed) {
+    const tween = this.tweens[kind].get(shown.id)
+    if (tween?.to.leaving) return
+    changed.add(shown.id)
+    if (!animate) {
+      this.tweens[kind].delete(shown.id)
+      this[kind].delete(shown.id)
+      return
+    }
+    const to = { ...(tween ? tween.to : shown), opacity: 0, leaving: true }
+    this.tweens[kind].set(shown.id, { from: shown, to, start: now })
+  }
+
+  _step() {
+    this.frame = undefined
+    const now = Date.now()
+    const { duration, easing } = this.options
+    const changed = { nodes: new Set(), edges: new Set() }
+    for (const kind of ['nodes', 'edges'])
+      for (const [id, tween] of this.tweens[kind]) {
+        const t = duration > 0 ? Math.min(1, (now - tween.start) / duration) : 1
+        changed[kind].add(id)
+        if (t < 1) {
+          this[kind].set(id, between(tween.from, tween.to, easing(t)))
+          continue
+        }
+        this._land(kind, id, tween)
+        this.tweens[kind].delete(id)
+      }
+    if (this.running) this.frame = requestFrame(() => this._step())
+    this._emit(changed)
+  }
+
+  _land(kind, id, tween) {
+    if (tween.to.leaving) this[kind].delete(id)
+    else this[kind].set(id, tween.to)
+  }
+
+  _emit(changed) {
+    for (const listener of this.listeners.get('change') || [])
+      listener(changed)
+  }
+}
+
+// State part of the way from one to another
+function between(from, to, t) {
+  const state = { ...to, opacity: lerp(from.opacity, to.opacity, t) }
+  if (to.pos) {
+    state.pos = { x: lerp(from.pos.x, to.pos.x, t), y: lerp(from.pos.y, to.pos.y, t) }
+    state.dims = { w: lerp(from.dims.w, to.dims.w, t), h: lerp(from.dims.h, to.dims.h, t) }
+  } else if (from.points !== to.points) {
+    // routes can have different numbers of points; the shorter one
+    // repeats some of its own, so corners stay corners
+    const n = Math.max(from.points.length, to.points.length)
+    const a = resample(from.points, n)
+    const b = resample(to.points, n)
+    state.points = a.map((p, i) => ({ x: lerp(p.x, b[i].x, t), y: lerp(p.y, b[i].y, t) }))
+    state.path = `M ${state.points.map(p => `${p.x} ${p.y}`).join(' L ')}`
+  }
+  return state
+}
+
+function resample(points, n) {
+  if (points.length == n) return points
+  return Array.from({ length: n }, (_, i) => points[Math.round(i * (points.length - 1) / (n - 1))])
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t
+}
@@ -0,0 +1,184 @@
+import { diff } from './diff.js'
+import { Mutator } from './graph.js'
+
+// Filtered views of a graph.
+//
+// A view is a graph of its own, laid out by itself, with the nodes of
+// a version that pass a predicate. Paths that ran through the hidden
+// nodes become transitive edges, marked with data: { transitive: true },
+// so what shows stays connected as it was. Clusters show if they pass
+// and something in them shows; nodes in hidden clusters move out to
+// the nearest one that shows.
+//
+// Views are made once per version and predicate. The view of a later
+// version is derived from the view of an earlier one, by redoing only
+// what the changes between the versions could reach, so its layout
+// changes as little as the graph's does. Views can't be changed
+// themselves; their versions follow the graph they show.
+
+export function view(graph, predicate) {
+  if (!graph.views.has(predicate)) {
+    let base = graph.prior
+    while (base && !base.views.has(predicate)) base = base.prior
+    graph.views.set(predicate, base
+      ? update(base.views.get(predicate), graph)
+      : build(graph, predicate))
+  }
+  return graph.views.get(predicate)
+}
+
+function build(graph, predicate) {
+  const isShown = visibility(graph, predicate)
+  const nodes = []
+  const edges = []
+  for (const node of graph.nodes()) {
+    if (!isShown(node.id)) continue
+    nodes.push(shownNode(graph, isShown, node))
+    edges.push(...edgesFrom(graph, isShown, node.id).values())
+  }
+  const result = new graph.constructor({ options: graph.options, nodes, edges })
+  return Object.assign(result, { source: graph, predicate })
+}
+
+function update(previous, graph) {
+  const { source, predicate } = previous
+  const changes = diff(source, graph)
+  const wasShown = (id) => previous.hasNode(id)
+  const isShown = visibility(graph, predicate)
+
+  // nodes that show whose edges could differ: the ends of changed
+  // edges, and whatever reached changed nodes through hidden ones
+  const starts = new Set()
+  const changedNodes = [...changes.addedNodes, ...changes.removedNodes, ...changes.updatedNodes]
+  for (const { id } of changedNodes) {
+    if (source.hasNode(id)) reaching(source, wasShown, id, starts)
+    if (graph.hasNode(id)) reaching(graph, isShown, id, starts)
+    if (isShown(id)) starts.add(id)
+  }
+  for (const { sourceId } of [...changes.addedEdges, ...changes.removedEdges, ...changes.updatedEdges]) {
+    if (source.hasNode(sourceId) && !wasShown(sourceId)) reaching(source, wasShown, sourceId, starts)
+    if (graph.hasNode(sourceId)) {
+      if (isShown(sourceId)) starts.add(sourceId)
+      else reaching(graph, isShown, sourceId, starts)
+    }
+  }
+
+  // nodes that could show differently: changed ones, the clusters
+  // around them, and the contents of clusters that show or hide
+  const candidates = new Set()
+  for (const { id } of changedNodes) {
+    for (let nodeId = id; nodeId !== undefined; nodeId = source.getNode(nodeId)?.parentId)
+      candidates.add(nodeId)
+    for (let nodeId = id; nodeId !== undefined; nodeId = graph.getNode(nodeId)?.parentId)
+      candidates.add(nodeId)
+  }
+  for (const id of candidates) {
+    if (wasShown(id) == isShown(id)) continue
+    const stack = [id]
+    while (stack.length > 0)
+      for (const childId of graph.childMap.get(stack.pop()) || []) {
+        candidates.add(childId)
+        stack.push(childId)
+      }
+  }
+
+  const mutator = new Mutator(previous)
+  for (const id of candidates) {
+    if (!isShown(id)) {
+      if (wasShown(id)) mutator.removeNode(id)
+      continue
+    }
+    const node = shownNode(graph, isShown, graph.getNode(id))
+    const before = previous.getNode(id)
+    if (!before) mutator.addNode(node)
+    else if (graph.getNode(id) !== source.getNode(id) || before.parentId !== node.parentId)
+      mutator.updateNode(node)
+  }
+  for (const id of starts) {
+    if (!isShown(id)) continue
+    const edges = edgesFrom(graph, isShown, id)
+    for (const edge of previous.succEdges(id))
+      if (!edges.has(previous.edgeId(edge))) mutator.removeEdge(edge)
+    for (const [edgeId, edge] of edges) {
+      const before = previous.getEdge(edgeId)
+      if (!before) mutator.addEdge(edge)
+      else if (before !== edge && !(isTransitive(before) && isTransitive(edge)))
+        mutator.updateEdge(edge)
+    }
+  }
+
+  const result = new graph.constructor({ prior: previous, changes: mutator.changes, options: graph.options })
+  return Object.assign(result, { source: graph, predicate })
+}
+
+// Whether nodes of a version show: nodes that pass the predicate, and
+// clusters that pass with something in them that shows
+function visibility(graph, predicate) {
+  const shown = new Map()
+  const isShown = (id) => {
+    if (!shown.has(id)) {
+      const node = graph.getNode(id)
+      shown.set(id, !!node && !!predicate(node) &&
+        (!graph.isCluster(id) || graph.childMap.get(id).some(isShown)))
+    }
+    return shown.get(id)
+  }
+  return isShown
+}
+
+// A node as it shows, in the nearest cluster around it that shows
+function shownNode(graph, isShown, node) {
+  let parentId = node.parentId
+  while (parentId !== undefined && !isShown(parentId))
+    parentId = graph.getNode(parentId).parentId
+  if (parentId === node.parentId) return node
+  const shown = { ...node, parentId }
+  if (parentId === undefined) delete shown.parentId
+  return shown
+}
+
+// Edges out of a node that shows, by id: its own to nodes that show,
+// and one to each node that shows that it reaches through hidden ones,
+// unless it has its own there
+function edgesFrom(graph, isShown, id) {
+  const edges = new Map()
+  for (const edge of graph.succEdges(id)) {
+    if (isShown(edge.targetId)) {
+      edges.set(graph.edgeId(edge), edge)
+      continue
+    }
+    const seen = new Set([edge.targetId])
+    const stack = [edge.targetId]
+    while (stack.length > 0)
+      for (const next of graph.succEdges(stack.pop())) {
+        if (isShown(next.targetId)) {
+          const transitive = { sourceId: id, targetId: next.targetId, data: { transitive: true } }
+          if (edge.sourcePort !== undefined) transitive.sourcePort = edge.sourcePort
+          if (next.targetPort !== undefined) transitive.targetPort = next.targetPort
+          const edgeId = graph.edgeId(transitive)
+          if (!edges.has(edgeId)) edges.set(edgeId, transitive)
+        } else if (!seen.has(next.targetId)) {
+          seen.add(next.targetId)
+          stack.push(next.targetId)
+        }
+      }
+  }
+  return edges
+}
+
+// Add the nodes that show with paths to a node through hidden ones
+function reaching(graph, isShown, id, found) {
+  const seen = new Set([id])
+  const stack = [id]
+  while (stack.length > 0)
+    for (const other of graph.predNodes(stack.pop())) {
+      if (seen.has(other)) continue
+      seen.add(other)
+      if (isShown(other)) found.add(other)
+      else stack.push(other)
+    }
+}
+
+function isTransitive(edge) {
+  return edge.data?.transitive === true
+}
@@ -0,0 +1,334 @@
+// Panning and zooming, for any renderer.
+//
+// A viewport is a transform from graph coordinates to the pixels of an
+// element: a point p of the graph shows at p * zoom + (x, y). Wheel,
+// drag and pinch on the element change it, a drag keeps gliding for a
+// while after it's let go, and listeners are told each time it changes
+// so they can apply it, as render does to its root group. Fitting and
+// centering work from the layouts of the current version, and an
+// anchored node stays where it is on screen as later versions move it.
+
+import { requestFrame, cancelFrame } from './frame.js'
+
+const defaultOptions = {
+  minZoom: 0.1,
+  maxZoom: 4,
+  // velocity kept from one frame to the next after a drag, 0 for none
+  inertia: 0.92,
+  // space left around what's fit into view, in pixels
+  padding: 20,
+  // whether an input event should pan or zoom
+  filter: () => true,
+}
+
+export class Viewport {
+  constructor(options = {}) {
+    this.options = { ...defaultOptions, ...options }
+    this.x = 0
+    this.y = 0
+    this.zoom = 1
+    this.graph = undefined
+    // node kept in place between versions
+    this.anchorId = undefined
+    // size of the view, when it's set rather than measured
+    this.size = undefined
+    // element input is handled on, and its listeners
+    this.element = undefined
+    this.handlers = undefined
+    this.listeners = new Map()
+    // pointerId -> last position, of pointers down
+    this.pointers = new Map()
+    // pixels per millisecond of the last drag, and when it last moved
+    this.velocity = { x: 0, y: 0 }
+    this.moved = 0
+    this.frame = undefined
+  }
+
+  // The transform as an SVG transform attribute
+  get transform() {
+    return `translate(${this.x} ${this.y}) scale(${this.zoom})`
+  }
+
+  // Follow a new version, keeping the anchored node where it was
+  setGraph(graph) {
+    const previous = this.graph
+    this.graph = graph
+    if (!previous || this.anchorId === undefined) return
+    const before = previous.nodeLayout.get(this.anchorId)
+    const after = graph.nodeLayout.get(this.anchorId)
+    if (!before || !after || before === after) return
+    const shift = sub(center(after), center(before))
+    this._set(this.x - shift.x * this.zoom, this.y - shift.y * this.zoom, this.zoom, 'anchor')
+  }
+
+  // Keep a node in place on screen as versions move it, or stop
+  // keeping one with undefined
+  anchorOn(id) {
+    this.anchorId = id
+  }
+
+  // Size of the view in pixels; otherwise the attached element's
+  setSize(w, h) {
+    this.size = { w, h }
+  }
+
+  viewSize() {
+    if (this.size) return this.size
+    const rect = this.element?.getBoundingClientRect()
+    return rect ? { w: rect.width, h: rect.height } : { w: 0, h: 0 }
+  }
+
+  setTransform({ x = this.x, y = this.y, zoom = this.zoom }) {
+    this._stop()
+    this._set(x, y, zoom, 'set')
+  }
+
+  panBy(dx, dy) {
+    this._stop()
+    this._set(this.x + dx, this.y + dy, this.zoom, 'pan')
+  }
+
+  // Zoom by a factor, keeping a point of the view still; by default
+  // the middle
+  zoomAt(factor, point) {
+    this._stop()
+    this._zoomAt(factor, point ?? this._middle(), 'zoom')
+  }
+
+  // Graph coordinates of a point of the view
+  toGraph({ x, y }) {
+    return { x: (x - this.x) / this.zoom, y: (y - this.y) / this.zoom }
+  }
+
+  toView({ x, y }) {
+    return { x: x * this.zoom + this.x, y: y * this.zoom + this.y }
+  }
+
+  // Zoom and pan to show the whole graph
+  fitToView() {
+    if (this.graph) this._fit(this.graph.bounds())
+  }
+
+  // Pan to put a node in the middle of the view, at a zoom if given
+  centerOn(id, zoom) {
+    const layout = this.graph?.nodeLayout.get(id)
+    if (layout) this._centerAt(center(layout), zoom, 'fit')
+  }
+
+  // Pan to put a point of the graph in the middle of the view
+  centerAt(point, zoom) {
+    this._centerAt(point, zoom, 'pan')
+  }
+
+  // Zoom and pan to show a set of nodes
+  zoomToSelection(ids) {
+    let box
+    for (const id of ids) {
+      const layout = this.graph?.nodeLayout.get(id)
+      if (layout) box = box ? union(box, layout) : layout
+    }
+    if (box) this._fit(box)
+  }
+
+  // Listen for changes to the transform; returns a function that stops
+  // listening
+  on(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set())
+    this.listeners.get(type).add(listener)
+    return () => this.off(type, listener)
+  }
+
+  off(type, listener) {
+    this.listeners.get(type)?.delete(listener)
+  }
+
+  // Handle input on an element, instead of any attached before;
+  // returns a function that stops
+  attach(element) {
+    this.detach()
+    const handlers = {
+      wheel: event => this._onWheel(event),
+      pointerdown: event => this._onPointerDown(event),
+      pointermove: event => this._onPointerMove(event),
+      pointerup: event => this._onPointerUp(event),
+      pointercancel: event => this._onPointerUp(event),
+    }
+    for (const [type, handler] of Object.entries(handlers))
+      element.addEventListener(type, handler, { passive: type != 'wheel' })
+    // the browser would scroll the page on touch otherwise
+    if (element.style) element.style.touchAction = 'none'
+    this.element = element
+    this.handlers = handlers
+    return () => {
+      if (this.element === element) this.detach()
+    }
+  }
+
+  // Stop handling input on the attached element
+  detach() {
+    if (!this.element) return
+    for (const [type, handler] of Object.entries(this.handlers))
+      this.element.removeEventListener(type, handler)
+    this._stop()
+    this.pointers.clear()
+    this.element = undefined
+    this.handlers = undefined
+  }
+
+  _onWheel(event) {
+    if (!this.options.filter(event)) return
+    event.preventDefault()
+    this._stop()
+    // pinching a trackpad comes as a wheel with ctrl, in small steps
+    const step = event.deltaMode == 1 ? 0.05 : event.deltaMode == 2 ? 1 : 0.002
+    const factor = Math.exp(-event.deltaY * step * (event.ctrlKey ? 10 : 1))
+    this._zoomAt(factor, this._local(event), 'zoom')
+  }
+
+  _onPointerDown(event) {
+    if (!this.options.filter(event)) return
+    this._stop()
+    this.element?.setPointerCapture?.(event.pointerId)
+    this.pointers.set(event.pointerId, this._local(event))
+    this.velocity = { x: 0, y: 0 }
+    this.moved = Date.now()
+  }
+
+  _onPointerMove(event) {
+    const last = this.pointers.get(event.pointerId)
+    if (!last) return
+    const point = this._local(event)
+    if (this.pointers.size == 1) {
+      const now = Date.now()
+      const dt = Math.max(now - this.moved, 1)
+      const delta = sub(point, last)
+      // smoothed, so one uneven step doesn't decide the glide
+      this.velocity = {
+        x: this.velocity.x * 0.2 + delta.x / dt * 0.8,
+        y: this.velocity.y * 0.2 + delta.y / dt * 0.8,
+      }
+      this.moved = now
+      this.pointers.set(event.pointerId, point)
+      this._set(this.x + delta.x, this.y + delta.y, this.zoom, 'pan')
+      return
+    }
+    // pinch: the first two pointers zoom about their middle, and move
+    // the view as it moves
+    const [a, b] = [...this.pointers.keys()]
+    if (event.pointerId != a && event.pointerId != b) return
+    const other = this.pointers.get(event.pointerId == a ? b : a)
+    const before = { middle: mid(last, other), spread: distance(last, other) }
+    const after = { middle: mid(point, other), spread: distance(point, other) }
+    this.pointers.set(event.pointerId, point)
+    this.velocity = { x: 0, y: 0 }
+    if (before.spread > 0) this._zoomAt(after.spread / before.spread, before.middle, 'zoom')
+    const shift = sub(after.middle, before.middle)
+    this._set(this.x + shift.x, this.y + shift.y, this.zoom, 'pan')
+  }
+
+  _onPointerUp(event) {
+    if (!this.pointers.delete(event.pointerId)) return
+    // only a drag still moving when it's let go glides
+    if (this.pointers.size == 0 && Date.now() - this.moved < 50) this._glide()
+    else this.velocity = { x: 0, y: 0 }
+  }
+
+  _glide() {
+    if (this.options.inertia <= 0) return
+    let last = Date.now()
+    const step = () => {
+      const now = Date.now()
+      const dt = now - last
+      last = now
+      const decay = Math.pow(this.options.inertia, dt / 16)
+      this.velocity = { x: this.velocity.x * decay, y: this.velocity.y * decay }
+      if (Math.hypot(this.velocity.x, this.velocity.y) < 0.01) {
+        this.frame = undefined
+        return
+      }
+      this._set(this.x + this.velocity.x * dt, this.y + this.velocity.y * dt, this.zoom, 'pan')
+      this.frame = requestFrame(step)
+    }
+    this.frame = requestFrame(step)
+  }
+
+  _stop() {
+    if (this.frame !== undefined) cancelFrame(this.frame)
+    this.frame = undefined
+  }
+
+  _fit(box) {
+    const { w, h } = this.viewSize()
+    const pad = this.options.padding
+    const zoom = this._clamp(Math.min(
+      box.dims.w > 0 ? (w - 2 * pad) / box.dims.w : Infinity,
+      box.dims.h > 0 ? (h - 2 * pad) / box.dims.h : Infinity,
+    ))
+    const point = center(box)
+    this._stop()
+    this._set(w / 2 - point.x * zoom, h / 2 - point.y * zoom, zoom, 'fit')
+  }
+
+  _centerAt(point, zoom = this.zoom, cause) {
+    const middle = this._middle()
+    zoom = this._clamp(zoom)
+    this._stop()
+    this._set(middle.x - point.x * zoom, middle.y - point.y * zoom, zoom, cause)
+  }
+
+  _zoomAt(factor, point, cause) {
+    const zoom = this._clamp(this.zoom * factor)
+    const at = this.toGraph(point)
+    this._set(point.x - at.x * zoom, point.y - at.y * zoom, zoom, cause)
+  }
+
+  _set(x, y, zoom, cause) {
+    if (x == this.x && y == this.y && zoom == this.zoom) return
+    this.x = x
+    this.y = y
+    this.zoom = zoom
+    const event = { x, y, zoom, cause }
+    for (const listener of this.listeners.get('change') || [])
+      listener(event)
+  }
+
+  _clamp(zoom) {
+    if (!Number.isFinite(zoom)) zoom = 1
+    return Math.min(this.options.maxZoom, Math.max(this.options.minZoom, zoom))
+  }
+
+  _middle() {
+    const { w, h } = this.viewSize()
+    return { x: w / 2, y: h / 2 }
+  }
+
+  // Position of a pointer within the element
+  _local(event) {
+    const rect = this.element?.getBoundingClientRect()
+    return { x: event.clientX - (rect?.left ?? 0), y: event.clientY - (rect?.top ?? 0) }
+  }
+}
+
+function center({ pos, dims }) {
+  return { x: pos.x + dims.w / 2, y: pos.y + dims.h / 2 }
+}
+
+function union(a, b) {
+  const x0 = Math.min(a.pos.x, b.pos.x)
+  const y0 = Math.min(a.pos.y, b.pos.y)
+  const x1 = Math.max(a.pos.x + a.dims.w, b.pos.x + b.dims.w)
+  const y1 = Math.max(a.pos.y + a.dims.h, b.pos.y + b.dims.h)
+  return { pos: { x: x0, y: y0 }, dims: { w: x1 - x0, h: y1 - y0 } }
+}
+
+function sub(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y }
+}
+
+function mid(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+}
+
+function distance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y)
+}
@@ -0,0 +1,269 @@
+import { describe, it, expect, vi } from 'vitest'
+import { Graph, Builder, DuplicateEdgeError, render } from '../src/index.js'
+import { FakeDocument } from './fake-dom.js'
+
+describe('Builder', () => {
+  const base = (options) => new Graph({
+    nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }],
+    edges: [
+      { sourceId: 'n1', targetId: 'n2' },
+      { sourceId: 'n1', targetId: 'n3' },
+    ],
+    options,
+  })
+  const builder = (graph = base()) => {
+    const builder = new Builder()
+    builder.setGraph(graph)
+    return builder
+  }
+  // a builder attached to an svg, with helpers to find its handles
+  const attached = (graph = base()) => {
+    const b = builder(graph)
+    const svg = new FakeDocument().createElementNS(null, 'svg')
+    b.attach(svg)
+    const port = (nodeId, side) =>
+      svg.find(el => el.getAttribute('data-node') == nodeId && el.getAttribute('data-side') == side)
+    const grip = (edgeId, end) =>
+      svg.find(el => el.getAttribute('data-edge') == edgeId && el.getAttribute('data-end') == end)
+    const preview = () => svg.find(el => el.getAttribute('class')?.startsWith('steadyflow-builder-preview'))
+    return { builder: b, svg, layer: b.parts.layer, port, grip, preview }
+  }
+  const at = (el) => ({ clientX: Number(el.getAttribute('cx')), clientY: Number(el.getAttribute('cy')) })
+
+  it('should tell why an edge can\'t be made', () => {
+    const b = builder(base().withMutations(m => {
+      m.addNode({ id: 'n4', inputPorts: ['in'] })
+      m.addNode({ id: 'c1' })
+      m.updateNode({ id: 'n3', parentId: 'c1' })
+    }))
+    expect(b.check({ sourceId: 'n2', targetId: 'n3' })).toBeUndefined()
+    expect(b.check({ sourceId: 'n2', targetId: 'n4', targetPort: 'in' })).toBeUndefined()
+    expect(b.check({ sourceId: 'n2', targetId: 'n1' })).toBe('cycle')
+    expect(b.check({ sourceId: 'n2', targetId: 'n2' })).toBe('cycle')
+    expect(b.check({ sourceId: 'n1', targetId: 'n2' })).toBe('duplicate')
+    expect(b.check({ sourceId: 'n2', targetId: 'n4', targetPort: 'out' })).toBe('port')
+    expect(b.check({ sourceId: 'n2', targetId: 'c1' })).toBe('cluster')
+    expect(b.check({ sourceId: 'n2', targetId: 'n5' })).toBe('missing')
+
+    // the edge being replaced doesn't count
+    expect(b.check({ sourceId: 'n3', targetId: 'n1' }, 'n1-n3')).toBeUndefined()
+    expect(b.check({ sourceId: 'n1', targetId: 'n2' }, 'n1-n2')).toBeUndefined()
+
+    expect(builder(base({ allowCycles: true })).check({ sourceId: 'n2', targetId: 'n1' })).toBeUndefined()
+  })
+
+  it('should send each action with its mutator, and apply those not vetoed', () => {
+    const g1 = base()
+    const b = builder(g1)
+    const actions = []
+    const changes = vi.fn()
+    b.on('action', action => actions.push(action))
+    b.on('change', changes)
+
+    const g2 = b.connect({ sourceId: 'n2', targetId: 'n3' })
+    expect(actions[0].type).toBe('connect')
+    expect(actions[0].graph).toBe(g1)
+    expect(actions[0].mutator.changes.addedEdges).toEqual([{ sourceId: 'n2', targetId: 'n3' }])
+    expect(g2.hasEdge('n2-n3')).toBe(true)
+    expect(b.graph).toBe(g2)
+    expect(changes).toHaveBeenCalledWith({ graph: g2, previous: g1, action: actions[0] })
+
+    // can't be made: no action at all
+    expect(b.connect({ sourceId: 'n3', targetId: 'n1' })).toBeUndefined()
+    expect(actions).toHaveLength(1)
+
+    const stop = b.on('action', action => action.veto())
+    expect(b.remove(['n3'])).toBeUndefined()
+    expect(actions[1].vetoed).toBe(true)
+    expect(b.graph).toBe(g2)
+    expect(changes).toHaveBeenCalledTimes(1)
+
+    // applied later, as after saving it
+    const g3 = b.apply(actions[1].mutator)
+    expect(g3.hasNode('n3')).toBe(false)
+    expect(changes).toHaveBeenLastCalledWith({ graph: g3, previous: g2, action: undefined })
+    stop()
+  })
+
+  it('should let listeners add to an action', () => {
+    const b = builder()
+    b.on('action', action => {
+      if (action.type == 'add-node') action.mutator.updateNode({ ...action.node, data: { label: 'New' } })
+    })
+    const graph = b.addNode({ data: { label: 'Step' } }, 'n2')
+    expect(graph.getNode('n4').data).toEqual({ label: 'New' })
+    expect(graph.hasEdge('n2-n4')).toBe(true)
+  })
+
+  it('should send changes the graph refuses as errors, and stay where it was', () => {
+    const g1 = base()
+    const b = builder(g1)
+    const errors = []
+    const changes = vi.fn()
+    b.on('action', action => action.mutator.addEdge({ sourceId: 'n1', targetId: 'n2' }))
+    b.on('change', changes)
+    const stop = b.on('error', event => errors.push(event))
+
+    expect(b.connect({ sourceId: 'n2', targetId: 'n3' })).toBeUndefined()
+    expect(b.graph).toBe(g1)
+    expect(changes).not.toHaveBeenCalled()
+    expect(errors.length).toBe(1)
+    expect(errors[0].error).toBeInstanceOf(DuplicateEdgeError)
+    expect(errors[0].graph).toBe(g1)
+    expect(errors[0].action.type).toBe('connect')
+
+    // unheard, they're thrown
+    stop()
+    expect(() => b.connect({ sourceId: 'n2', targetId: 'n3' })).toThrow(DuplicateEdgeError)
+    expect(b.graph).toBe(g1)
+  })
+
+  it('should reconnect edges and remove nodes with their edges', () => {
+    const b = builder(base().addEdge({ sourceId: 'n2', targetId: 'n3', data: { label: 'next' } }))
+    const actions = []
+    b.on('action', action => actions.push(action))
+
+    const g2 = b.reconnect('n2-n3', { sourceId: 'n1', targetId: 'n2' })
+    expect(g2).toBeUndefined()
+    const g3 = b.reconnect('n2-n3', { sourceId: 'n3', targetId: 'n2' })
+    expect(actions[0].type).toBe('reconnect')
+    expect(actions[0].replaced).toEqual({ sourceId: 'n2', targetId: 'n3', data: { label: 'next' } })
+    expect(g3.hasEdge('n2-n3')).toBe(false)
+    expect(g3.getEdge('n3-n2').data).toEqual({ label: 'next' })
+
+    const g4 = b.remove(['n3', 'n3-n2', 'n1-n2', 'nope'])
+    expect(actions[1]).toMatchObject({ type: 'remove', nodeIds: ['n3'], edgeIds: ['n1-n2'] })
+    expect(g4.nodeIds()).toEqual(['n1', 'n2'])
+    expect(g4.numEdges()).toBe(0)
+    expect(b.remove(['nope'])).toBeUndefined()
+  })
+
+  it('should move what was in a removed cluster out to the one around it', () => {
+    const { builder: b, svg } = attached(base().withMutations(m => {
+      m.addNode({ id: 'outer' })
+      m.addNode({ id: 'inner', parentId: 'outer' })
+      m.updateNode({ id: 'n2', parentId: 'inner' })
+      m.updateNode({ id: 'n3', parentId: 'inner' })
+    }))
+    const trash = svg.ownerDocument.createElementNS(null, 'div')
+    b.paletteItem(trash, 'delete')
+    const cluster = svg.ownerDocument.createElementNS(null, 'g')
+    cluster.setAttribute('data-id', 'inner')
+
+    trash.send('dragstart')
+    svg.send('drop', { target: cluster })
+    expect(b.graph.hasNode('inner')).toBe(false)
+    expect(b.graph.getNode('n2').parentId).toBe('outer')
+    expect(b.graph.childNodes('outer')).toEqual(['n2', 'n3'])
+
+    // and out of everything when nothing's around it
+    const g2 = b.remove(['outer', 'n3'])
+    expect(g2.nodeIds()).toEqual(['n1', 'n2'])
+    expect(g2.getNode('n2')).toEqual({ id: 'n2' })
+    expect(g2.hasEdge('n1-n2')).toBe(true)
+  })
+
+  it('should drag out edges between ports, showing those that would close a cycle', () => {
+    const { builder: b, svg, layer, port, preview } = attached()
+    const g1 = b.graph
+    const layout = g1.nodeLayout.get('n2')
+    expect(at(port('n2', 'output'))).toEqual({
+      clientX: layout.pos.x + layout.dims.w / 2,
+      clientY: layout.pos.y + layout.dims.h,
+    })
+
+    layer.send('pointerdown', { pointerId: 1, button: 0, target: port('n2', 'output'), ...at(port('n2', 'output')) })
+    expect(preview().getAttribute('visibility')).toBe('visible')
+
+    // back to n1 would close a cycle
+    svg.send('pointermove', { pointerId: 1, target: port('n1', 'input'), ...at(port('n1', 'input')) })
+    expect(preview().getAttribute('class')).toBe('steadyflow-builder-preview steadyflow-builder-invalid')
+    svg.send('pointerup', { pointerId: 1 })
+    expect(preview().getAttribute('visibility')).toBe('hidden')
+    expect(b.graph).toBe(g1)
+
+    // onto n3's box attaches at its input
+    const n3 = svg.ownerDocument.createElementNS(null, 'g')
+    n3.setAttribute('data-id', 'n3')
+    layer.send('pointerdown', { pointerId: 2, button: 0, target: port('n2', 'output'), ...at(port('n2', 'output')) })
+    svg.send('pointermove', { pointerId: 2, target: n3, clientX: 0, clientY: 0 })
+    expect(preview().getAttribute('class')).toBe('steadyflow-builder-preview')
+    const { clientX, clientY } = at(port('n3', 'input'))
+    expect(preview().getAttribute('d')).toMatch(new RegExp(`L ${clientX} ${clientY}$`))
+    svg.send('pointerup', { pointerId: 2 })
+    expect(b.graph.hasEdge('n2-n3')).toBe(true)
+    // with handles for the new edge
+    expect(svg.find(el => el.getAttribute('data-edge') == 'n2-n3')).toBeDefined()
+  })
+
+  it('should reconnect the end of an edge dragged by its grip', () => {
+    const { builder: b, svg, layer, port, grip } = attached(base().withMutations(m => {
+      m.addNode({ id: 'n4', inputPorts: ['a', 'b'] })
+      m.addEdge({ sourceId: 'n3', targetId: 'n4', targetPort: 'a' })
+    }))
+    const handle = (side, name) =>
+      svg.find(el => el.getAttribute('data-node') == 'n4' && el.getAttribute('data-side') == side &&
+        el.getAttribute('data-port') == name)
+    expect(handle('input', 'b')).toBeDefined()
+
+    layer.send('pointerdown', { pointerId: 1, button: 0, target: grip('n3-n4.a', 'target'), ...at(grip('n3-n4.a', 'target')) })
+    svg.send('pointermove', { pointerId: 1, target: handle('input', 'b'), ...at(handle('input', 'b')) })
+    svg.send('pointerup', { pointerId: 1 })
+    expect(b.graph.hasEdge('n3-n4.a')).toBe(false)
+    expect(b.graph.hasEdge('n3-n4.b')).toBe(true)
+
+    // moving the source end onto n2 is fine, onto n4 itself isn't
+    layer.send('pointerdown', { pointerId: 2, button: 0, target: grip('n3-n4.b', 'source'), ...at(grip('n3-n4.b', 'source')) })
+    svg.send('pointermove', { pointerId: 2, target: port('n4', 'output'), ...at(port('n4', 'output')) })
+    expect(b.drag.reason).toBe('cycle')
+    svg.send('pointermove', { pointerId: 2, target: port('n2', 'output'), ...at(port('n2', 'output')) })
+    svg.send('pointerup', { pointerId: 2 })
+    expect(b.graph.hasEdge('n2-n4.b')).toBe(true)
+  })
+
+  it('should add and remove nodes from a palette', () => {
+    const { builder: b, svg, port } = attached()
+    const doc = svg.ownerDocument
+    const add = doc.createElementNS(null, 'div')
+    const trash = doc.createElementNS(null, 'div')
+    const stop = b.paletteItem(add, { data: { label: 'Step' } })
+    b.paletteItem(trash, 'delete')
+    expect(add.getAttribute('draggable')).toBe('true')
+
+    add.send('click')
+    expect(b.graph.getNode('n4')).toEqual({ id: 'n4', data: { label: 'Step' } })
+
+    add.send('dragstart')
+    expect(svg.send('dragover', { target: port('n2', 'input'), preventDefault: vi.fn() }).preventDefault).toHaveBeenCalled()
+    svg.send('drop', { target: port('n2', 'input') })
+    expect(b.graph.hasEdge('n2-n5')).toBe(true)
+
+    trash.send('dragstart')
+    expect(svg.send('dragover', { target: svg, preventDefault: vi.fn() }).preventDefault).not.toHaveBeenCalled()
+    svg.send('drop', { target: port('n1', 'output') })
+    expect(b.graph.nodeIds()).toEqual(['n2', 'n3', 'n4', 'n5'])
+
+    stop()
+    expect(add.getAttribute('draggable')).toBeNull()
+    add.send('click')
+    expect(b.graph.numNodes()).toBe(4)
+  })
+
+  it('should draw its handles over a rendered graph and follow each version', () => {
+    const b = new Builder()
+    const container = new FakeDocument().createElementNS(null, 'div')
+    const g1 = base()
+    const svg = render(g1, container, { builder: b })
+    const root = svg.find(el => el.getAttribute('class') == 'steadyflow-graph')
+    expect(root.children.at(-1)).toBe(b.parts.layer)
+    expect(b.graph).toBe(g1)
+
+    const g2 = b.connect({ sourceId: 'n2', targetId: 'n3' })
+    render(g2, container, { builder: b })
+    expect(svg.find(el => el.getAttribute('data-edge') == 'n2-n3')).toBeDefined()
+
+    render(g2, container)
+    expect(b.svg).toBeUndefined()
+    expect(root.find(el => el.getAttribute('class') == 'steadyflow-builder')).toBeUndefined()
+  })
+})
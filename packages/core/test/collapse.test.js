@@ -0,0 +1,203 @@
+import { describe, it, expect } from 'vitest'
+import { Graph } from '../src/index.js'
+
+describe('Collapsing', () => {
+  const pipeline = () => new Graph({
+    nodes: [
+      { id: 'n1' },
+      { id: 'n2' },
+      { id: 'n3' },
+      { id: 'n4' },
+      { id: 'n5' },
+      { id: 'n6' },
+    ],
+    edges: [
+      { sourceId: 'n1', targetId: 'n2' },
+      { sourceId: 'n2', targetId: 'n3' },
+      { sourceId: 'n2', targetId: 'n4' },
+      { sourceId: 'n3', targetId: 'n5' },
+      { sourceId: 'n4', targetId: 'n5' },
+      { sourceId: 'n6', targetId: 'n4' },
+    ],
+  })
+  const clustered = () => new Graph({
+    nodes: [
+      { id: 'c1' },
+      { id: 'n1' },
+      { id: 'n2', parentId: 'c1' },
+      { id: 'n3', parentId: 'c1' },
+      { id: 'n4' },
+    ],
+    edges: [
+      { sourceId: 'n1', targetId: 'n2' },
+      { sourceId: 'n1', targetId: 'n3' },
+      { sourceId: 'n2', targetId: 'n4' },
+      { sourceId: 'n3', targetId: 'n4' },
+    ],
+  })
+
+  it('should hide the descendants of a node behind it', () => {
+    const g1 = pipeline()
+    const g2 = g1.collapse('n2')
+
+    expect(g2.nodeIds()).toEqual(['n1', 'n2', 'n6'])
+    expect(g2.isCollapsed('n2')).toBe(true)
+    expect(g1.isCollapsed('n2')).toBe(false)
+    expect(g2.getEdge('n6-n2')).toEqual({ sourceId: 'n6', targetId: 'n2', data: { count: 1 } })
+    expect(g2.hasEdge('n1-n2')).toBe(true)
+    expect(g2.layerOf('n2')).toBe(1)
+  })
+
+  it('should hide the contents of a cluster, counting the edges in and out', () => {
+    const g1 = clustered()
+    const g2 = g1.collapse('c1')
+
+    expect(g2.nodeIds()).toEqual(['c1', 'n1', 'n4'])
+    expect(g2.isCluster('c1')).toBe(false)
+    expect(g2.getEdge('n1-c1').data).toEqual({ count: 2 })
+    expect(g2.getEdge('c1-n4').data).toEqual({ count: 2 })
+    expect(g2.layerOf('c1')).toBe(1)
+    expect(g2.nodeLayout.get('c1').dims).toEqual({ w: 100, h: 40 })
+  })
+
+  it('should fold edges the summaries would replace into them', () => {
+    const g1 = pipeline().addEdge({ sourceId: 'n2', targetId: 'n6' })
+    const g2 = g1.collapse('n2')
+
+    expect(g2.nodeIds()).toEqual(['n1', 'n2'])
+    expect(g2.edges().toArray()).toEqual([{ sourceId: 'n1', targetId: 'n2' }])
+
+    const g3 = g1.removeEdge({ sourceId: 'n2', targetId: 'n6' })
+      .addEdge({ sourceId: 'n6', targetId: 'n2' }).collapse('n2')
+
+    expect(g3.getEdge('n6-n2').data).toEqual({ count: 2 })
+    expect(g3.expand('n2').getEdge('n6-n2')).toEqual({ sourceId: 'n6', targetId: 'n2' })
+  })
+
+  it('should keep ports outside the region on summary edges', () => {
+    const g1 = new Graph({
+      nodes: [{ id: 'n1', outputPorts: ['a', 'b'] }, { id: 'c1' }, { id: 'n2', parentId: 'c1' }, { id: 'n3', parentId: 'c1' }],
+      edges: [
+        { sourceId: 'n1', targetId: 'n2', sourcePort: 'a' },
+        { sourceId: 'n1', targetId: 'n3', sourcePort: 'b' },
+      ],
+    })
+    const g2 = g1.collapse('c1')
+
+    expect(g2.getEdge('n1.a-c1').data).toEqual({ count: 1 })
+    expect(g2.getEdge('n1.b-c1').data).toEqual({ count: 1 })
+  })
+
+  it('should restore the layout on expanding', () => {
+    const g1 = clustered()
+    const g2 = g1.collapse('c1').expand('c1')
+
+    expect(g2.nodeIds()).toEqual(g1.nodeIds())
+    expect(g2.edges().toArray()).toEqual(g1.edges().toArray())
+    expect(g2.isCluster('c1')).toBe(true)
+    expect(g2.isCollapsed('c1')).toBe(false)
+    expect(g2.nodeLayout.toJS()).toEqual(g1.nodeLayout.toJS())
+    expect(g2.edgeLayouts.toJS()).toEqual(g1.edgeLayouts.toJS())
+  })
+
+  it('should keep changes made while collapsed', () => {
+    const g1 = pipeline()
+    const g2 = g1.collapse('n2').withMutations(m => {
+      m.addNode({ id: 'n7' })
+      m.addEdge({ sourceId: 'n2', targetId: 'n7' })
+      m.removeNode('n6')
+      m.updateNode({ id: 'n1', data: 'A' })
+    })
+    const g3 = g2.expand('n2')
+
+    expect(g3.nodeIds()).toEqual(['n1', 'n2', 'n3', 'n4', 'n5', 'n7'])
+    expect(g3.getNode('n1').data).toBe('A')
+    expect(g3.hasEdge('n2-n7')).toBe(true)
+    expect(g3.hasEdge('n6-n4')).toBe(false)
+    expect(g3.hasEdge('n2-n3')).toBe(true)
+    expect(g3.nodeLayout.get('n5').pos.y).toBe(g1.nodeLayout.get('n5').pos.y)
+    expect(g3.layerOf('n3')).toBe(g1.layerOf('n3'))
+  })
+
+  it('should expand and collapse nested regions in either order', () => {
+    const g1 = pipeline()
+    const g2 = g1.collapse('n4').collapse('n2')
+
+    expect(g2.nodeIds()).toEqual(['n1', 'n2', 'n6'])
+    expect(() => g2.expand('n4')).toThrow("Can't expand hidden node: n4")
+
+    const g3 = g2.expand('n2')
+
+    expect(g3.nodeIds()).toEqual(['n1', 'n2', 'n3', 'n4', 'n6'])
+    expect(g3.isCollapsed('n4')).toBe(true)
+    expect(g3.getEdge('n3-n4').data).toEqual({ count: 1 })
+
+    const g4 = g3.expand('n4')
+
+    expect(g4.nodeIds()).toEqual(g1.nodeIds())
+    expect(g4.edgeMap.keySeq().toArray().sort()).toEqual(g1.edgeMap.keySeq().toArray().sort())
+  })
+
+  it('should move edges into regions collapsed since', () => {
+    const g1 = clustered().withMutations(m => {
+      m.addNode({ id: 'n5' })
+      m.addEdge({ sourceId: 'n5', targetId: 'n4' })
+    })
+    const g2 = g1.collapse('c1').collapse('n5')
+
+    expect(g2.nodeIds()).toEqual(['c1', 'n1', 'n5'])
+    expect(g2.getEdge('c1-n5').data).toEqual({ count: 2 })
+
+    const g3 = g2.expand('c1')
+
+    expect(g3.nodeIds()).toEqual(['c1', 'n1', 'n2', 'n3', 'n5'])
+    expect(g3.hasEdge('c1-n5')).toBe(false)
+    expect(g3.getEdge('n2-n5').data).toEqual({ count: 1 })
+    expect(g3.getEdge('n3-n5').data).toEqual({ count: 1 })
+
+    const g4 = g3.expand('n5')
+
+    expect(g4.nodeIds()).toEqual(g1.nodeIds())
+    expect(g4.edgeMap.keySeq().toArray().sort()).toEqual(g1.edgeMap.keySeq().toArray().sort())
+    expect(g4.isCluster('c1')).toBe(true)
+  })
+
+  it('should leave out summaries that would close a cycle', () => {
+    const g1 = new Graph({
+      nodes: [
+        { id: 'c1' },
+        { id: 'n1', parentId: 'c1' },
+        { id: 'n2', parentId: 'c1' },
+        { id: 'n3' },
+        { id: 'n4' },
+      ],
+      edges: [
+        { sourceId: 'n1', targetId: 'n3' },
+        { sourceId: 'n3', targetId: 'n2' },
+        { sourceId: 'n1', targetId: 'n4' },
+      ],
+    })
+    const g2 = g1.collapse('c1')
+
+    expect(g2.getEdge('c1-n3').data).toEqual({ count: 1 })
+    expect(g2.hasEdge('n3-c1')).toBe(false)
+    expect(g2.hasEdge('c1-n4')).toBe(true)
+    const g3 = g2.expand('c1')
+    expect(g3.edges().toArray()).toEqual(g1.edges().toArray())
+    expect(g3.childNodes('c1')).toEqual(['n1', 'n2'])
+
+    // with cycles allowed, both are kept and one turned back
+    const g4 = new Graph({ prior: g1, options: { allowCycles: true } }).collapse('c1')
+    expect(g4.hasEdge('c1-n3')).toBe(true)
+    expect(g4.hasEdge('n3-c1')).toBe(true)
+  })
+
+  it('should reject collapsing what it can not', () => {
+    const g1 = pipeline()
+
+    expect(() => g1.collapse('n9')).toThrow('Node not found: n9')
+    expect(() => g1.collapse('n5')).toThrow('Nothing to collapse: n5')
+    expect(() => g1.collapse('n2').collapse('n2')).toThrow('Already collapsed: n2')
+    expect(() => g1.expand('n2')).toThrow('Not collapsed: n2')
+  })
+})
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest'
+import { Graph } from '../src/index.js'
+
+describe('Graph.diff', () => {
+  const base = () => new Graph({
+    nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }],
+    edges: [
+      { sourceId: 'n1', targetId: 'n2' },
+      { sourceId: 'n1', targetId: 'n3' },
+    ],
+  })
+
+  it('should find nothing between a graph and itself', () => {
+    const g1 = base()
+    const d = Graph.diff(g1, g1)
+
+    expect(d.addedNodes).toEqual([])
+    expect(d.removedEdges).toEqual([])
+    expect(d.movedNodes).toEqual([])
+  })
+
+  it('should find added, removed and updated nodes and edges', () => {
+    const g1 = base()
+    const g2 = g1.withMutations(m => {
+      m.addNode({ id: 'n4' })
+      m.addEdge({ sourceId: 'n3', targetId: 'n4' })
+      m.removeEdge({ sourceId: 'n1', targetId: 'n2' })
+      m.updateNode({ id: 'n1', data: 'A' })
+    })
+    const d = Graph.diff(g1, g2)
+
+    expect(d.addedNodes).toEqual([{ id: 'n4' }])
+    expect(d.removedNodes).toEqual([])
+    expect(d.updatedNodes).toEqual([{ id: 'n1', data: 'A' }])
+    expect(d.addedEdges).toEqual([{ sourceId: 'n3', targetId: 'n4' }])
+    expect(d.removedEdges).toEqual([{ sourceId: 'n1', targetId: 'n2' }])
+    expect(d.updatedEdges).toEqual([])
+  })
+
+  it('should diff versions several steps apart in either direction', () => {
+    const g1 = base()
+    const g2 = g1.addNode({ id: 'n4' })
+    const g3 = g2.removeNode('n2')
+    const g4 = g3.removeNode('n4')
+
+    const forward = Graph.diff(g1, g4)
+    expect(forward.addedNodes).toEqual([])
+    expect(forward.removedNodes).toEqual([{ id: 'n2' }])
+    expect(forward.removedEdges).toEqual([{ sourceId: 'n1', targetId: 'n2' }])
+
+    const backward = Graph.diff(g4, g1)
+    expect(backward.addedNodes).toEqual([{ id: 'n2' }])
+    expect(backward.addedEdges).toEqual([{ sourceId: 'n1', targetId: 'n2' }])
+  })
+
+  it('should diff sibling versions through their common ancestor', () => {
+    const g1 = base()
+    const left = g1.addNode({ id: 'l' })
+    const right = g1.updateNode({ id: 'n2', data: 'B' })
+    const d = Graph.diff(left, right)
+
+    expect(d.removedNodes).toEqual([{ id: 'l' }])
+    expect(d.updatedNodes).toEqual([{ id: 'n2', data: 'B' }])
+  })
+
+  it('should diff unrelated graphs in full', () => {
+    const g1 = base()
+    const g2 = new Graph({
+      nodes: [{ id: 'n1' }, { id: 'n2' }],
+      edges: [{ sourceId: 'n2', targetId: 'n1' }],
+    })
+    const d = Graph.diff(g1, g2)
+
+    expect(d.addedNodes).toEqual([])
+    expect(d.removedNodes).toEqual([{ id: 'n3' }])
+    expect(d.updatedNodes.map(node => node.id).sort()).toEqual(['n1', 'n2'])
+    expect(d.addedEdges).toEqual([{ sourceId: 'n2', targetId: 'n1' }])
+    expect(d.removedEdges.length).toBe(2)
+    expect(d.relayeredNodes.sort()).toEqual(['n1', 'n2'])
+  })
+
+  it('should find nodes whose layer changed', () => {
+    const g1 = base()
+    const g2 = g1.withMutations(m => {
+      m.addNode({ id: 'n0' })
+      m.addEdge({ sourceId: 'n0', targetId: 'n1' })
+    })
+    const d = Graph.diff(g1, g2)
+
+    expect(d.relayeredNodes.sort()).toEqual(['n1', 'n2', 'n3'])
+    expect(d.relayeredNodes).not.toContain('n0')
+  })
+
+  it('should find nodes whose order changed', () => {
+    const g1 = new Graph({
+      nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }, { id: 'n4' }],
+      edges: [
+        { sourceId: 'n1', targetId: 'n3' },
+        { sourceId: 'n2', targetId: 'n4' },
+      ],
+    })
+    const g2 = g1.removeNode('n1')
+    const d = Graph.diff(g1, g2)
+
+    expect(d.reorderedNodes).toContain('n2')
+    expect(d.reorderedNodes).not.toContain('n3')
+    expect(d.relayeredNodes).toEqual(['n3'])
+  })
+
+  it('should find nodes whose position changed', () => {
+    const g1 = base()
+    const g2 = g1.updateNode({ id: 'n2', dims: { w: 200, h: 40 } })
+    const d = Graph.diff(g1, g2)
+
+    expect(d.movedNodes).toContain('n2')
+    expect(d.movedNodes).not.toContain('n1')
+    expect(Graph.diff(g1, g1.updateNode({ id: 'n2', data: 'B' })).movedNodes).toEqual([])
+  })
+})
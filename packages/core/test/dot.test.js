@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest'
+import { readFileSync } from 'fs'
+import { Graph, Mutator, parseDot, readDot, writeDot } from '../src/index.js'
+
+const fixture = readFileSync(new URL('./fixtures/pipeline.dot', import.meta.url), 'utf8')
+// writing clusters as subgraphs moves their nodes together
+const byId = (graph) => graph.nodes().toArray().sort((a, b) => a.id.localeCompare(b.id))
+
+describe('DOT', () => {
+  it('should read nodes with their attributes as data', () => {
+    const graph = readDot(fixture)
+
+    expect(graph.nodeIds()).toEqual(['checks', 'compile', 'deps', 'fetch', 'lint', 'package', 'report', 'test'])
+    expect(graph.getNode('deps').data).toEqual({ shape: 'box', label: 'Install deps', color: 'blue' })
+    expect(graph.getNode('test').data.label).toBe('Run "unit" tests')
+    expect(graph.getNode('package').data.label).toBe('<b>Package</b>')
+    expect(graph.getNode('report').data).toEqual({ shape: 'box' })
+  })
+
+  it('should read edges, ports and edge attributes', () => {
+    const graph = readDot(fixture)
+
+    expect(graph.getEdge('deps-compile.src').data).toEqual({ weight: '2' })
+    expect(graph.getEdge('compile.bin-package.in').data).toEqual({ style: 'dashed', label: 'artifact' })
+    expect(graph.getNode('compile').inputPorts).toEqual(['src'])
+    expect(graph.getNode('compile').outputPorts).toEqual(['bin', 'map'])
+    expect(graph.hasEdge('test-report')).toBe(true)
+    expect(graph.hasEdge('lint-report')).toBe(true)
+  })
+
+  it('should read cluster subgraphs as clusters', () => {
+    const graph = readDot(fixture)
+
+    expect(graph.getNode('checks').data).toEqual({ label: 'Checks' })
+    expect(graph.childNodes('checks')).toEqual(['lint', 'report', 'test'])
+    expect(graph.getNode('fetch').parentId).toBeUndefined()
+  })
+
+  it('should take the orientation from rankdir', () => {
+    expect(readDot(fixture).options.orientation).toBe('LR')
+    expect(readDot(fixture, { orientation: 'TB' }).options.orientation).toBe('TB')
+  })
+
+  it('should fill in a changeset', () => {
+    const mutator = parseDot('digraph { a -> b -> c; a -> c }')
+    const graph = new Graph({ nodes: [{ id: 'x' }] }).withMutations(m => {
+      parseDot('digraph { x -> a }', m)
+    })
+
+    expect(mutator).toBeInstanceOf(Mutator)
+    expect(mutator.changes.addedNodes.map(node => node.id)).toEqual(['a', 'b', 'c'])
+    expect(mutator.changes.addedEdges.length).toBe(3)
+    expect(graph.hasEdge('x-a')).toBe(true)
+  })
+
+  it('should merge what is already in the graph', () => {
+    const g1 = readDot('digraph { a -> b [label=x]; a -> b [label=y] }')
+    const g2 = g1.withMutations(m => {
+      parseDot('digraph { a [label=A]; a -> b [label=z]; b -> c }', m)
+    })
+
+    expect(g1.getEdge('a-b').data).toEqual({ label: 'y' })
+    expect(g2.getNode('a').data).toEqual({ label: 'A' })
+    expect(g2.getEdge('a-b').data).toEqual({ label: 'z' })
+    expect(g2.nodeIds()).toEqual(['a', 'b', 'c'])
+  })
+
+  it('should apply node and edge defaults, and read edges to subgraphs', () => {
+    const graph = readDot(`
+      strict digraph {
+        edge [color=red]
+        a -> { b c } [style=bold]
+        /* later nodes get the defaults */
+        node [shape=circle]
+        d
+        "quoted id" -> d
+      }`)
+
+    expect(graph.getEdge('a-b').data).toEqual({ color: 'red', style: 'bold' })
+    expect(graph.hasEdge('a-c')).toBe(true)
+    expect(graph.getNode('a').data).toBeUndefined()
+    expect(graph.getNode('d').data).toEqual({ shape: 'circle' })
+    expect(graph.hasNode('quoted id')).toBe(true)
+  })
+
+  it('should report malformed input', () => {
+    expect(() => readDot('digraph { a -> }')).toThrow('Expected an id in DOT at line 1')
+    expect(() => readDot('flowchart TD')).toThrow('Expected a DOT graph or digraph')
+  })
+
+  it('should round-trip fixtures losslessly', () => {
+    const graph = readDot(fixture)
+    const text = writeDot(graph)
+    const again = readDot(text)
+
+    expect(byId(again)).toEqual(byId(graph))
+    expect(again.edges().toArray()).toEqual(graph.edges().toArray())
+    expect(again.options.orientation).toBe('LR')
+    expect(writeDot(again)).toBe(text)
+  })
+
+  it('should quote ids and values that need it', () => {
+    const graph = new Graph({
+      nodes: [{ id: 'my node', data: { label: 'say "hi"' } }, { id: 'graph' }],
+      edges: [{ sourceId: 'my node', targetId: 'graph' }],
+    })
+
+    expect(writeDot(graph)).toBe([
+      'digraph {',
+      '  "my node" [label="say \\"hi\\""]',
+      '  "graph"',
+      '  "my node" -> "graph"',
+      '}',
+      '',
+    ].join('\n'))
+  })
+
+  it('should round-trip backslashes and escaped quotes', () => {
+    const graph = new Graph({
+      nodes: [
+        { id: 'a\\', data: { label: 'C:\\dir\\' } },
+        { id: 'b', data: { label: 'say \\"hi\\"' } },
+      ],
+      edges: [{ sourceId: 'a\\', targetId: 'b' }],
+    })
+    const text = writeDot(graph)
+
+    expect(text).toContain('[label="C:\\\\dir\\\\"]')
+    const again = readDot(text)
+    expect(again.nodes().toArray()).toEqual(graph.nodes().toArray())
+    expect(again.edges().toArray()).toEqual(graph.edges().toArray())
+  })
+
+  it('should round-trip typed data, clusters and declared ports', () => {
+    const graph = new Graph({
+      nodes: [
+        { id: 'outer', data: { label: 'Outer' } },
+        { id: 'inner', parentId: 'outer', data: { open: true } },
+        { id: 'a', parentId: 'inner', outputPorts: ['x', 'y'], data: { count: 2, tags: ['a'], code: '2' } },
+        { id: 'b', parentId: 'outer', inputPorts: ['in'], data: { meta: { owner: 'me' }, none: null } },
+        { id: 'c' },
+      ],
+      edges: [
+        { sourceId: 'a', sourcePort: 'y', targetId: 'b', targetPort: 'in', data: { weight: 1.5 } },
+        { sourceId: 'b', targetId: 'c', data: { dashed: false } },
+      ],
+    })
+    const text = writeDot(graph)
+    const again = readDot(text)
+
+    expect(text).toContain('subgraph cluster_outer {')
+    expect(text).toContain('subgraph cluster_inner {')
+    expect(byId(again)).toEqual(byId(graph))
+    expect(again.edges().toArray()).toEqual(graph.edges().toArray())
+    expect(writeDot(again)).toBe(text)
+  })
+
+  it('should leave out ports the edges already give', () => {
+    const graph = new Graph({
+      nodes: [{ id: 'a', outputPorts: ['out'] }, { id: 'b' }],
+      edges: [{ sourceId: 'a', sourcePort: 'out', targetId: 'b' }],
+    })
+
+    expect(writeDot(graph)).not.toContain('steadyflow:')
+    expect(readDot(writeDot(graph)).getNode('a').outputPorts).toEqual(['out'])
+  })
+})
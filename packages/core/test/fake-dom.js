@@ -0,0 +1,88 @@
+// Just enough of the DOM for the renderers
+export class FakeElement {
+  constructor(ownerDocument, tagName) {
+    this.ownerDocument = ownerDocument
+    this.tagName = tagName
+    this.attributes = new Map()
+    this.children = []
+    this.parentNode = null
+    this.textContent = ''
+    this.listeners = new Map()
+    this.style = {}
+    // where it is on the page
+    this.rect = { left: 0, top: 0, width: 0, height: 0 }
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null
+  }
+
+  setAttribute(name, value) {
+    this.ownerDocument.writes++
+    this.attributes.set(name, String(value))
+  }
+
+  removeAttribute(name) {
+    this.attributes.delete(name)
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.set(type, listener)
+  }
+
+  removeEventListener(type) {
+    this.listeners.delete(type)
+  }
+
+  getBoundingClientRect() {
+    return this.rect
+  }
+
+  // Call the listener for an event, with whatever it should carry
+  send(type, values) {
+    const event = { preventDefault() {}, stopPropagation() {}, ...values }
+    this.listeners.get(type)?.(event)
+    return event
+  }
+
+  appendChild(child) {
+    child.remove()
+    child.parentNode = this
+    this.children.push(child)
+    return child
+  }
+
+  remove() {
+    if (!this.parentNode) return
+    const siblings = this.parentNode.children
+    siblings.splice(siblings.indexOf(this), 1)
+    this.parentNode = null
+  }
+
+  replaceChildren() {
+    for (const child of [...this.children]) child.remove()
+  }
+
+  find(predicate) {
+    if (predicate(this)) return this
+    for (const child of this.children) {
+      const found = child.find(predicate)
+      if (found) return found
+    }
+    return undefined
+  }
+
+  byId(id) {
+    return this.find(el => el.getAttribute('data-id') == id)
+  }
+}
+
+export class FakeDocument {
+  constructor() {
+    this.writes = 0
+  }
+
+  createElementNS(namespace, tagName) {
+    return new FakeElement(this, tagName)
+  }
+}
@@ -1,5 +1,15 @@
 import { describe, it, expect } from 'vitest'
-import { Graph } from '../src/index.js'
+import {
+  Graph,
+  GraphError,
+  MissingNodeError,
+  MissingEdgeError,
+  DuplicateNodeError,
+  DuplicateEdgeError,
+  UnknownPortError,
+  CycleError,
+  ValidationError,
+} from '../src/index.js'
 
 describe('Graph', () => {
   describe('Construction', () => {
@@ -615,4 +625,940 @@ describe('Graph', () => {
       })
     })
   })
+
+  describe('Node ordering', () => {
+    it('should order nodes to avoid crossings', () => {
+      const g1 = new Graph({
+        nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }, { id: 'n4' }],
+        edges: [
+          { sourceId: 'n1', targetId: 'n4' },
+          { sourceId: 'n2', targetId: 'n3' },
+        ],
+      })
+
+      expect(g1.layerNodes(0)).toEqual(['n1', 'n2'])
+      expect(g1.layerNodes(1)).toEqual(['n4', 'n3'])
+      expect(g1.orderOf('n4')).toBe(0)
+      expect(g1.orderOf('n3')).toBe(1)
+    })
+
+    it('should support the median heuristic', () => {
+      const g1 = new Graph({
+        options: { orderMethod: 'median' },
+        nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }, { id: 'n4' }, { id: 'n5' }],
+        edges: [
+          { sourceId: 'n1', targetId: 'n5' },
+          { sourceId: 'n2', targetId: 'n4' },
+          { sourceId: 'n3', targetId: 'n4' },
+        ],
+      })
+
+      expect(g1.layerNodes(0)).toEqual(['n1', 'n2', 'n3'])
+      expect(g1.layerNodes(1)).toEqual(['n5', 'n4'])
+    })
+
+    it('should keep the order of untouched layers', () => {
+      const g1 = new Graph({
+        nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }, { id: 'n4' }, { id: 'n5' }],
+        edges: [
+          { sourceId: 'n1', targetId: 'n3' },
+          { sourceId: 'n2', targetId: 'n4' },
+          { sourceId: 'n4', targetId: 'n5' },
+        ],
+      })
+      const layer1 = g1.layers.get(g1.layerList.get(1)).sorted
+
+      const g2 = g1.withMutations((m) => {
+        m.addNode({ id: 'n6' })
+        m.addEdge({ sourceId: 'n4', targetId: 'n6' })
+      })
+
+      expect(g2.layerNodes(0)).toEqual(g1.layerNodes(0))
+      expect(g2.layerNodes(1)).toEqual(g1.layerNodes(1))
+      expect(g2.layers.get(g2.layerList.get(1)).sorted).toBe(layer1)
+      expect(g2.layerNodes(2)).toContain('n6')
+    })
+
+    it('should keep the relative order of clean nodes in touched layers', () => {
+      const g1 = new Graph({
+        nodes: [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'x' }, { id: 'y' }, { id: 'z' }],
+        edges: [
+          { sourceId: 'a', targetId: 'x' },
+          { sourceId: 'b', targetId: 'y' },
+          { sourceId: 'c', targetId: 'z' },
+        ],
+      })
+      expect(g1.layerNodes(1)).toEqual(['x', 'y', 'z'])
+
+      // w hangs off c, so it should land at the right end of layer 1
+      const g2 = g1.withMutations((m) => {
+        m.addNode({ id: 'w' })
+        m.addEdge({ sourceId: 'c', targetId: 'w' })
+      })
+      expect(g2.layerNodes(1)).toEqual(['x', 'y', 'z', 'w'])
+
+      // and v hangs off a, so it should land at the left end
+      const g3 = g2.withMutations((m) => {
+        m.addNode({ id: 'v' })
+        m.addEdge({ sourceId: 'a', targetId: 'v' })
+      })
+      expect(g3.layerNodes(1)).toEqual(['x', 'v', 'y', 'z', 'w'])
+    })
+
+    it('should drop removed nodes from the order', () => {
+      const g1 = new Graph({
+        nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }],
+      })
+      const g2 = g1.removeNode('n2')
+
+      expect(g1.layerNodes(0)).toEqual(['n1', 'n2', 'n3'])
+      expect(g2.layerNodes(0)).toEqual(['n1', 'n3'])
+    })
+  })
+
+  describe('Coordinate assignment', () => {
+    it('should stack layers with spacing', () => {
+      const g1 = new Graph({
+        options: { layerSpacing: 30 },
+        nodes: [{ id: 'n1' }, { id: 'n2', dims: { w: 80, h: 60 } }, { id: 'n3' }],
+        edges: [
+          { sourceId: 'n1', targetId: 'n2' },
+          { sourceId: 'n2', targetId: 'n3' },
+        ],
+      })
+
+      expect(g1.nodeLayout.get('n1').pos.y).toBe(0)
+      expect(g1.nodeLayout.get('n2').pos.y).toBe(70)
+      expect(g1.nodeLayout.get('n3').pos.y).toBe(160)
+      expect(g1.nodeLayout.get('n2').dims).toEqual({ w: 80, h: 60 })
+    })
+
+    it('should center nodes vertically within their layer', () => {
+      const g1 = new Graph({
+        nodes: [{ id: 'n1', dims: { w: 100, h: 80 } }, { id: 'n2' }],
+      })
+
+      expect(g1.nodeLayout.get('n1').pos.y).toBe(0)
+      expect(g1.nodeLayout.get('n2').pos.y).toBe(20)
+    })
+
+    it('should space nodes within a layer', () => {
+      const g1 = new Graph({
+        options: { nodeSpacing: 10, defaultDims: { w: 50, h: 20 } },
+        nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }],
+      })
+
+      expect(g1.nodeLayout.get('n1').pos.x).toBe(0)
+      expect(g1.nodeLayout.get('n2').pos.x).toBe(60)
+      expect(g1.nodeLayout.get('n3').pos.x).toBe(120)
+    })
+
+    it('should center children under their parents', () => {
+      const g1 = new Graph({
+        nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }],
+        edges: [
+          { sourceId: 'n1', targetId: 'n3' },
+          { sourceId: 'n2', targetId: 'n3' },
+        ],
+      })
+      const center = id => {
+        const { pos, dims } = g1.nodeLayout.get(id)
+        return pos.x + dims.w / 2
+      }
+
+      expect(center('n3')).toBe((center('n1') + center('n2')) / 2)
+    })
+
+    it('should carry over the layout of unaffected nodes', () => {
+      const g1 = new Graph({
+        nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }, { id: 'n4' }],
+        edges: [
+          { sourceId: 'n1', targetId: 'n2' },
+          { sourceId: 'n3', targetId: 'n4' },
+        ],
+      })
+      const g2 = g1.withMutations((m) => {
+        m.addNode({ id: 'n5' })
+        m.addEdge({ sourceId: 'n4', targetId: 'n5' })
+      })
+
+      for (const id of ['n1', 'n2', 'n3', 'n4'])
+        expect(g2.nodeLayout.get(id)).toBe(g1.nodeLayout.get(id))
+      expect(g2.nodeLayout.get('n5').pos.x).toBe(g1.nodeLayout.get('n4').pos.x)
+    })
+
+    it('should drop the layout of removed nodes', () => {
+      const g1 = new Graph({ nodes: [{ id: 'n1' }, { id: 'n2' }] })
+      const g2 = g1.removeNode('n2')
+
+      expect(g2.nodeLayout.has('n2')).toBe(false)
+      expect(g2.nodeLayout.get('n1')).toBe(g1.nodeLayout.get('n1'))
+    })
+  })
+
+  describe('Long edges', () => {
+    const chain = () => new Graph({
+      nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }, { id: 'n4' }],
+      edges: [
+        { sourceId: 'n1', targetId: 'n2' },
+        { sourceId: 'n2', targetId: 'n3' },
+        { sourceId: 'n3', targetId: 'n4' },
+        { sourceId: 'n1', targetId: 'n4' },
+      ],
+    })
+
+    it('should add a dummy node in each layer spanned', () => {
+      const g1 = chain()
+      const dummies = g1.edgeDummies.get('n1-n4').toArray()
+
+      expect(dummies.length).toBe(2)
+      expect(dummies.map(id => g1.layerOf(id))).toEqual([1, 2])
+      expect(g1.edgeDummies.has('n1-n2')).toBe(false)
+    })
+
+    it('should hide dummy nodes', () => {
+      const g1 = chain()
+
+      expect(g1.numNodes()).toBe(4)
+      expect(g1.nodeIds()).toEqual(['n1', 'n2', 'n3', 'n4'])
+      expect(g1.layerNodes(1)).toEqual(['n2'])
+      expect(g1.orderOf('n2')).toBe(0)
+      expect(g1.nodeLayout.size).toBe(4)
+    })
+
+    it('should route edges through their dummies', () => {
+      const g1 = chain()
+      const points = g1.edgeLayout('n1-n4').points
+      const n1 = g1.nodeLayout.get('n1')
+      const n4 = g1.nodeLayout.get('n4')
+
+      expect(points[0]).toEqual({ x: n1.pos.x + n1.dims.w / 2, y: n1.pos.y + n1.dims.h })
+      expect(points[points.length - 1]).toEqual({ x: n4.pos.x + n4.dims.w / 2, y: n4.pos.y })
+      for (const id of g1.edgeDummies.get('n1-n4')) {
+        const x = g1.dummyMap.get(id).pos.x
+        expect(points.some(p => p.x == x)).toBe(true)
+      }
+    })
+
+    it('should extend dummy chains as endpoint layers move apart', () => {
+      const g1 = chain()
+      const g2 = g1.withMutations((m) => {
+        m.addNode({ id: 'n5' })
+        m.addEdges(
+          { sourceId: 'n3', targetId: 'n5' },
+          { sourceId: 'n5', targetId: 'n4' }
+        )
+      })
+      const before = g1.edgeDummies.get('n1-n4').toArray()
+      const after = g2.edgeDummies.get('n1-n4').toArray()
+
+      expect(g2.layerOf('n4')).toBe(4)
+      expect(after.length).toBe(3)
+      // dummies in layers that were already spanned are kept
+      expect(after.slice(0, 2)).toEqual(before)
+      const points = g2.edgeLayout('n1-n4').points
+      expect(points[points.length - 1].y).toBe(g2.nodeLayout.get('n4').pos.y)
+    })
+
+    it('should shorten dummy chains as endpoint layers move together', () => {
+      const g1 = chain()
+      // n3 moves to the top layer and n4 just below it
+      const g2 = g1.removeEdge({ sourceId: 'n2', targetId: 'n3' })
+
+      expect(g2.layerOf('n4')).toBe(1)
+      expect(g2.edgeDummies.has('n1-n4')).toBe(false)
+      expect(g2.dummyMap.size).toBe(0)
+      expect(g2.edgeLayout('n1-n4').points[0].y).toBe(g2.nodeLayout.get('n1').dims.h)
+    })
+
+    it('should drop dummies and waypoints with their edge', () => {
+      const g1 = chain()
+      const g2 = g1.removeEdge({ sourceId: 'n1', targetId: 'n4' })
+
+      expect(g2.edgeDummies.has('n1-n4')).toBe(false)
+      expect(g2.dummyMap.size).toBe(0)
+      expect(g2.edgeLayout('n1-n4')).toBeUndefined()
+      expect(g2.layerNodes(1)).toEqual(['n2'])
+    })
+
+    it('should remove layers left empty by removed nodes', () => {
+      const g1 = chain()
+      const g2 = g1.removeNode('n4')
+
+      expect(g2.layerList.size).toBe(3)
+      expect(g2.layerNodes(2)).toEqual(['n3'])
+      expect(g2.dummyMap.size).toBe(0)
+    })
+  })
+
+  describe('Edge routing', () => {
+    const isOrthogonal = points => points.every((p, i) =>
+      i == 0 || p.x == points[i - 1].x || p.y == points[i - 1].y)
+
+    it('should route edges orthogonally through the gap between layers', () => {
+      const g1 = new Graph({
+        nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }],
+        edges: [
+          { sourceId: 'n1', targetId: 'n2' },
+          { sourceId: 'n1', targetId: 'n3' },
+        ],
+      })
+      const layer = g1.layers.get(g1.layerList.get(0))
+      const points = g1.edgeLayout('n1-n2').points
+
+      expect(points.length).toBe(4)
+      expect(isOrthogonal(points)).toBe(true)
+      expect(points[1].y).toBeGreaterThan(layer.y + layer.height)
+      expect(points[1].y).toBeLessThan(layer.y + layer.height + layer.gap)
+    })
+
+    it('should route straight down when nodes are aligned', () => {
+      const g1 = new Graph({
+        nodes: [{ id: 'n1' }, { id: 'n2' }],
+        edges: [{ sourceId: 'n1', targetId: 'n2' }],
+      })
+
+      expect(g1.edgeLayout('n1-n2').points).toEqual([
+        { x: 50, y: 40 },
+        { x: 50, y: 80 },
+      ])
+      expect(g1.edgeLayout('n1-n2').path).toBe('M 50 40 L 50 80')
+    })
+
+    it('should share a track between edges from the same node', () => {
+      const g1 = new Graph({
+        nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }],
+        edges: [
+          { sourceId: 'n1', targetId: 'n2' },
+          { sourceId: 'n1', targetId: 'n3' },
+        ],
+      })
+
+      expect(g1.edgeLayout('n1-n2').points[1].y).toBe(g1.edgeLayout('n1-n3').points[1].y)
+    })
+
+    it('should separate overlapping edges onto different tracks', () => {
+      const g1 = new Graph({
+        nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }, { id: 'n4' }],
+        edges: [
+          { sourceId: 'n1', targetId: 'n3' },
+          { sourceId: 'n1', targetId: 'n4' },
+          { sourceId: 'n2', targetId: 'n3' },
+          { sourceId: 'n2', targetId: 'n4' },
+        ],
+      })
+      const layer = g1.layers.get(g1.layerList.get(0))
+
+      expect(layer.numTracks).toBe(2)
+      expect(g1.edgeLayout('n1-n3').points[1].y).not.toBe(g1.edgeLayout('n2-n3').points[1].y)
+    })
+
+    it('should keep track assignments across unrelated updates', () => {
+      const g1 = new Graph({
+        nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }, { id: 'n4' }],
+        edges: [
+          { sourceId: 'n1', targetId: 'n3' },
+          { sourceId: 'n1', targetId: 'n4' },
+          { sourceId: 'n2', targetId: 'n3' },
+          { sourceId: 'n2', targetId: 'n4' },
+        ],
+      })
+      const g2 = g1.withMutations((m) => {
+        m.addNode({ id: 'n5' })
+        m.addEdge({ sourceId: 'n4', targetId: 'n5' })
+      })
+      const tracks = g => g.layers.get(g.layerList.get(0)).tracks
+
+      expect(tracks(g2)).toBe(tracks(g1))
+      expect(g2.edgeLayout('n1-n3')).toBe(g1.edgeLayout('n1-n3'))
+    })
+
+    it('should round corners in the path', () => {
+      const g1 = new Graph({
+        nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }],
+        edges: [
+          { sourceId: 'n1', targetId: 'n3' },
+          { sourceId: 'n2', targetId: 'n3' },
+        ],
+      })
+      const { points, path } = g1.edgeLayout('n1-n3')
+
+      expect(points.length).toBe(4)
+
+      expect(isOrthogonal(points)).toBe(true)
+      expect(path.startsWith(`M ${points[0].x} ${points[0].y}`)).toBe(true)
+      expect(path.match(/ A /g).length).toBe(points.length - 2)
+    })
+  })
+
+  describe('Orientation', () => {
+    const diamond = options => new Graph({
+      options,
+      nodes: [{ id: 'n1' }, { id: 'n2', dims: { w: 60, h: 30 } }, { id: 'n3' }, { id: 'n4' }],
+      edges: [
+        { sourceId: 'n1', targetId: 'n2' },
+        { sourceId: 'n1', targetId: 'n3' },
+        { sourceId: 'n2', targetId: 'n4' },
+        { sourceId: 'n3', targetId: 'n4' },
+      ],
+    })
+
+    it('should lay out left to right', () => {
+      const g1 = diamond({ orientation: 'LR' })
+      const n1 = g1.nodeLayout.get('n1')
+      const n2 = g1.nodeLayout.get('n2')
+
+      expect(n1.pos.x).toBe(0)
+      expect(n2.pos.x).toBeGreaterThan(n1.pos.x + n1.dims.w)
+      expect(n2.dims).toEqual({ w: 60, h: 30 })
+      expect(g1.edgeLayout('n1-n2').points[0].x).toBe(n1.pos.x + n1.dims.w)
+    })
+
+    it('should lay out bottom to top', () => {
+      const g1 = diamond({ orientation: 'BT' })
+      const n1 = g1.nodeLayout.get('n1')
+      const n4 = g1.nodeLayout.get('n4')
+
+      expect(n4.pos.y + n4.dims.h).toBeLessThan(n1.pos.y)
+      expect(g1.edgeLayout('n1-n2').points[0].y).toBe(n1.pos.y)
+    })
+
+    it('should lay out right to left', () => {
+      const g1 = diamond({ orientation: 'RL' })
+      const n1 = g1.nodeLayout.get('n1')
+      const n4 = g1.nodeLayout.get('n4')
+
+      expect(n4.pos.x + n4.dims.w).toBeLessThan(n1.pos.x)
+    })
+
+    it('should mirror the layout without relayering', () => {
+      const g1 = diamond()
+      const g2 = new Graph({ prior: g1, options: { orientation: 'BT' } })
+
+      expect(g2.layerList).toBe(g1.layerList)
+      expect(g2.layerMap).toBe(g1.layerMap)
+      for (const [id, { pos, dims }] of g1.nodeLayout)
+        expect(g2.nodeLayout.get(id).pos).toEqual({ x: pos.x, y: -(pos.y + dims.h) })
+      for (const [id, { points }] of g1.edgeLayouts)
+        expect(g2.edgeLayout(id).points).toEqual(points.map(({ x, y }) => ({ x, y: -y })))
+    })
+
+    it('should re-project a derived graph and back', () => {
+      const g1 = diamond()
+      const g2 = new Graph({ prior: g1, options: { orientation: 'LR' } })
+      const g3 = new Graph({ prior: g2, options: { orientation: 'TB' } })
+
+      expect(g2.layerNodes(1)).toEqual(g1.layerNodes(1))
+      expect(g2.nodeLayout.get('n2').pos.x).toBeGreaterThan(g2.nodeLayout.get('n1').pos.x)
+      expect(g3.nodeLayout.toJS()).toEqual(g1.nodeLayout.toJS())
+      expect(g3.edgeLayouts.toJS()).toEqual(g1.edgeLayouts.toJS())
+    })
+
+    it('should keep the orientation of derived graphs', () => {
+      const g1 = diamond({ orientation: 'LR' })
+      const g2 = g1.addNode({ id: 'n5' })
+
+      expect(g2.options.orientation).toBe('LR')
+      expect(g2.nodeLayout.get('n1')).toBe(g1.nodeLayout.get('n1'))
+    })
+  })
+
+  describe('Updating', () => {
+    const chain = () => new Graph({
+      nodes: [{ id: 'n1', data: 'a' }, { id: 'n2', data: 'b' }, { id: 'n3', data: 'c' }],
+      edges: [
+        { sourceId: 'n1', targetId: 'n2', data: 'x' },
+        { sourceId: 'n2', targetId: 'n3', data: 'y' },
+      ],
+    })
+
+    it('should replace node data in place', () => {
+      const g1 = chain()
+      const g2 = g1.updateNode({ id: 'n2', data: 'B' })
+
+      expect(g2.getNode('n2').data).toBe('B')
+      expect(g1.getNode('n2').data).toBe('b')
+      expect([...g2.succNodes('n2')]).toEqual(['n3'])
+      expect(g2.layerOf('n2')).toBe(1)
+    })
+
+    it('should not touch the layout for data changes', () => {
+      const g1 = chain()
+      const g2 = g1.updateNodes({ id: 'n1', data: 'A' }, { id: 'n2', data: 'B' })
+
+      expect(g2.layers).toBe(g1.layers)
+      expect(g2.layerMap).toBe(g1.layerMap)
+      expect(g2.nodeLayout).toBe(g1.nodeLayout)
+      expect(g2.edgeLayouts).toBe(g1.edgeLayouts)
+    })
+
+    it('should re-place a resized node without reordering', () => {
+      const g1 = new Graph({
+        nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }, { id: 'n4' }],
+        edges: [{ sourceId: 'n1', targetId: 'n4' }],
+      })
+      const g2 = g1.updateNode({ id: 'n2', dims: { w: 200, h: 80 } })
+      const before = g1.nodeLayout.get('n2')
+      const after = g2.nodeLayout.get('n2')
+
+      expect(g2.layerNodes(0)).toEqual(g1.layerNodes(0))
+      expect(after.dims).toEqual({ w: 200, h: 80 })
+      expect(after.pos.x + after.dims.w / 2).toBe(before.pos.x + before.dims.w / 2)
+      expect(g2.nodeLayout.get('n4').pos.y).toBe(g1.nodeLayout.get('n4').pos.y + 40)
+    })
+
+    it('should mark nodes dirty when their ports change', () => {
+      const g1 = chain()
+      const g2 = g1.updateNode({ id: 'n2', inputPorts: ['in'] })
+
+      expect(g2.dirtyNodes.has('n2')).toBe(true)
+      expect(g1.withMutations(m => m.updateNode({ id: 'n2', data: 'B' })).dirtyNodes.size).toBe(0)
+    })
+
+    it('should replace edge data in place', () => {
+      const g1 = chain()
+      const g2 = g1.withMutations(m => {
+        m.updateEdge({ sourceId: 'n1', targetId: 'n2', data: 'X' })
+      })
+
+      expect(g2.getEdge('n1-n2').data).toBe('X')
+      expect(g1.getEdge('n1-n2').data).toBe('x')
+      expect([...g2.predEdges('n2')]).toEqual([{ sourceId: 'n1', targetId: 'n2', data: 'X' }])
+      expect(g2.edgeLayouts).toBe(g1.edgeLayouts)
+    })
+
+    it('should reject updates to missing nodes and edges', () => {
+      const g1 = chain()
+
+      expect(() => g1.updateNode({ id: 'n9' })).toThrow('Node not found')
+      expect(() => g1.updateEdge({ sourceId: 'n1', targetId: 'n3' })).toThrow('Edge not found')
+    })
+  })
+
+  describe('Ports', () => {
+    const ported = () => new Graph({
+      nodes: [
+        { id: 'n1', outputPorts: ['a', 'b', 'c'] },
+        { id: 'n2', inputPorts: ['x', 'y'] },
+      ],
+      edges: [{ sourceId: 'n1', targetId: 'n2', sourcePort: 'c', targetPort: 'x' }],
+    })
+
+    it('should anchor ports along the node boundary in declared order', () => {
+      const g1 = ported()
+      const n1 = g1.nodeLayout.get('n1')
+      const n2 = g1.nodeLayout.get('n2')
+
+      expect(Object.keys(n1.outputs)).toEqual(['a', 'b', 'c'])
+      expect(n1.outputs.a).toEqual({ x: n1.pos.x + 25, y: n1.pos.y + 40 })
+      expect(n1.outputs.b).toEqual({ x: n1.pos.x + 50, y: n1.pos.y + 40 })
+      expect(n1.outputs.c).toEqual({ x: n1.pos.x + 75, y: n1.pos.y + 40 })
+      expect(n1.inputs).toEqual({})
+      expect(n2.inputs.x.y).toBe(n2.pos.y)
+      expect(n2.inputs.x.x).toBeLessThan(n2.inputs.y.x)
+      expect(g1.nodeLayout.get('n2').outputs).toEqual({})
+    })
+
+    it('should attach edges at their port anchors', () => {
+      const g1 = ported()
+      const points = g1.edgeLayout('n1.c-n2.x').points
+
+      expect(points[0]).toEqual(g1.nodeLayout.get('n1').outputs.c)
+      expect(points[points.length - 1]).toEqual(g1.nodeLayout.get('n2').inputs.x)
+    })
+
+    it('should attach edges without ports at the node center', () => {
+      const g1 = ported().addEdge({ sourceId: 'n1', targetId: 'n2' })
+      const n1 = g1.nodeLayout.get('n1')
+
+      expect(g1.edgeLayout('n1-n2').points[0]).toEqual({ x: n1.pos.x + 50, y: n1.pos.y + 40 })
+    })
+
+    it('should order nodes by the ports their edges use', () => {
+      const g1 = new Graph({
+        nodes: [
+          { id: 'n1', outputPorts: ['left', 'right'] },
+          { id: 'n2' },
+          { id: 'n3' },
+        ],
+        edges: [
+          { sourceId: 'n1', targetId: 'n2', sourcePort: 'right' },
+          { sourceId: 'n1', targetId: 'n3', sourcePort: 'left' },
+        ],
+      })
+
+      expect(g1.layerNodes(1)).toEqual(['n3', 'n2'])
+    })
+
+    it('should give edges from different ports their own tracks', () => {
+      const g1 = new Graph({
+        nodes: [
+          { id: 'n1', outputPorts: ['a', 'b'], dims: { w: 300, h: 40 } },
+          { id: 'n2' },
+          { id: 'n3' },
+          { id: 'n4' },
+        ],
+        edges: [
+          { sourceId: 'n1', targetId: 'n2', sourcePort: 'a' },
+          { sourceId: 'n1', targetId: 'n3', sourcePort: 'a' },
+          { sourceId: 'n1', targetId: 'n4', sourcePort: 'b' },
+        ],
+      })
+      const layer = g1.layers.get(g1.layerList.get(0))
+
+      expect(layer.tracks.get('n1.a')).toBeDefined()
+      expect(g1.edgeLayout('n1.a-n2').points[1].y).toBe(g1.edgeLayout('n1.a-n3').points[1].y)
+    })
+
+    it('should move anchors when ports change', () => {
+      const g1 = ported()
+      const g2 = g1.updateNode({ id: 'n2', inputPorts: ['y', 'x'] })
+
+      expect(g2.nodeLayout.get('n2').inputs.x.x).toBeGreaterThan(g2.nodeLayout.get('n2').inputs.y.x)
+      expect(g2.edgeLayout('n1.c-n2.x').points.at(-1)).toEqual(g2.nodeLayout.get('n2').inputs.x)
+      expect(g1.nodeLayout.get('n2').inputs.x.x).toBeLessThan(g1.nodeLayout.get('n2').inputs.y.x)
+    })
+
+    it('should project anchors with the orientation', () => {
+      const g1 = new Graph({ prior: ported(), options: { orientation: 'LR' } })
+      const n1 = g1.nodeLayout.get('n1')
+
+      expect(n1.outputs.a).toEqual({ x: n1.pos.x + n1.dims.w, y: n1.pos.y + 10 })
+      expect(g1.edgeLayout('n1.c-n2.x').points[0]).toEqual(n1.outputs.c)
+    })
+
+    it('should reject edges naming undeclared ports', () => {
+      const g1 = ported()
+
+      expect(() => g1.addEdge({ sourceId: 'n1', targetId: 'n2', sourcePort: 'd' }))
+        .toThrow('Unknown port: n1.d')
+      expect(() => g1.addEdge({ sourceId: 'n1', targetId: 'n2', targetPort: 'z' }))
+        .toThrow('Unknown port: n2.z')
+      expect(() => g1.updateNode({ id: 'n2', inputPorts: ['y'] }))
+        .toThrow('Unknown port: n2.x')
+    })
+  })
+
+  describe('Back edges', () => {
+    const cyclic = () => new Graph({
+      options: { allowCycles: true },
+      nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }],
+      edges: [
+        { sourceId: 'n1', targetId: 'n2' },
+        { sourceId: 'n2', targetId: 'n3' },
+        { sourceId: 'n3', targetId: 'n1' },
+      ],
+    })
+
+    it('should reverse the edge closing a cycle', () => {
+      const g1 = cyclic()
+
+      expect(g1.isBackEdge('n3-n1')).toBe(true)
+      expect(g1.isBackEdge('n1-n2')).toBe(false)
+      expect(g1.layerOf('n1')).toBe(0)
+      expect(g1.layerOf('n2')).toBe(1)
+      expect(g1.layerOf('n3')).toBe(2)
+      expect([...g1.predNodes('n1')]).toEqual(['n3'])
+    })
+
+    it('should route back edges upward from source to target', () => {
+      const g1 = cyclic()
+      const layout = g1.edgeLayout('n3-n1')
+      const n1 = g1.nodeLayout.get('n1')
+      const n3 = g1.nodeLayout.get('n3')
+
+      expect(layout.back).toBe(true)
+      expect(g1.edgeLayout('n1-n2').back).toBeUndefined()
+      expect(layout.points[0].y).toBe(n3.pos.y)
+      expect(layout.points.at(-1).y).toBe(n1.pos.y + n1.dims.h)
+      expect(g1.edgeDummies.get('n3-n1').size).toBe(1)
+    })
+
+    it('should loop self edges around their node', () => {
+      const g1 = new Graph({
+        options: { allowCycles: true },
+        nodes: [{ id: 'n1' }],
+        edges: [{ sourceId: 'n1', targetId: 'n1' }],
+      })
+      const { points } = g1.edgeLayout('n1-n1')
+      const n1 = g1.nodeLayout.get('n1')
+
+      expect(g1.isBackEdge('n1-n1')).toBe(true)
+      expect(points[0]).toEqual({ x: n1.pos.x + 50, y: n1.pos.y + 40 })
+      expect(points.at(-1)).toEqual({ x: n1.pos.x + 50, y: n1.pos.y })
+      expect(Math.max(...points.map(p => p.x))).toBeGreaterThan(n1.pos.x + n1.dims.w)
+      expect(points.every((p, i) => i == 0 || p.x == points[i - 1].x || p.y == points[i - 1].y)).toBe(true)
+    })
+
+    it('should keep back edges stable across updates', () => {
+      const g1 = cyclic()
+      const g2 = g1.withMutations(m => {
+        m.addNode({ id: 'n4' })
+        m.addEdge({ sourceId: 'n4', targetId: 'n1' })
+        m.addEdge({ sourceId: 'n3', targetId: 'n4' })
+      })
+      const g3 = g2.removeEdge({ sourceId: 'n1', targetId: 'n2' })
+
+      expect(g2.isBackEdge('n3-n1')).toBe(true)
+      expect(g2.isBackEdge('n3-n4')).toBe(true)
+      expect(g3.isBackEdge('n3-n1')).toBe(true)
+      expect(g3.backEdges).not.toBe(g1.backEdges)
+      expect(g1.backEdges.size).toBe(1)
+    })
+
+    it('should drop removed back edges', () => {
+      const g1 = cyclic()
+      const g2 = g1.removeEdge({ sourceId: 'n3', targetId: 'n1' })
+
+      expect(g2.backEdges.size).toBe(0)
+      expect(g2.edgeLayout('n3-n1')).toBeUndefined()
+      expect(g2.layerOf('n3')).toBe(2)
+    })
+
+    it('should only allow cycles when asked to', () => {
+      const g1 = cyclic()
+
+      expect(() => new Graph({ prior: g1, options: { allowCycles: false } }))
+        .toThrow('Cycle detected')
+
+      const g2 = g1.removeEdge({ sourceId: 'n1', targetId: 'n2' })
+      const g3 = new Graph({ prior: g2, options: { allowCycles: false } })
+
+      expect(g3.backEdges.size).toBe(0)
+      expect(g3.layerOf('n3')).toBeLessThan(g3.layerOf('n1'))
+      expect(g3.edgeLayout('n3-n1').back).toBeUndefined()
+    })
+  })
+
+  describe('Clusters', () => {
+    const clustered = () => new Graph({
+      nodes: [
+        { id: 'c1' },
+        { id: 'c2', parentId: 'c1' },
+        { id: 'n1' },
+        { id: 'n2', parentId: 'c1' },
+        { id: 'n3', parentId: 'c2' },
+        { id: 'n4', parentId: 'c2' },
+        { id: 'n5' },
+        { id: 'n6' },
+      ],
+      edges: [
+        { sourceId: 'n1', targetId: 'n2' },
+        { sourceId: 'n1', targetId: 'n3' },
+        { sourceId: 'n1', targetId: 'n5' },
+        { sourceId: 'n2', targetId: 'n4' },
+        { sourceId: 'n3', targetId: 'n6' },
+        { sourceId: 'n5', targetId: 'n6' },
+      ],
+    })
+    const box = (graph, id) => {
+      const { pos, dims } = graph.nodeLayout.get(id)
+      return { x1: pos.x, y1: pos.y, x2: pos.x + dims.w, y2: pos.y + dims.h }
+    }
+    const contains = (outer, inner, padding) =>
+      inner.x1 - outer.x1 >= padding && outer.x2 - inner.x2 >= padding &&
+      inner.y1 - outer.y1 >= padding && outer.y2 - inner.y2 >= padding
+    const overlaps = (a, b) => a.x1 < b.x2 && b.x1 < a.x2 && a.y1 < b.y2 && b.y1 < a.y2
+
+    it('should lay out clusters as boxes around their contents', () => {
+      const g1 = clustered()
+
+      expect(g1.isCluster('c1')).toBe(true)
+      expect(g1.isCluster('n1')).toBe(false)
+      expect(g1.childNodes('c1')).toEqual(['c2', 'n2'])
+      expect(g1.layerOf('c1')).toBeUndefined()
+      expect(contains(box(g1, 'c1'), box(g1, 'c2'), 10)).toBe(true)
+      expect(contains(box(g1, 'c1'), box(g1, 'n2'), 10)).toBe(true)
+      expect(contains(box(g1, 'c2'), box(g1, 'n3'), 10)).toBe(true)
+      expect(contains(box(g1, 'c2'), box(g1, 'n4'), 10)).toBe(true)
+    })
+
+    it('should keep other nodes out of cluster boxes', () => {
+      const g1 = clustered()
+
+      for (const id of ['n1', 'n5', 'n6'])
+        expect(overlaps(box(g1, 'c1'), box(g1, id))).toBe(false)
+      expect(overlaps(box(g1, 'c2'), box(g1, 'n2'))).toBe(false)
+    })
+
+    it('should keep the contents of a cluster together in each layer', () => {
+      const g1 = clustered()
+      const inC1 = (id) => ['n2', 'n3', 'n4'].includes(id)
+
+      for (let i = 0; i < g1.layerList.size; i++) {
+        const inside = g1.layerNodes(i).map(inC1)
+        expect(inside.join('')).toMatch(/^(false)*(true)*(false)*$/)
+      }
+    })
+
+    it('should pad boxes with the clusterPadding option', () => {
+      const g1 = new Graph({ prior: clustered(), options: { clusterPadding: 25 } })
+
+      expect(contains(box(g1, 'c2'), box(g1, 'n3'), 25)).toBe(true)
+      expect(contains(box(g1, 'c1'), box(g1, 'c2'), 25)).toBe(true)
+    })
+
+    it('should make nodes clusters when they gain children, and back', () => {
+      const g1 = clustered()
+      const g4 = g1.withMutations(m => {
+        m.addNode({ id: 'n7' })
+        m.addNode({ id: 'n8', parentId: 'n7' })
+      })
+      const g5 = g4.removeNode('n8')
+
+      expect(g4.isCluster('n7')).toBe(true)
+      expect(g4.layerOf('n7')).toBeUndefined()
+      expect(contains(box(g4, 'n7'), box(g4, 'n8'), 10)).toBe(true)
+      expect(g5.isCluster('n7')).toBe(false)
+      expect(g5.layerOf('n7')).toBe(0)
+    })
+
+    it('should move nodes between clusters', () => {
+      const g1 = clustered()
+      const g2 = g1.updateNode({ id: 'n5', parentId: 'c2' })
+
+      expect(g2.childNodes('c2')).toEqual(['n3', 'n4', 'n5'])
+      expect(contains(box(g2, 'c2'), box(g2, 'n5'), 10)).toBe(true)
+      expect(overlaps(box(g1, 'c2'), box(g1, 'n5'))).toBe(false)
+
+      const g3 = g2.updateNode({ id: 'n5' })
+
+      expect(g3.childNodes('c2')).toEqual(['n3', 'n4'])
+      expect(overlaps(box(g3, 'c2'), box(g3, 'n5'))).toBe(false)
+    })
+
+    it('should reject edges to clusters and parents that are missing or loop', () => {
+      const g1 = clustered()
+
+      expect(() => g1.addEdge({ sourceId: 'n1', targetId: 'c2' }))
+        .toThrow("Edges can't attach to clusters: c2")
+      expect(() => g1.addNode({ id: 'n7', parentId: 'n6' })).toThrow("Edges can't attach to clusters: n6")
+      expect(() => g1.addNode({ id: 'n7', parentId: 'c9' })).toThrow('Parent not found: c9')
+      expect(() => g1.updateNode({ id: 'c1', parentId: 'c2' })).toThrow('Cluster contains itself')
+    })
+
+    it('should round-trip clusters through JSON', () => {
+      const g1 = clustered()
+      const g2 = Graph.fromJSON(JSON.parse(JSON.stringify(g1)))
+      const g3 = g2.addNode({ id: 'n7', parentId: 'c2' })
+
+      expect(g2.childNodes('c1')).toEqual(['c2', 'n2'])
+      expect(g2.nodeLayout.toJS()).toEqual(g1.nodeLayout.toJS())
+      expect(g2.dummyMap.toJS()).toEqual(g1.dummyMap.toJS())
+      expect(g3.nodeLayout.toJS()).toEqual(g1.addNode({ id: 'n7', parentId: 'c2' }).nodeLayout.toJS())
+    })
+
+    it('should report moved cluster boxes in diffs', () => {
+      const g1 = clustered()
+      const g2 = g1.addNode({ id: 'n7', parentId: 'c2' })
+      const diff = Graph.diff(g1, g2)
+
+      expect(diff.addedNodes.map(node => node.id)).toEqual(['n7'])
+      expect(diff.movedNodes).toContain('c2')
+    })
+  })
+
+  describe('Validation', () => {
+    const base = () => new Graph({
+      nodes: [{ id: 'n1', outputPorts: ['a'] }, { id: 'n2' }, { id: 'n3' }],
+      edges: [{ sourceId: 'n1', targetId: 'n2' }, { sourceId: 'n2', targetId: 'n3' }],
+    })
+    const thrown = (callback) => {
+      try {
+        callback()
+      } catch (error) {
+        return error
+      }
+    }
+
+    it('should reject edges to missing nodes', () => {
+      const error = thrown(() => base().addEdge({ sourceId: 'n3', targetId: 'n9' }))
+
+      expect(error).toBeInstanceOf(MissingNodeError)
+      expect(error).toBeInstanceOf(GraphError)
+      expect(error.id).toBe('n9')
+      expect(error.message).toBe('Node not found: n9, in edge n3-n9')
+      expect(thrown(() => base().withMutations(m => {
+        m.removeNode('n3')
+        m.addEdge({ sourceId: 'n2', targetId: 'n3', data: 'x' })
+      }))).toBeInstanceOf(MissingNodeError)
+    })
+
+    it('should reject duplicate nodes and edges', () => {
+      const g1 = base()
+
+      expect(thrown(() => g1.addNode({ id: 'n1' }))).toBeInstanceOf(DuplicateNodeError)
+      expect(thrown(() => g1.addNodes({ id: 'n4' }, { id: 'n4' })).message).toBe('Duplicate node: n4')
+      expect(thrown(() => g1.addEdge({ sourceId: 'n1', targetId: 'n2' })).id).toBe('n1-n2')
+      expect(thrown(() => g1.addEdges({ sourceId: 'n1', targetId: 'n3' }, { sourceId: 'n1', targetId: 'n3' })))
+        .toBeInstanceOf(DuplicateEdgeError)
+      expect(g1.getNode('n1')).toEqual({ id: 'n1', outputPorts: ['a'] })
+    })
+
+    it('should type the other problems with changes', () => {
+      const g1 = base()
+
+      expect(thrown(() => g1.updateNode({ id: 'n9' }))).toBeInstanceOf(MissingNodeError)
+      expect(thrown(() => g1.updateEdge({ sourceId: 'n1', targetId: 'n3' }))).toBeInstanceOf(MissingEdgeError)
+      const error = thrown(() => g1.addEdge({ sourceId: 'n1', targetId: 'n3', sourcePort: 'b' }))
+      expect(error).toBeInstanceOf(UnknownPortError)
+      expect([error.id, error.port]).toEqual(['n1', 'b'])
+      expect(thrown(() => g1.addNode({ id: 'n4', parentId: 'n9' })).message).toBe('Parent not found: n9')
+    })
+
+    it('should give the nodes around a cycle', () => {
+      const error = thrown(() => base().addEdge({ sourceId: 'n3', targetId: 'n1' }))
+
+      expect(error).toBeInstanceOf(CycleError)
+      expect(error.cycle).toEqual(['n1', 'n2', 'n3', 'n1'])
+    })
+
+    it('should only find cycles that are there in large graphs', () => {
+      const nodes = Array.from({ length: 30 }, (_, i) => ({ id: `n${i}` }))
+      const edges = nodes.slice(1).map((node, i) => ({ sourceId: `n${i}`, targetId: node.id }))
+      const g1 = new Graph({ nodes, edges })
+      const g2 = g1.withMutations(m => {
+        m.addNode({ id: 'x' })
+        m.addEdge({ sourceId: 'n5', targetId: 'x' })
+      })
+
+      expect(g2.layerOf('x')).toBe(6)
+      const g3 = g1.withMutations(m => {
+        m.addNode({ id: 'y' })
+        m.addEdge({ sourceId: 'n20', targetId: 'y' })
+        m.addEdge({ sourceId: 'y', targetId: 'n29' })
+      })
+
+      expect(g3.layerOf('y')).toBeGreaterThan(20)
+      expect(g3.layerOf('y')).toBeLessThan(g3.layerOf('n29'))
+      const error = thrown(() => g1.addEdge({ sourceId: 'n12', targetId: 'n10' }))
+      expect(error).toBeInstanceOf(CycleError)
+      expect(error.cycle).toEqual(['n12', 'n10', 'n11', 'n12'])
+    })
+
+    it('should collect every problem when asked to', () => {
+      const g1 = new Graph({ prior: base(), options: { collectErrors: true } })
+      const error = thrown(() => g1.withMutations(m => {
+        m.addNode({ id: 'n2' })
+        m.addNode({ id: 'n4' })
+        m.addEdge({ sourceId: 'n4', targetId: 'n8' })
+        m.addEdge({ sourceId: 'n9', targetId: 'n4' })
+        m.addEdge({ sourceId: 'n1', targetId: 'n4', sourcePort: 'z' })
+        m.updateNode({ id: 'n7' })
+      }))
+
+      expect(error).toBeInstanceOf(ValidationError)
+      expect(error.errors.map(e => e.constructor)).toEqual([
+        DuplicateNodeError,
+        MissingNodeError,
+        MissingNodeError,
+        MissingNodeError,
+        UnknownPortError,
+      ])
+      expect(error.errors.map(e => e.id)).toEqual(['n2', 'n8', 'n9', 'n7', 'n1'])
+      expect(error.message).toMatch(/^5 problems with changes: Duplicate node: n2; /)
+      expect(g1.nodeIds()).toEqual(['n1', 'n2', 'n3'])
+      expect(g1.addNode({ id: 'n4' }).nodeIds()).toEqual(['n1', 'n2', 'n3', 'n4'])
+    })
+  })
 })
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest'
+import { readFileSync } from 'fs'
+import { Graph, parseGraphML, readGraphML, writeGraphML } from '../src/index.js'
+
+const fixture = readFileSync(new URL('./fixtures/services.graphml', import.meta.url), 'utf8')
+
+describe('GraphML', () => {
+  it('should read typed data with defaults', () => {
+    const graph = readGraphML(fixture)
+
+    expect(graph.getNode('gateway').data).toEqual({ label: 'API & gateway', replicas: 3 })
+    expect(graph.getNode('db').data).toEqual({ replicas: 1 })
+    expect(graph.getEdge('gateway-auth.login').data).toEqual({ protocol: 'http', critical: true })
+    expect(graph.getEdge('orders-auth.verify').data).toBeUndefined()
+  })
+
+  it('should read ports', () => {
+    const graph = readGraphML(fixture)
+
+    expect(graph.getNode('auth').inputPorts).toEqual(['login', 'verify'])
+    expect(graph.getNode('auth').outputPorts).toBeUndefined()
+    expect(graph.getEdge('gateway-auth.login').targetPort).toBe('login')
+  })
+
+  it('should fill in a changeset', () => {
+    const mutator = parseGraphML(fixture)
+
+    expect(mutator.changes.addedNodes.map(node => node.id)).toEqual(['gateway', 'auth', 'orders', 'db'])
+    expect(mutator.changes.addedEdges.length).toBe(4)
+  })
+
+  it('should report malformed input', () => {
+    expect(() => readGraphML('<graphml><graph><node id="a"></graph></graphml>'))
+      .toThrow('Unexpected </graph> in GraphML')
+    expect(() => readGraphML('<svg/>')).toThrow('Expected a GraphML document')
+  })
+
+  it('should round-trip fixtures losslessly', () => {
+    const graph = readGraphML(fixture)
+    const text = writeGraphML(graph)
+    const again = readGraphML(text)
+
+    expect(again.nodes().toArray()).toEqual(graph.nodes().toArray())
+    expect(again.edges().toArray()).toEqual(graph.edges().toArray())
+    expect(writeGraphML(again)).toBe(text)
+  })
+
+  it('should keep port sides and orientation', () => {
+    const graph = new Graph({
+      options: { orientation: 'RL' },
+      nodes: [{ id: 'a', outputPorts: ['out'] }, { id: 'b', inputPorts: ['x', 'y'] }],
+      edges: [{ sourceId: 'a', targetId: 'b', sourcePort: 'out', targetPort: 'y' }],
+    })
+    const again = readGraphML(writeGraphML(graph))
+
+    expect(again.options.orientation).toBe('RL')
+    expect(again.getNode('a')).toEqual({ id: 'a', outputPorts: ['out'] })
+    expect(again.getNode('b')).toEqual({ id: 'b', inputPorts: ['x', 'y'] })
+  })
+
+  it('should round-trip typed data, clusters and ports', () => {
+    const graph = new Graph({
+      nodes: [
+        { id: 'outer', data: { label: 'Outer' } },
+        { id: 'inner', parentId: 'outer', data: { open: true } },
+        { id: 'a', parentId: 'inner', outputPorts: ['x', 'y'], data: { count: 2, tags: ['a'] } },
+        { id: 'b', parentId: 'outer', inputPorts: ['in'], data: { meta: { owner: 'me' }, count: 'many' } },
+        { id: 'c', data: { label: 'C & <co>' } },
+      ],
+      edges: [
+        { sourceId: 'a', sourcePort: 'y', targetId: 'b', targetPort: 'in', data: { weight: 1.5 } },
+        { sourceId: 'b', targetId: 'c', data: { dashed: false } },
+      ],
+    })
+    const text = writeGraphML(graph)
+    const again = readGraphML(text)
+    const byId = (g) => g.nodes().toArray().sort((x, y) => x.id.localeCompare(y.id))
+
+    expect(text).toContain('<graph id="outer:" edgedefault="directed">')
+    expect(text).toContain('attr.name="count" attr.type="string" steadyflow.type="json"')
+    expect(byId(again)).toEqual(byId(graph))
+    expect(again.edges().toArray()).toEqual(graph.edges().toArray())
+    expect(writeGraphML(again)).toBe(text)
+  })
+
+  it('should read nodes and edges of nested graphs', () => {
+    const graph = readGraphML(`
+      <graphml>
+        <graph edgedefault="directed">
+          <node id="c"><graph id="c:"><node id="a"/><node id="b"/><edge source="a" target="b"/></graph></node>
+          <node id="d"/>
+          <edge source="b" target="d"/>
+        </graph>
+      </graphml>`)
+
+    expect(graph.childNodes('c')).toEqual(['a', 'b'])
+    expect(graph.hasEdge('a-b')).toBe(true)
+    expect(graph.hasEdge('b-d')).toBe(true)
+  })
+})
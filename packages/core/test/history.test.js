@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest'
+import { Graph, History } from '../src/index.js'
+
+describe('History', () => {
+  const base = () => new Graph({
+    nodes: [{ id: 'n1' }, { id: 'n2' }],
+    edges: [{ sourceId: 'n1', targetId: 'n2' }],
+  })
+  const addNode = (id) => (graph) => graph.addNode({ id })
+
+  it('should undo and redo versions', () => {
+    const g1 = base()
+    const history = new History(g1)
+    const g2 = history.apply(addNode('n3'))
+    const g3 = history.apply(addNode('n4'))
+
+    expect(history.graph).toBe(g3)
+    expect(history.canRedo).toBe(false)
+    expect(history.undo()).toBe(g2)
+    expect(history.undo()).toBe(g1)
+    expect(history.canUndo).toBe(false)
+    expect(history.undo()).toBe(g1)
+    expect(history.redo()).toBe(g2)
+    expect(history.redo()).toBe(g3)
+    expect(history.redo()).toBe(g3)
+  })
+
+  it('should restore layouts exactly', () => {
+    const g1 = base()
+    const history = new History(g1)
+    history.apply(graph => graph.withMutations(m => {
+      m.addNode({ id: 'n3' })
+      m.addEdge({ sourceId: 'n3', targetId: 'n2' })
+    }))
+
+    expect(history.undo().nodeLayout).toBe(g1.nodeLayout)
+  })
+
+  it('should branch when changing after an undo', () => {
+    const history = new History(base())
+    const g2 = history.apply(addNode('n3'))
+    history.undo()
+    const g3 = history.apply(addNode('n4'))
+
+    expect(history.graph.nodeIds()).toEqual(['n1', 'n2', 'n4'])
+    history.undo()
+    expect(history.branches()).toEqual([g3, g2])
+    expect(history.redo(g2)).toBe(g2)
+    history.undo()
+    expect(history.branches()).toEqual([g2, g3])
+    expect(history.redo()).toBe(g2)
+    history.undo()
+    expect(() => history.redo(base())).toThrow('Not a branch of the current version')
+  })
+
+  it('should keep at most limit steps', () => {
+    const history = new History(base(), { limit: 2 })
+    history.apply(addNode('n3'))
+    const g3 = history.apply(addNode('n4'))
+    history.apply(addNode('n5'))
+
+    history.undo()
+    expect(history.undo()).toBe(g3.prior)
+    expect(history.canUndo).toBe(false)
+  })
+
+  it('should group changes into one step', () => {
+    const g1 = base()
+    const history = new History(g1)
+    const events = []
+    history.on('change', event => events.push(event))
+    const result = history.group(() => {
+      history.apply(addNode('n3'))
+      history.group(() => history.apply(addNode('n4')))
+      return history.apply(addNode('n5'))
+    })
+
+    expect(result).toBe(history.graph)
+    expect(history.graph.nodeIds()).toEqual(['n1', 'n2', 'n3', 'n4', 'n5'])
+    expect(events.length).toBe(1)
+    expect(events[0].previous).toBe(g1)
+    expect(history.undo()).toBe(g1)
+  })
+
+  it('should drop the changes of a group that throws', () => {
+    const g1 = base()
+    const history = new History(g1)
+
+    expect(() => history.group(() => {
+      history.apply(addNode('n3'))
+      history.apply(addNode('n1'))
+    })).toThrow('Duplicate node: n1')
+    expect(history.graph).toBe(g1)
+    expect(history.canRedo).toBe(false)
+  })
+
+  it('should tell listeners when the current version changes', () => {
+    const g1 = base()
+    const history = new History(g1)
+    const events = []
+    const stop = history.on('change', ({ graph, previous, cause }) =>
+      events.push([cause, Graph.diff(previous, graph).addedNodes.map(node => node.id)]))
+    history.apply(addNode('n3'))
+    history.apply(history.graph)
+    history.undo()
+    history.redo()
+    history.reset(g1)
+    stop()
+    history.apply(addNode('n4'))
+
+    expect(events).toEqual([
+      ['apply', ['n3']],
+      ['undo', []],
+      ['redo', ['n3']],
+      ['reset', []],
+    ])
+    expect(history.canUndo).toBe(true)
+  })
+
+  it('should only take change listeners', () => {
+    const history = new History(base())
+
+    expect(() => history.on('apply', () => {})).toThrow('Unknown History event: apply')
+  })
+
+  it('should let go of dropped versions on a reset to a version loaded afresh', () => {
+    const history = new History(base(), { limit: 1 })
+    history.apply(addNode('n3'))
+    history.apply(addNode('n4'))
+
+    expect(history.graph.prior.prior).toBeDefined()
+    history.reset(Graph.fromJSON(history.graph.toJSON()))
+    expect(history.graph.prior).toBeUndefined()
+    expect(history.graph.nodeIds()).toEqual(['n1', 'n2', 'n3', 'n4'])
+    expect(history.canUndo).toBe(false)
+  })
+})
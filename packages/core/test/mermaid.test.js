@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+import { readFileSync } from 'fs'
+import { Graph, parseMermaid, readMermaid, writeMermaid } from '../src/index.js'
+
+const fixture = readFileSync(new URL('./fixtures/review.mmd', import.meta.url), 'utf8')
+const options = { allowCycles: true }
+
+describe('Mermaid', () => {
+  it('should read node labels and shapes as data', () => {
+    const graph = readMermaid(fixture, options)
+
+    expect(graph.getNode('open').data).toEqual({ label: 'Open PR', shape: 'stadium' })
+    expect(graph.getNode('review').data).toEqual({ label: 'Review', shape: 'rhombus' })
+    expect(graph.getNode('merge').data).toEqual({ label: 'Merge', shape: 'subroutine' })
+    expect(graph.getNode('deploy').data).toEqual({ label: 'Deploy "prod"', shape: 'cylinder' })
+    expect(graph.getNode('done').data).toEqual({ label: 'Done', shape: 'circle' })
+    expect(graph.getNode('notify').data).toEqual({ label: 'Notify', shape: 'asymmetric' })
+  })
+
+  it('should read edge labels and link styles', () => {
+    const graph = readMermaid(fixture, options)
+
+    expect(graph.getEdge('open-review').data).toBeUndefined()
+    expect(graph.getEdge('review-merge').data).toEqual({ label: 'approved' })
+    expect(graph.getEdge('review-fix').data).toEqual({ label: 'changes requested' })
+    expect(graph.getEdge('fix-review').data).toEqual({ link: '-.->' })
+    expect(graph.getEdge('merge-deploy').data).toEqual({ link: '==>' })
+    expect(graph.hasEdge('deploy-done')).toBe(true)
+    expect(graph.hasEdge('deploy-notify')).toBe(true)
+    expect(graph.numEdges()).toBe(7)
+  })
+
+  it('should take the orientation from the direction', () => {
+    expect(readMermaid('graph LR\n  a --> b').options.orientation).toBe('LR')
+    expect(readMermaid(fixture, options).options.orientation).toBe('TB')
+  })
+
+  it('should fill in a changeset', () => {
+    const graph = new Graph().withMutations(m => {
+      parseMermaid('flowchart TD; a[A] --> b; b --- c', m)
+    })
+
+    expect(graph.nodeIds()).toEqual(['a', 'b', 'c'])
+    expect(graph.getNode('a').data).toEqual({ label: 'A' })
+    expect(graph.getEdge('b-c').data).toEqual({ link: '---' })
+  })
+
+  it('should report malformed input', () => {
+    expect(() => readMermaid('digraph {}')).toThrow('Expected a Mermaid flowchart')
+    expect(() => readMermaid('flowchart TD\n  a --> [b]')).toThrow("Can't read Mermaid statement: a --> [b]")
+  })
+
+  it('should round-trip fixtures losslessly', () => {
+    const graph = readMermaid(fixture, options)
+    const text = writeMermaid(graph)
+    const again = readMermaid(text, options)
+
+    expect(again.nodes().toArray()).toEqual(graph.nodes().toArray())
+    expect(again.edges().toArray()).toEqual(graph.edges().toArray())
+    expect(writeMermaid(again)).toBe(text)
+  })
+
+  it('should refuse ids Mermaid cannot hold', () => {
+    expect(() => writeMermaid(new Graph({ nodes: [{ id: 'a b' }] })))
+      .toThrow("Can't write node id to Mermaid: a b")
+  })
+})
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest'
+import { Graph, Viewport, minimap } from '../src/index.js'
+import { FakeDocument } from './fake-dom.js'
+
+describe('minimap', () => {
+  const container = () => new FakeDocument().createElementNS(null, 'div')
+  const base = () => new Graph({
+    nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }],
+    edges: [
+      { sourceId: 'n1', targetId: 'n2' },
+      { sourceId: 'n1', targetId: 'n3' },
+    ],
+  })
+  const numbers = (el, ...names) => names.map(name => Number(el.getAttribute(name)))
+  // a viewport over a 400 by 300 view
+  const viewport = () => {
+    const viewport = new Viewport()
+    viewport.setSize(400, 300)
+    return viewport
+  }
+
+  it('should draw nodes as boxes and edges as lines, scaled to fit', () => {
+    const g1 = base()
+    const div = container()
+    const svg = minimap(g1, div, { width: 120, height: 90, padding: 10 })
+
+    expect(div.children).toEqual([svg])
+    expect(svg.getAttribute('class')).toBe('steadyflow-minimap')
+    expect(svg.getAttribute('width')).toBe('120')
+    const { pos, dims } = g1.bounds()
+    expect(svg.getAttribute('viewBox')).toBe(`${pos.x - 10} ${pos.y - 10} ${dims.w + 20} ${dims.h + 20}`)
+    const n1 = g1.nodeLayout.get('n1')
+    expect(numbers(svg.byId('n1'), 'x', 'y', 'width', 'height')).toEqual([n1.pos.x, n1.pos.y, n1.dims.w, n1.dims.h])
+    expect(svg.byId('n1-n2').getAttribute('d')).toBe(g1.edgeLayout('n1-n2').path)
+    expect(svg.find(el => el.tagName == 'text')).toBeUndefined()
+  })
+
+  it('should only touch what changed', () => {
+    const g1 = base().withMutations(m => {
+      m.addNode({ id: 'c1' })
+      m.updateNode({ id: 'n3', parentId: 'c1' })
+    })
+    const div = container()
+    const svg = minimap(g1, div)
+    const n1 = svg.byId('n1')
+    expect(svg.byId('c1').parentNode.getAttribute('class')).toBe('steadyflow-minimap-clusters')
+
+    const doc = div.ownerDocument
+    const writes = doc.writes
+    minimap(g1.updateNode({ id: 'n2', data: { note: 'same place' } }), div)
+    expect(doc.writes).toBe(writes)
+
+    const g2 = g1.withMutations(m => {
+      m.removeNode('n2')
+      m.addNode({ id: 'n4' })
+      m.addEdge({ sourceId: 'n3', targetId: 'n4' })
+    })
+    expect(minimap(g2, div)).toBe(svg)
+    expect(svg.byId('n1')).toBe(n1)
+    expect(svg.byId('n2')).toBeUndefined()
+    expect(svg.byId('n1-n2')).toBeUndefined()
+    expect(svg.byId('n3-n4').getAttribute('d')).toBe(g2.edgeLayout('n3-n4').path)
+  })
+
+  it('should show what the viewport shows', () => {
+    const g1 = base()
+    const div = container()
+    expect(minimap(g1, div).find(el => el.getAttribute('class') == 'steadyflow-minimap-view')
+      .getAttribute('visibility')).toBe('hidden')
+
+    const view = viewport()
+    const svg = minimap(g1, div, { viewport: view })
+    const rect = svg.find(el => el.getAttribute('class') == 'steadyflow-minimap-view')
+    expect(numbers(rect, 'x', 'y', 'width', 'height')).toEqual([0, 0, 400, 300])
+
+    view.zoomAt(2, { x: 0, y: 0 })
+    view.panBy(-100, -40)
+    expect(numbers(rect, 'x', 'y', 'width', 'height')).toEqual([50, 20, 200, 150])
+  })
+
+  it('should move the viewport to where it is pressed, and along with drags', () => {
+    const g1 = base()
+    const div = container()
+    const view = viewport()
+    const svg = minimap(g1, div, { viewport: view, padding: 0 })
+    const { pos, dims } = g1.bounds()
+    // one pixel of the svg per graph unit, placed at (5, 5)
+    svg.rect = { left: 5, top: 5, width: dims.w, height: dims.h }
+    const at = (x, y) => ({ clientX: 5 + x - pos.x, clientY: 5 + y - pos.y })
+    const middle = () => view.toGraph({ x: 200, y: 150 })
+
+    view.setTransform({ x: -1000, y: -1000 })
+    svg.send('pointerdown', { pointerId: 1, button: 0, ...at(30, 40) })
+    expect(middle()).toEqual({ x: 30, y: 40 })
+    svg.send('pointermove', { pointerId: 1, ...at(35, 50) })
+    expect(middle()).toEqual({ x: 35, y: 50 })
+    svg.send('pointerup', { pointerId: 1 })
+    svg.send('pointermove', { pointerId: 1, ...at(0, 0) })
+    expect(middle()).toEqual({ x: 35, y: 50 })
+
+    // the rectangle is grabbed where it's held
+    svg.send('pointerdown', { pointerId: 2, button: 0, ...at(40, 60) })
+    expect(middle()).toEqual({ x: 35, y: 50 })
+    svg.send('pointermove', { pointerId: 2, ...at(50, 60) })
+    expect(middle()).toEqual({ x: 45, y: 50 })
+  })
+})
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest'
+import { Graph, CycleError, MissingNodeError } from '../src/index.js'
+
+describe('Queries', () => {
+  const diamond = () => new Graph({
+    nodes: [
+      { id: 'n1' },
+      { id: 'n2' },
+      { id: 'n3' },
+      { id: 'n4' },
+      { id: 'n5' },
+      { id: 'n6' },
+      { id: 'n7' },
+    ],
+    edges: [
+      { sourceId: 'n1', targetId: 'n2' },
+      { sourceId: 'n1', targetId: 'n3' },
+      { sourceId: 'n2', targetId: 'n4' },
+      { sourceId: 'n3', targetId: 'n4' },
+      { sourceId: 'n4', targetId: 'n5' },
+      { sourceId: 'n6', targetId: 'n7' },
+    ],
+  })
+
+  it('should find ancestors and descendants in layer order', () => {
+    const g1 = diamond()
+
+    expect(g1.ancestors('n4')).toEqual(g1.layerNodes(0).filter(id => id == 'n1')
+      .concat(g1.layerNodes(1).filter(id => id == 'n2' || id == 'n3')))
+    expect([...g1.descendants('n1')].sort()).toEqual(['n2', 'n3', 'n4', 'n5'])
+    expect(g1.descendants('n1').at(-1)).toBe('n5')
+    expect(g1.descendants('n5')).toEqual([])
+    expect(g1.ancestors('n7')).toEqual(['n6'])
+  })
+
+  it('should order nodes so edges run forward', () => {
+    const g1 = diamond()
+    const order = g1.topologicalOrder()
+    const rank = new Map(order.map((id, i) => [id, i]))
+
+    expect([...order].sort()).toEqual(g1.nodeIds())
+    for (const edge of g1.edges())
+      expect(rank.get(edge.sourceId)).toBeLessThan(rank.get(edge.targetId))
+  })
+
+  it('should find shortest paths and reachability', () => {
+    const g1 = diamond().addEdge({ sourceId: 'n1', targetId: 'n5' })
+
+    expect(g1.shortestPath('n1', 'n5')).toEqual(['n1', 'n5'])
+    expect(g1.shortestPath('n2', 'n5')).toEqual(['n2', 'n4', 'n5'])
+    expect(g1.shortestPath('n5', 'n1')).toBeUndefined()
+    expect(g1.shortestPath('n3', 'n3')).toEqual(['n3'])
+    expect(g1.isReachable('n1', 'n4')).toBe(true)
+    expect(g1.isReachable('n2', 'n3')).toBe(false)
+    expect(g1.isReachable('n6', 'n5')).toBe(false)
+  })
+
+  it('should keep paths between ids with colons apart', () => {
+    const g1 = new Graph({
+      nodes: [{ id: 'a:b' }, { id: 'c' }, { id: 'a' }, { id: 'b:c' }],
+      edges: [{ sourceId: 'a:b', targetId: 'c' }],
+    })
+
+    expect(g1.shortestPath('a:b', 'c')).toEqual(['a:b', 'c'])
+    expect(g1.shortestPath('a', 'b:c')).toBeUndefined()
+    expect(g1.isReachable('a', 'b:c')).toBe(false)
+  })
+
+  it('should find roots, leaves and connected components', () => {
+    const g1 = diamond().addNode({ id: 'n8' })
+
+    expect([...g1.roots()].sort()).toEqual(['n1', 'n6', 'n8'])
+    expect([...g1.leaves()].sort()).toEqual(['n5', 'n7', 'n8'])
+    expect(g1.connectedComponents().map(component => [...component].sort()).sort())
+      .toEqual([['n1', 'n2', 'n3', 'n4', 'n5'], ['n6', 'n7'], ['n8']])
+  })
+
+  it('should leave clusters out', () => {
+    const g1 = diamond().withMutations(m => {
+      m.addNode({ id: 'c1' })
+      m.updateNode({ id: 'n2', parentId: 'c1' })
+      m.updateNode({ id: 'n3', parentId: 'c1' })
+    })
+
+    expect(g1.roots()).not.toContain('c1')
+    expect(g1.topologicalOrder()).not.toContain('c1')
+    expect(g1.connectedComponents().length).toBe(2)
+    expect(g1.descendants('c1')).toEqual([])
+    expect(g1.isReachable('c1', 'n4')).toBe(false)
+  })
+
+  it('should cache results for each version', () => {
+    const g1 = diamond()
+    const g2 = g1.addEdge({ sourceId: 'n5', targetId: 'n6' })
+
+    expect(g1.descendants('n1')).toBe(g1.descendants('n1'))
+    expect(g1.roots()).toBe(g1.roots())
+    expect(Object.isFrozen(g1.roots())).toBe(true)
+    expect(g2.descendants('n1')).toContain('n7')
+    expect(g1.descendants('n1')).not.toContain('n7')
+    expect(g2.isReachable('n1', 'n7')).toBe(true)
+  })
+
+  it('should reach across back edges', () => {
+    const g1 = new Graph({
+      options: { allowCycles: true },
+      nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }],
+      edges: [
+        { sourceId: 'n1', targetId: 'n2' },
+        { sourceId: 'n2', targetId: 'n3' },
+        { sourceId: 'n3', targetId: 'n1' },
+      ],
+    })
+
+    expect(g1.shortestPath('n3', 'n2')).toEqual(['n3', 'n1', 'n2'])
+    expect([...g1.descendants('n2')].sort()).toEqual(['n1', 'n3'])
+    expect(() => g1.topologicalOrder()).toThrow(CycleError)
+
+    const g2 = g1.removeEdge({ sourceId: 'n1', targetId: 'n2' })
+
+    expect(g2.isBackEdge('n3-n1')).toBe(true)
+    expect(g2.topologicalOrder()).toEqual(['n2', 'n3', 'n1'])
+  })
+
+  it('should reject missing nodes', () => {
+    expect(() => diamond().ancestors('n9')).toThrow(MissingNodeError)
+    expect(() => diamond().shortestPath('n1', 'n9')).toThrow('Node not found: n9')
+  })
+})
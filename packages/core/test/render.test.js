@@ -0,0 +1,201 @@
+import { describe, it, expect, vi } from 'vitest'
+import { Graph, Viewport, Builder, render, unrender, midpoint } from '../src/index.js'
+import { FakeDocument } from './fake-dom.js'
+
+describe('render', () => {
+  const container = () => new FakeDocument().createElementNS(null, 'div')
+  const base = () => new Graph({
+    nodes: [{ id: 'n1', data: { label: 'Start' } }, { id: 'n2' }, { id: 'n3' }],
+    edges: [
+      { sourceId: 'n1', targetId: 'n2', data: { label: 'go' } },
+      { sourceId: 'n1', targetId: 'n3' },
+    ],
+  })
+
+  it('should draw nodes, edges, arrowheads and labels', () => {
+    const g1 = base()
+    const div = container()
+    const svg = render(g1, div)
+
+    expect(div.children).toEqual([svg])
+    const n1 = svg.byId('n1')
+    const { pos } = g1.nodeLayout.get('n1')
+    expect(n1.getAttribute('transform')).toBe(`translate(${pos.x} ${pos.y})`)
+    expect(n1.find(el => el.tagName == 'text').textContent).toBe('Start')
+    expect(svg.byId('n2').find(el => el.tagName == 'text').textContent).toBe('n2')
+
+    const edge = svg.byId('n1-n2')
+    const path = edge.find(el => el.tagName == 'path')
+    expect(path.getAttribute('d')).toBe(g1.edgeLayout('n1-n2').path)
+    const marker = svg.find(el => el.tagName == 'marker').getAttribute('id')
+    expect(path.getAttribute('marker-end')).toBe(`url(#${marker})`)
+    expect(edge.find(el => el.tagName == 'text').textContent).toBe('go')
+    expect(svg.byId('n1-n3').find(el => el.tagName == 'text')).toBeUndefined()
+  })
+
+  it('should patch the drawing for new versions', () => {
+    const g1 = base()
+    const div = container()
+    const svg = render(g1, div)
+    const n1 = svg.byId('n1')
+    const box = n1.children[0]
+    const g2 = g1.withMutations(m => {
+      m.removeNode('n3')
+      m.addNode({ id: 'n4' })
+      m.addEdge({ sourceId: 'n2', targetId: 'n4' })
+    })
+
+    expect(render(g2, div)).toBe(svg)
+    expect(svg.byId('n1')).toBe(n1)
+    expect(n1.children[0]).toBe(box)
+    expect(svg.byId('n3')).toBeUndefined()
+    expect(svg.byId('n1-n3')).toBeUndefined()
+    expect(svg.byId('n4')).toBeDefined()
+    expect(svg.byId('n2-n4').find(el => el.tagName == 'path').getAttribute('d'))
+      .toBe(g2.edgeLayout('n2-n4').path)
+  })
+
+  it('should only touch what changed', () => {
+    const g1 = base()
+    const div = container()
+    render(g1, div)
+    const { ownerDocument } = div
+    ownerDocument.writes = 0
+    render(g1, div)
+
+    expect(ownerDocument.writes).toBe(0)
+
+    render(g1.updateNode({ id: 'n2', data: { label: 'Next' } }), div)
+    expect(div.children[0].byId('n2').find(el => el.tagName == 'text').textContent).toBe('Next')
+    expect(div.children[0].byId('n1').children.length).toBe(2)
+  })
+
+  it('should take node content from a callback', () => {
+    const div = container()
+    const renderNode = (node, dims) => {
+      const circle = div.ownerDocument.createElementNS(null, 'circle')
+      circle.setAttribute('r', dims.h / 2)
+      circle.setAttribute('data-node', node.id)
+      return circle
+    }
+    const svg = render(base(), div, { renderNode, edgeLabel: () => undefined })
+
+    expect(svg.byId('n1').children.map(el => el.tagName)).toEqual(['circle'])
+    expect(svg.byId('n1').children[0].getAttribute('data-node')).toBe('n1')
+    expect(svg.byId('n1-n2').find(el => el.tagName == 'text')).toBeUndefined()
+  })
+
+  it('should draw clusters under the rest, and size to fit', () => {
+    const g1 = base().withMutations(m => {
+      m.addNode({ id: 'c1', data: { label: 'Group' } })
+      m.updateNode({ id: 'n2', parentId: 'c1' })
+    })
+    const svg = render(g1, container())
+    const cluster = svg.byId('c1')
+
+    expect(cluster.getAttribute('class')).toBe('steadyflow-cluster')
+    expect(cluster.parentNode.getAttribute('class')).toBe('steadyflow-clusters')
+    const [x, y, w, h] = svg.getAttribute('viewBox').split(' ').map(Number)
+    for (const { pos, dims } of g1.nodeLayout.values()) {
+      expect(pos.x).toBeGreaterThanOrEqual(x)
+      expect(pos.y).toBeGreaterThanOrEqual(y)
+      expect(pos.x + dims.w).toBeLessThanOrEqual(x + w)
+      expect(pos.y + dims.h).toBeLessThanOrEqual(y + h)
+    }
+    expect(svg.getAttribute('width')).toBe(String(w))
+  })
+
+  it('should let a viewport pan and zoom the drawing', () => {
+    const g1 = base()
+    const div = container()
+    const viewport = new Viewport()
+    const svg = render(g1, div, { viewport })
+    const root = svg.find(el => el.getAttribute('class') == 'steadyflow-graph')
+
+    expect(svg.getAttribute('viewBox')).toBeNull()
+    expect(svg.getAttribute('width')).toBe('100%')
+    expect(viewport.graph).toBe(g1)
+    expect(viewport.element).toBe(svg)
+    expect(svg.listeners.has('wheel')).toBe(true)
+    viewport.panBy(10, 5)
+    expect(root.getAttribute('transform')).toBe('translate(10 5) scale(1)')
+
+    const g2 = g1.addNode({ id: 'n4' })
+    render(g2, div, { viewport })
+    expect(viewport.graph).toBe(g2)
+
+    render(g2, div)
+    expect(root.getAttribute('transform')).toBeNull()
+    expect(svg.listeners.size).toBe(0)
+    expect(svg.getAttribute('viewBox')).not.toBeNull()
+  })
+
+  it('should animate between versions', () => {
+    vi.useFakeTimers()
+    try {
+      const g1 = base()
+      const div = container()
+      const animate = { duration: 100, easing: t => t }
+      const svg = render(g1, div, { animate })
+      expect(svg.byId('n1').getAttribute('opacity')).toBeNull()
+
+      const g2 = g1.withMutations(m => {
+        m.removeNode('n3')
+        m.addNode({ id: 'n0' })
+        m.addEdge({ sourceId: 'n0', targetId: 'n1' })
+      })
+      render(g2, div, { animate })
+      const n3 = svg.byId('n3')
+      expect(svg.byId('n0').getAttribute('opacity')).toBe('0')
+      vi.advanceTimersByTime(48)
+      expect(Number(svg.byId('n0').getAttribute('opacity'))).toBeCloseTo(0.48)
+      expect(Number(n3.getAttribute('opacity'))).toBeCloseTo(0.52)
+      const from = g1.nodeLayout.get('n1').pos
+      const to = g2.nodeLayout.get('n1').pos
+      expect(svg.byId('n1').getAttribute('transform'))
+        .toBe(`translate(${from.x + (to.x - from.x) * 0.48} ${from.y + (to.y - from.y) * 0.48})`)
+
+      vi.advanceTimersByTime(100)
+      expect(svg.byId('n0').getAttribute('opacity')).toBeNull()
+      expect(n3.parentNode).toBeNull()
+      expect(svg.byId('n1').getAttribute('transform')).toBe(`translate(${to.x} ${to.y})`)
+      expect(svg.byId('n1-n2').find(el => el.tagName == 'path').getAttribute('d'))
+        .toBe(g2.edgeLayout('n1-n2').path)
+    } finally {
+      vi.useRealTimers()
+    }
+  })
+
+  it('should take a drawing away, letting go of what it follows', () => {
+    vi.useFakeTimers()
+    try {
+      const g1 = base()
+      const div = container()
+      const viewport = new Viewport()
+      const builder = new Builder()
+      const animate = { duration: 100 }
+      const svg = render(g1, div, { viewport, builder, animate })
+      render(g1.addNode({ id: 'n4' }), div, { viewport, builder, animate })
+      expect(vi.getTimerCount()).toBeGreaterThan(0)
+
+      unrender(div)
+      expect(div.children).toEqual([])
+      expect(svg.listeners.size).toBe(0)
+      expect(builder.svg).toBeUndefined()
+      expect(vi.getTimerCount()).toBe(0)
+      unrender(div)
+
+      const again = render(g1, div)
+      expect(again).not.toBe(svg)
+      expect(div.children).toEqual([again])
+    } finally {
+      vi.useRealTimers()
+    }
+  })
+
+  it('should put labels halfway along routes', () => {
+    expect(midpoint([{ x: 0, y: 0 }, { x: 0, y: 10 }, { x: 30, y: 10 }])).toEqual({ x: 10, y: 10 })
+    expect(midpoint([{ x: 5, y: 5 }])).toEqual({ x: 5, y: 5 })
+    expect(new Graph().bounds()).toEqual({ pos: { x: 0, y: 0 }, dims: { w: 0, h: 0 } })
+  })
+})
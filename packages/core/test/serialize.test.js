@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest'
+import { Graph } from '../src/index.js'
+
+describe('Serialization', () => {
+  const sample = () => new Graph({
+    options: { nodeSpacing: 30, allowCycles: true },
+    nodes: [
+      { id: 'n1', data: 'A', outputPorts: ['a', 'b'] },
+      { id: 'n2', dims: { w: 60, h: 30 } },
+      { id: 'n3' },
+      { id: 'n4' },
+    ],
+    edges: [
+      { sourceId: 'n1', targetId: 'n2', sourcePort: 'a' },
+      { sourceId: 'n1', targetId: 'n4', sourcePort: 'b', data: 'x' },
+      { sourceId: 'n2', targetId: 'n3' },
+      { sourceId: 'n3', targetId: 'n4' },
+      { sourceId: 'n4', targetId: 'n2' },
+    ],
+  })
+  const roundTrip = (graph) => Graph.fromJSON(JSON.parse(JSON.stringify(graph)))
+  const layoutOf = (graph) => ({
+    layers: graph.layerList.toArray().map((_, i) => graph.layerNodes(i)),
+    nodes: graph.nodeLayout.toJS(),
+    edges: graph.edgeLayouts.toJS(),
+  })
+
+  it('should write a versioned format', () => {
+    const json = sample().toJSON()
+
+    expect(json.version).toBe(1)
+    expect(json.options.nodeSpacing).toBe(30)
+    expect(json.nodes.length).toBe(4)
+    expect(json.edges.length).toBe(5)
+    expect(json.layers.length).toBe(4)
+    expect(json.nextLayerId).toBe(sample().nextLayerId)
+    expect(json.nodeLayout.n1.outputs.a).toBeDefined()
+    expect(json.backEdges).toEqual(['n4-n2'])
+  })
+
+  it('should restore nodes, edges, options and layout', () => {
+    const g1 = sample()
+    const g2 = roundTrip(g1)
+
+    expect(g2.nodeIds()).toEqual(g1.nodeIds())
+    expect(g2.getNode('n1')).toEqual({ id: 'n1', data: 'A', outputPorts: ['a', 'b'] })
+    expect(g2.getEdge('n1.b-n4').data).toBe('x')
+    expect([...g2.predNodes('n4')].sort()).toEqual(['n1', 'n3'])
+    expect(g2.options).toEqual(g1.options)
+    expect(g2.nextLayerId).toBe(g1.nextLayerId)
+    expect(g2.isBackEdge('n4-n2')).toBe(true)
+    expect(layoutOf(g2)).toEqual(layoutOf(g1))
+    expect(g2.edgeDummies.toJS()).toEqual(g1.edgeDummies.toJS())
+    expect(g2.dummyMap.toJS()).toEqual(g1.dummyMap.toJS())
+  })
+
+  it('should lay out restored graphs the same way as the original', () => {
+    const g1 = sample()
+    const g2 = roundTrip(g1)
+    const change = (graph) => graph.withMutations(m => {
+      m.addNode({ id: 'n5' })
+      m.addEdge({ sourceId: 'n5', targetId: 'n3' })
+      m.removeEdge({ sourceId: 'n2', targetId: 'n3' })
+    })
+    const h1 = change(g1)
+    const h2 = change(g2)
+
+    expect(layoutOf(h2)).toEqual(layoutOf(h1))
+    expect(h2.nextLayerId).toBe(h1.nextLayerId)
+  })
+
+  it('should restore an empty graph', () => {
+    const g1 = roundTrip(new Graph())
+
+    expect(g1.isEmpty()).toBe(true)
+    expect(g1.addNode({ id: 'n1' }).layerNodes(0)).toEqual(['n1'])
+  })
+
+  it('should reject unknown format versions', () => {
+    const json = { ...sample().toJSON(), version: 99 }
+
+    expect(() => Graph.fromJSON(json)).toThrow('Unsupported graph format version: 99')
+  })
+})
@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { Graph, Transition } from '../src/index.js'
+
+describe('Transition', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  const base = () => new Graph({
+    nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }],
+    edges: [
+      { sourceId: 'n1', targetId: 'n2' },
+      { sourceId: 'n1', targetId: 'n3' },
+    ],
+  })
+  // everything moves down a layer, n3 and its edge go, n0 and n4 come
+  const next = (graph) => graph.withMutations(m => {
+    m.removeNode('n3')
+    m.addNode({ id: 'n0' })
+    m.addNode({ id: 'n4' })
+    m.addEdge({ sourceId: 'n0', targetId: 'n1' })
+    m.addEdge({ sourceId: 'n2', targetId: 'n4' })
+  })
+  const linear = { duration: 100, easing: t => t }
+
+  it('should show the first version at once', () => {
+    const g1 = base()
+    const transition = new Transition(linear)
+    const listener = vi.fn()
+    transition.on('change', listener)
+    transition.update(g1)
+
+    expect(transition.running).toBe(false)
+    expect([...transition.nodes.keys()].sort()).toEqual(['n1', 'n2', 'n3'])
+    const n1 = transition.nodes.get('n1')
+    expect(n1.layout).toBe(g1.nodeLayout.get('n1'))
+    expect(n1.pos).toBe(n1.layout.pos)
+    expect(n1.opacity).toBe(1)
+    expect(transition.edges.get('n1-n2').path).toBe(g1.edgeLayout('n1-n2').path)
+    expect(listener).toHaveBeenCalledWith({ nodes: new Set(['n1', 'n2', 'n3']), edges: new Set(['n1-n2', 'n1-n3']) })
+  })
+
+  it('should fade in, fade out and move between versions', () => {
+    vi.useFakeTimers()
+    const g1 = base()
+    const g2 = next(g1)
+    const transition = new Transition(linear)
+    transition.update(g1)
+    const from = transition.nodes.get('n2').pos
+    const to = g2.nodeLayout.get('n2').pos
+    expect(to).not.toEqual(from)
+
+    transition.update(g2)
+    expect(transition.running).toBe(true)
+    expect(transition.nodes.get('n4').opacity).toBe(0)
+    expect(transition.nodes.get('n3').opacity).toBe(1)
+
+    vi.advanceTimersByTime(48)
+    const n2 = transition.nodes.get('n2')
+    expect(n2.pos.x).toBeCloseTo(from.x + (to.x - from.x) * 0.48)
+    expect(n2.pos.y).toBeCloseTo(from.y + (to.y - from.y) * 0.48)
+    expect(n2.layout).toBe(g2.nodeLayout.get('n2'))
+    expect(transition.nodes.get('n4').opacity).toBeCloseTo(0.48)
+    expect(transition.nodes.get('n3').opacity).toBeCloseTo(0.52)
+    expect(transition.nodes.get('n3').leaving).toBe(true)
+    expect(transition.edges.get('n1-n3').opacity).toBeCloseTo(0.52)
+
+    vi.advanceTimersByTime(100)
+    expect(transition.running).toBe(false)
+    expect(transition.nodes.has('n3')).toBe(false)
+    expect(transition.edges.has('n1-n3')).toBe(false)
+    expect(transition.nodes.get('n2').pos).toBe(to)
+    expect(transition.edges.get('n1-n2').path).toBe(g2.edgeLayout('n1-n2').path)
+  })
+
+  it('should bend edges from their old routes to their new ones', () => {
+    vi.useFakeTimers()
+    const g1 = base()
+    const g2 = next(g1)
+    const transition = new Transition(linear)
+    transition.update(g1)
+    const before = g1.edgeLayout('n1-n2').points
+    const after = g2.edgeLayout('n1-n2').points
+    transition.update(g2)
+
+    vi.advanceTimersByTime(48)
+    const { points, path } = transition.edges.get('n1-n2')
+    expect(points).toHaveLength(Math.max(before.length, after.length))
+    expect(points[0].y).toBeCloseTo(before[0].y + (after[0].y - before[0].y) * 0.48)
+    expect(path).toBe(`M ${points.map(p => `${p.x} ${p.y}`).join(' L ')}`)
+  })
+
+  it('should carry on from where things are when a version arrives', () => {
+    vi.useFakeTimers()
+    const g1 = base()
+    const g2 = next(g1)
+    const transition = new Transition(linear)
+    transition.update(g1)
+    transition.update(g2)
+    vi.advanceTimersByTime(48)
+    const halfway = transition.nodes.get('n2')
+    const fading = transition.nodes.get('n3').opacity
+
+    // back to the first version
+    transition.update(g1)
+    expect(transition.nodes.get('n2').pos).toEqual(halfway.pos)
+    expect(transition.nodes.get('n3').opacity).toBe(fading)
+    vi.advanceTimersByTime(48)
+    expect(transition.nodes.get('n3').opacity).toBeGreaterThan(fading)
+    vi.advanceTimersByTime(100)
+    expect(transition.nodes.get('n2').pos).toBe(g1.nodeLayout.get('n2').pos)
+    expect(transition.nodes.get('n3').opacity).toBe(1)
+    expect(transition.nodes.has('n4')).toBe(false)
+  })
+
+  it('should keep states at rest, and jump to the end when finished', () => {
+    vi.useFakeTimers()
+    const g1 = base()
+    const transition = new Transition(linear)
+    transition.update(g1)
+    const n1 = transition.nodes.get('n1')
+    const n2 = transition.nodes.get('n2')
+    const g2 = g1.updateNode({ id: 'n1', data: { label: 'Start' } })
+    transition.update(g2)
+    expect(transition.running).toBe(false)
+    expect(transition.nodes.get('n1')).not.toBe(n1)
+    expect(transition.nodes.get('n1').node).toBe(g2.getNode('n1'))
+    expect(transition.nodes.get('n2')).toBe(n2)
+
+    transition.update(next(g2))
+    transition.finish()
+    expect(transition.running).toBe(false)
+    expect(transition.nodes.has('n3')).toBe(false)
+    expect(transition.nodes.get('n4').opacity).toBe(1)
+    vi.advanceTimersByTime(1000)
+    expect(transition.nodes.get('n4').opacity).toBe(1)
+  })
+})
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest'
+import { Graph, GraphError } from '../src/index.js'
+
+describe('View', () => {
+  const services = (node) => node.data?.kind == 'service'
+  const service = (id, extra) => ({ id, data: { kind: 'service' }, ...extra })
+  const step = (id, extra) => ({ id, data: { kind: 'step' }, ...extra })
+  const base = () => new Graph({
+    nodes: [service('n1'), step('n2'), step('n3'), service('n4'), service('n5')],
+    edges: [
+      { sourceId: 'n1', targetId: 'n2' },
+      { sourceId: 'n2', targetId: 'n3' },
+      { sourceId: 'n3', targetId: 'n4' },
+      { sourceId: 'n1', targetId: 'n5' },
+    ],
+  })
+  const edgeIds = (graph) => graph.edges().toArray()
+    .map(edge => graph.edgeId(edge) + (edge.data?.transitive ? '*' : '')).sort()
+
+  it('should show the nodes that pass, joined through the rest', () => {
+    const v1 = base().view(services)
+
+    expect(v1.nodeIds()).toEqual(['n1', 'n4', 'n5'])
+    expect(edgeIds(v1)).toEqual(['n1-n4*', 'n1-n5'])
+    expect(v1.getEdge('n1-n4').data).toEqual({ transitive: true })
+    expect(v1.edgeLayout('n1-n4').points.length).toBeGreaterThan(1)
+    expect(v1.source.nodeIds().length).toBe(5)
+  })
+
+  it('should prefer edges of its own to transitive ones', () => {
+    const g1 = base().addEdge({ sourceId: 'n1', targetId: 'n4', data: { weight: 2 } })
+
+    expect(g1.view(services).getEdge('n1-n4').data).toEqual({ weight: 2 })
+  })
+
+  it('should keep the ports at the ends of paths', () => {
+    const g1 = new Graph({
+      nodes: [
+        service('n1', { outputPorts: ['out'] }),
+        step('n2'),
+        service('n3', { inputPorts: ['in'] }),
+      ],
+      edges: [
+        { sourceId: 'n1', sourcePort: 'out', targetId: 'n2' },
+        { sourceId: 'n2', targetId: 'n3', targetPort: 'in' },
+      ],
+    })
+
+    expect(edgeIds(g1.view(services))).toEqual(['n1.out-n3.in*'])
+  })
+
+  it('should be made once per version and predicate', () => {
+    const g1 = base()
+
+    expect(g1.view(services)).toBe(g1.view(services))
+    expect(g1.view(node => services(node))).not.toBe(g1.view(services))
+  })
+
+  it('should follow changes to the graph', () => {
+    const g1 = base()
+    const v1 = g1.view(services)
+    const g2 = g1.updateNode(service('n3'))
+    const v2 = g2.view(services)
+
+    expect(v2.prior).toBe(v1)
+    expect(v2.source).toBe(g2)
+    expect(v2.nodeIds()).toEqual(['n1', 'n3', 'n4', 'n5'])
+    expect(edgeIds(v2)).toEqual(['n1-n3*', 'n1-n5', 'n3-n4'])
+
+    const g3 = g2.removeEdge({ sourceId: 'n2', targetId: 'n3' })
+    const g4 = g3.addNode(step('n6'))
+    const v4 = g4.view(services)
+
+    expect(v4.prior).toBe(v2)
+    expect(edgeIds(v4)).toEqual(['n1-n5', 'n3-n4'])
+  })
+
+  it('should keep the layout of what the changes did not reach', () => {
+    const g1 = base()
+      .addNodes(service('n6'), service('n7'))
+      .addEdge({ sourceId: 'n6', targetId: 'n7' })
+    const v1 = g1.view(services)
+    const v2 = g1.addNode(step('n8')).view(services)
+    const v3 = g1.updateNode(step('n5')).view(services)
+
+    expect(v2.nodeLayout).toBe(v1.nodeLayout)
+    expect(v3.nodeIds()).not.toContain('n5')
+    expect(Graph.diff(v1, v3).removedNodes.map(node => node.id)).toEqual(['n5'])
+  })
+
+  it('should move nodes out of clusters that are hidden', () => {
+    const g1 = base().withMutations(m => {
+      m.addNode(step('c1'))
+      m.addNode(service('c2', { parentId: 'c1' }))
+      m.updateNode(service('n4', { parentId: 'c2' }))
+      m.updateNode(service('n5', { parentId: 'c1' }))
+    })
+    const v1 = g1.view(services)
+
+    expect(v1.hasNode('c1')).toBe(false)
+    expect(v1.getNode('n5').parentId).toBeUndefined()
+    expect(v1.childNodes('c2')).toEqual(['n4'])
+
+    const v2 = g1.updateNode(step('n4', { parentId: 'c2' })).view(services)
+
+    expect(v2.hasNode('c2')).toBe(false)
+    expect(v2.nodeIds()).toEqual(['n1', 'n5'])
+  })
+
+  it('should not be changed itself', () => {
+    const v1 = base().view(services)
+
+    expect(() => v1.addNode(service('n6'))).toThrow(GraphError)
+    expect(() => v1.collapse('n1')).toThrow("Can't change a view")
+  })
+})
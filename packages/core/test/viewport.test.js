@@ -0,0 +1,227 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { Graph, Viewport } from '../src/index.js'
+
+// An element at (10, 20) of the page, 400 by 300, that input can be
+// sent to
+class FakeTarget {
+  constructor() {
+    this.listeners = new Map()
+    this.style = {}
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.set(type, listener)
+  }
+
+  removeEventListener(type, listener) {
+    if (this.listeners.get(type) === listener) this.listeners.delete(type)
+  }
+
+  getBoundingClientRect() {
+    return { left: 10, top: 20, width: 400, height: 300 }
+  }
+
+  send(type, values) {
+    const event = { preventDefault: vi.fn(), ...values }
+    this.listeners.get(type)?.(event)
+    return event
+  }
+}
+
+describe('Viewport', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  const base = () => new Graph({
+    nodes: [{ id: 'n1' }, { id: 'n2' }, { id: 'n3' }],
+    edges: [
+      { sourceId: 'n1', targetId: 'n2' },
+      { sourceId: 'n1', targetId: 'n3' },
+    ],
+  })
+  const center = ({ pos, dims }) => ({ x: pos.x + dims.w / 2, y: pos.y + dims.h / 2 })
+
+  it('should pan, and zoom about a point within the limits', () => {
+    const viewport = new Viewport({ minZoom: 0.5, maxZoom: 2 })
+    viewport.setSize(400, 300)
+    viewport.panBy(10, 20)
+    expect(viewport.toView({ x: 0, y: 0 })).toEqual({ x: 10, y: 20 })
+
+    const point = { x: 100, y: 50 }
+    const before = viewport.toGraph(point)
+    viewport.zoomAt(1.5, point)
+    expect(viewport.zoom).toBe(1.5)
+    expect(viewport.toGraph(point)).toEqual(before)
+
+    viewport.zoomAt(10)
+    expect(viewport.zoom).toBe(2)
+    viewport.zoomAt(0.01)
+    expect(viewport.zoom).toBe(0.5)
+    expect(viewport.transform).toBe(`translate(${viewport.x} ${viewport.y}) scale(0.5)`)
+  })
+
+  it('should tell listeners about changes', () => {
+    const viewport = new Viewport()
+    const listener = vi.fn()
+    const stop = viewport.on('change', listener)
+    viewport.panBy(5, 0)
+    viewport.panBy(0, 0)
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(listener).toHaveBeenCalledWith({ x: 5, y: 0, zoom: 1, cause: 'pan' })
+
+    stop()
+    viewport.panBy(5, 0)
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+
+  it('should fit the graph, a node and a selection into view', () => {
+    const graph = base()
+    const viewport = new Viewport({ padding: 10, maxZoom: 100 })
+    viewport.setSize(400, 300)
+    // nothing to fit before there's a graph
+    viewport.fitToView()
+    viewport.centerOn('n2')
+    expect(viewport.transform).toBe('translate(0 0) scale(1)')
+    viewport.setGraph(graph)
+
+    viewport.fitToView()
+    const { pos, dims } = graph.bounds()
+    const topLeft = viewport.toView(pos)
+    const bottomRight = viewport.toView({ x: pos.x + dims.w, y: pos.y + dims.h })
+    expect(Math.min(topLeft.x, topLeft.y, 400 - bottomRight.x, 300 - bottomRight.y)).toBeCloseTo(10)
+    expect(topLeft.x + bottomRight.x).toBeCloseTo(400)
+    expect(topLeft.y + bottomRight.y).toBeCloseTo(300)
+
+    viewport.centerOn('n2', 2)
+    expect(viewport.zoom).toBe(2)
+    expect(viewport.toView(center(graph.nodeLayout.get('n2')))).toEqual({ x: 200, y: 150 })
+
+    viewport.zoomToSelection(['n2', 'n3', 'missing'])
+    const corners = ['n2', 'n3'].flatMap(id => {
+      const { pos, dims } = graph.nodeLayout.get(id)
+      return [viewport.toView(pos), viewport.toView({ x: pos.x + dims.w, y: pos.y + dims.h })]
+    })
+    const left = Math.min(...corners.map(p => p.x))
+    const top = Math.min(...corners.map(p => p.y))
+    const right = Math.max(...corners.map(p => p.x))
+    const bottom = Math.max(...corners.map(p => p.y))
+    expect(Math.min(left, top, 400 - right, 300 - bottom)).toBeCloseTo(10)
+    expect(left + right).toBeCloseTo(400)
+  })
+
+  it('should keep the anchored node in place between versions', () => {
+    const g1 = base()
+    const viewport = new Viewport()
+    viewport.setSize(400, 300)
+    viewport.setGraph(g1)
+    viewport.zoomAt(1.5, { x: 30, y: 40 })
+    viewport.anchorOn('n3')
+    const before = viewport.toView(center(g1.nodeLayout.get('n3')))
+
+    const g2 = g1.withMutations(m => {
+      m.addNode({ id: 'n0' })
+      m.addNode({ id: 'n4' })
+      m.addEdge({ sourceId: 'n0', targetId: 'n1' })
+      m.addEdge({ sourceId: 'n1', targetId: 'n4' })
+    })
+    expect(g2.nodeLayout.get('n3')).not.toEqual(g1.nodeLayout.get('n3'))
+    viewport.setGraph(g2)
+    const after = viewport.toView(center(g2.nodeLayout.get('n3')))
+    expect(after.x).toBeCloseTo(before.x)
+    expect(after.y).toBeCloseTo(before.y)
+  })
+
+  it('should zoom with the wheel at the pointer', () => {
+    const target = new FakeTarget()
+    const viewport = new Viewport()
+    viewport.attach(target)
+    expect(viewport.viewSize()).toEqual({ w: 400, h: 300 })
+    expect(target.style.touchAction).toBe('none')
+
+    const event = target.send('wheel', { clientX: 110, clientY: 70, deltaY: -100, deltaMode: 0 })
+    expect(event.preventDefault).toHaveBeenCalled()
+    expect(viewport.zoom).toBeCloseTo(Math.exp(0.2))
+    const still = viewport.toView({ x: 100, y: 50 })
+    expect(still.x).toBeCloseTo(100)
+    expect(still.y).toBeCloseTo(50)
+  })
+
+  it('should pan by dragging and keep gliding after', () => {
+    vi.useFakeTimers()
+    const target = new FakeTarget()
+    const viewport = new Viewport()
+    viewport.attach(target)
+
+    target.send('pointerdown', { pointerId: 1, clientX: 10, clientY: 20 })
+    vi.advanceTimersByTime(10)
+    target.send('pointermove', { pointerId: 1, clientX: 30, clientY: 20 })
+    vi.advanceTimersByTime(10)
+    target.send('pointermove', { pointerId: 1, clientX: 50, clientY: 20 })
+    expect(viewport.x).toBe(40)
+    target.send('pointerup', { pointerId: 1, clientX: 50, clientY: 20 })
+
+    vi.advanceTimersByTime(100)
+    const gliding = viewport.x
+    expect(gliding).toBeGreaterThan(40)
+    vi.advanceTimersByTime(5000)
+    expect(viewport.x).toBeGreaterThan(gliding)
+    expect(viewport.y).toBe(0)
+    const stopped = viewport.x
+    vi.advanceTimersByTime(1000)
+    expect(viewport.x).toBe(stopped)
+  })
+
+  it('should not glide without inertia or after stopping', () => {
+    vi.useFakeTimers()
+    const target = new FakeTarget()
+    const viewport = new Viewport({ inertia: 0 })
+    viewport.attach(target)
+
+    target.send('pointerdown', { pointerId: 1, clientX: 10, clientY: 20 })
+    vi.advanceTimersByTime(10)
+    target.send('pointermove', { pointerId: 1, clientX: 30, clientY: 20 })
+    target.send('pointerup', { pointerId: 1 })
+    vi.advanceTimersByTime(100)
+    expect(viewport.x).toBe(20)
+
+    viewport.options.inertia = 0.9
+    target.send('pointerdown', { pointerId: 1, clientX: 10, clientY: 20 })
+    vi.advanceTimersByTime(10)
+    target.send('pointermove', { pointerId: 1, clientX: 30, clientY: 20 })
+    vi.advanceTimersByTime(200)
+    target.send('pointerup', { pointerId: 1 })
+    vi.advanceTimersByTime(100)
+    expect(viewport.x).toBe(40)
+  })
+
+  it('should zoom and pan with a pinch', () => {
+    const target = new FakeTarget()
+    const viewport = new Viewport()
+    viewport.attach(target)
+
+    target.send('pointerdown', { pointerId: 1, clientX: 110, clientY: 120 })
+    target.send('pointerdown', { pointerId: 2, clientX: 210, clientY: 120 })
+    // apart to three times the distance, about the same middle
+    target.send('pointermove', { pointerId: 2, clientX: 310, clientY: 120 })
+    target.send('pointermove', { pointerId: 1, clientX: 10, clientY: 120 })
+    expect(viewport.zoom).toBeCloseTo(3)
+    const middle = viewport.toView({ x: 150, y: 100 })
+    expect(middle.x).toBeCloseTo(150)
+    expect(middle.y).toBeCloseTo(100)
+  })
+
+  it('should leave input the filter rejects, and stop when detached', () => {
+    const target = new FakeTarget()
+    const viewport = new Viewport({ filter: event => !event.onNode })
+    const detach = viewport.attach(target)
+
+    target.send('pointerdown', { pointerId: 1, clientX: 10, clientY: 20, onNode: true })
+    target.send('pointermove', { pointerId: 1, clientX: 50, clientY: 20 })
+    expect(viewport.x).toBe(0)
+
+    detach()
+    expect(target.listeners.size).toBe(0)
+    expect(viewport.element).toBeUndefined()
+  })
+})
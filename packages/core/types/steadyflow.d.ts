@@ -10,6 +10,12 @@ export type Node = {
   data?: any
   inputPorts?: string[]
   outputPorts?: string[]
+  dims?: Dims
+  /**
+   * Cluster the node is in. A node with children is a cluster: it has
+   * no layer of its own and is laid out as a box around them.
+   */
+  parentId?: string
 }
 
 export type Edge = {
@@ -20,6 +26,192 @@ export type Edge = {
   targetPort?: string
 }
 
+export type Dims = {
+  w: number
+  h: number
+}
+
+export type Point = {
+  x: number
+  y: number
+}
+
+/**
+ * Computed layout of a node; pos is its top-left corner. Nodes that
+ * declare ports also get the anchor point of each port, keyed by name:
+ * inputs on the side facing the previous layer, outputs on the side
+ * facing the next, spread evenly in declared order. The layout of a
+ * cluster is its box, padded around everything in it.
+ */
+export type NodeLayout = {
+  pos: Point
+  dims: Dims
+  inputs?: Record<string, Point>
+  outputs?: Record<string, Point>
+}
+
+/**
+ * Computed route of an edge. Points run orthogonally from the source
+ * anchor, along a track in each gap between layers, to the target
+ * anchor; path is the same route as SVG path data with rounded corners.
+ * Back edges, reversed to break a cycle, are marked with back; their
+ * points still run from source to target.
+ */
+export type EdgeLayout = {
+  points: Point[]
+  path: string
+  back?: true
+}
+
+/**
+ * Layout options.
+ */
+export type GraphOptions = {
+  /** Number of up/down sweeps when ordering nodes within layers (default 4) */
+  orderPasses?: number
+  /** Crossing reduction heuristic (default 'barycenter') */
+  orderMethod?: 'barycenter' | 'median'
+  /** Size of nodes that don't declare dims (default 100 x 40) */
+  defaultDims?: Dims
+  /** Gap between adjacent nodes in a layer (default 20) */
+  nodeSpacing?: number
+  /** Minimum gap between adjacent layers (default 40) */
+  layerSpacing?: number
+  /** Gap between edge tracks running between layers (default 10) */
+  trackSpacing?: number
+  /** Corner radius of edge routes (default 6) */
+  edgeRadius?: number
+  /**
+   * Direction of flow from layer to layer: top to bottom, left to
+   * right, bottom to top or right to left (default 'TB'). Flipped
+   * orientations mirror about zero, so coordinates may be negative.
+   */
+  orientation?: 'TB' | 'LR' | 'BT' | 'RL'
+  /**
+   * Lay out cycles by reversing a set of back edges, rather than
+   * throwing (default false). Edges stay reversed while they exist.
+   */
+  allowCycles?: boolean
+  /**
+   * Throw every problem with a batch of changes at once, as a
+   * ValidationError, rather than the first (default false). Cycles are
+   * only looked for once the rest is sound, and are thrown on their own.
+   */
+  collectErrors?: boolean
+  /** Space between the border of a cluster and its contents (default 10) */
+  clusterPadding?: number
+}
+
+/**
+ * Differences between two versions of a graph. Nodes and edges are
+ * given as they are in the version they're found in; the rest are ids
+ * of nodes in both versions.
+ */
+export type GraphDiff = {
+  addedNodes: Node[]
+  removedNodes: Node[]
+  updatedNodes: Node[]
+  addedEdges: Edge[]
+  removedEdges: Edge[]
+  updatedEdges: Edge[]
+  /** Nodes now in a different layer */
+  relayeredNodes: string[]
+  /** Nodes in the same layer, at a different position within it */
+  reorderedNodes: string[]
+  /** Nodes whose laid-out position or size changed */
+  movedNodes: string[]
+}
+
+/**
+ * Base class of the errors thrown for changes a graph can't take.
+ */
+export class GraphError extends Error {}
+
+/**
+ * A node named by an edge, an update or as a parent isn't in the graph.
+ */
+export class MissingNodeError extends GraphError {
+  id: string
+}
+
+/**
+ * An updated edge isn't in the graph.
+ */
+export class MissingEdgeError extends GraphError {
+  id: string
+}
+
+/**
+ * A node was added with the id of one that's already there.
+ */
+export class DuplicateNodeError extends GraphError {
+  id: string
+}
+
+/**
+ * An edge was added joining the same ports of the same nodes as one
+ * that's already there.
+ */
+export class DuplicateEdgeError extends GraphError {
+  /** Edge id */
+  id: string
+}
+
+/**
+ * An edge names a port its node doesn't declare.
+ */
+export class UnknownPortError extends GraphError {
+  /** Node id */
+  id: string
+  port: string
+}
+
+/**
+ * Edges form a cycle, and allowCycles isn't set.
+ */
+export class CycleError extends GraphError {
+  /** Node ids around the cycle, starting and ending with the same one */
+  cycle: string[]
+}
+
+/**
+ * Every problem with a batch of changes, thrown with collectErrors.
+ */
+export class ValidationError extends GraphError {
+  errors: GraphError[]
+}
+
+/**
+ * Serialized graph, as written by toJSON. Besides nodes and edges it
+ * holds the layers, their order and the layout, so a restored graph
+ * keeps laying out the same way.
+ */
+export type GraphJSON = {
+  version: 1
+  options: GraphOptions
+  nextLayerId: number
+  nodes: Node[]
+  edges: Edge[]
+  layers: {
+    id: number
+    sorted: string[]
+    y: number
+    height: number
+    gap: number
+    tracks: Record<string, number>
+    numTracks: number
+    /** Part of the gap below the layer taken by cluster borders closing */
+    closing: number
+    /** Part of the gap below the layer taken by cluster borders opening */
+    opening: number
+  }[]
+  nodeLayout: Record<string, NodeLayout>
+  /** Dummies of long edges, with edgeId, and cluster borders, with clusterId */
+  dummies: { id: string, edgeId?: string, clusterId?: string, pos: Point }[]
+  edgeLayouts: Record<string, EdgeLayout>
+  backEdges: string[]
+}
+
 /**
  * Directed graph with incremental layout.
  * 
@@ -33,21 +225,153 @@ export class Graph {
    * 
    * @param options - Optional configuration
    * @param options.prior - Previous graph version for structural sharing
+   * @param options.options - Layout options, merged over those of prior;
+   *   changes from prior redo coordinates and routes but keep layers and order
    * @param options.nodes - Initial nodes to add
    * @param options.edges - Initial edges to add
    */
-  constructor(options?: { prior?: Graph, nodes?: Node[], edges?: Edge[] })
+  constructor(options?: { prior?: Graph, options?: GraphOptions, nodes?: Node[], edges?: Edge[] })
+
+  /**
+   * Find what differs between two versions of a graph. Versions that
+   * share history are compared through what changed since their
+   * nearest common ancestor, so this is cheap for nearby versions.
+   * 
+   * @param a - Earlier version
+   * @param b - Later version
+   * @returns Differences going from a to b
+   */
+  static diff(a: Graph, b: Graph): GraphDiff
+
+  /**
+   * Restore a graph written by toJSON.
+   * 
+   * @param json - Serialized graph
+   * @returns Graph with the same nodes, edges, options and layout
+   * @throws Error if the format version isn't supported
+   */
+  static fromJSON(json: GraphJSON): Graph
+
+  /**
+   * Serialize the graph, including its layout state. What collapsed
+   * nodes hide isn't kept; they're written as they're shown.
+   */
+  toJSON(): GraphJSON
+
+  /**
+   * Collapse the descendants of a node, or the contents of a cluster,
+   * into the node. Edges between what's hidden and the rest are merged
+   * into summary edges to the node, one per node and port outside,
+   * with data { count } giving how many edges each stands for. Unless
+   * the graph allows cycles, summaries that would loop back through
+   * the node, as edges out of a cluster and back into it do, are left
+   * out; their edges come back on expanding.
+   * 
+   * @param id - Node id
+   * @returns Graph with the node collapsed
+   * @throws MissingNodeError if the node is missing
+   * @throws GraphError if the node is already collapsed, or has nothing
+   * to collapse
+   */
+  collapse(id: string): Graph
+
+  /**
+   * Expand a collapsed node, putting back what it hid. Hidden nodes
+   * come back where they were laid out before collapsing, and changes
+   * made while collapsed are kept.
+   * 
+   * @param id - Node id
+   * @returns Graph with the node expanded
+   * @throws GraphError if the node isn't collapsed, or is itself hidden
+   */
+  expand(id: string): Graph
+
+  /**
+   * Check if a node is collapsed.
+   * 
+   * @param id - Node id
+   * @returns True if the node hides what was collapsed into it
+   */
+  isCollapsed(id: string): boolean
+
+  /**
+   * Get a read-only graph, laid out on its own, of the nodes that pass
+   * a predicate. Paths through hidden nodes become transitive edges,
+   * with data { transitive: true }, between the nodes that show at
+   * their ends. Clusters show if they pass and something in them does.
+   * Views of later versions by the same predicate function are derived
+   * from earlier ones, so their layouts stay stable.
+   *
+   * @param predicate - Whether a node shows; called with the node alone
+   * @returns The view, the same one for the same version and predicate
+   */
+  view(predicate: (node: Node) => boolean): Graph
+
+  /**
+   * For a view, the version it shows.
+   */
+  source?: Graph
+
+  /**
+   * For a view, the predicate choosing what shows.
+   */
+  predicate?: (node: Node) => boolean
+
+  /**
+   * Layout options in effect for this version.
+   */
+  options: GraphOptions
+
+  /**
+   * Computed node layouts, keyed by node id.
+   */
+  nodeLayout: ReadonlyMap<string, NodeLayout>
 
   /**
    * Check if the graph is empty (no nodes or edges).
    */
   isEmpty(): boolean
 
+  /**
+   * Get the number of nodes, clusters included.
+   */
+  numNodes(): number
+
+  /**
+   * Get the number of edges.
+   */
+  numEdges(): number
+
+  /**
+   * Get every node, clusters included.
+   */
+  nodes(): Iterable<Node>
+
+  /**
+   * Get every edge.
+   */
+  edges(): Iterable<Edge>
+
+  /**
+   * Get the ids of every node, sorted.
+   */
+  nodeIds(): string[]
+
+  /**
+   * Get the id of an edge: its ends, with their ports, as
+   * source[.port]-target[.port].
+   *
+   * @param edge - Edge
+   * @returns Edge id
+   */
+  edgeId(edge: Edge): string
+
   /**
    * Add a node to the graph.
    * 
    * @param node - Node to add with id and optional data
    * @returns New graph with node added
+   * @throws DuplicateNodeError if a node with the id exists
    */
   addNode(node: Node): Graph
 
@@ -80,6 +404,10 @@ export class Graph {
    * 
    * @param edge - Edge to add with source and target nodes
    * @returns New graph with edge added
+   * @throws MissingNodeError if either node is missing
+   * @throws DuplicateEdgeError if an edge joins the same ports already
+   * @throws UnknownPortError if the edge names a port its node doesn't declare
+   * @throws CycleError if the edge closes a cycle, unless allowCycles is set
    */
   addEdge(edge: Edge): Graph
 
@@ -88,6 +416,7 @@ export class Graph {
    * 
    * @param edges - Edges to add
    * @returns New graph with edges added
+   * @throws GraphError as addEdge does, for the first problem
    */
   addEdges(...edges: Edge[]): Graph
 
@@ -107,11 +436,47 @@ export class Graph {
    */
   removeEdges(...edges: Edge[]): Graph
 
+  /**
+   * Replace a node, keeping its edges and layer. Only changes to its
+   * dims or ports affect the layout.
+   * 
+   * @param node - New version of the node, with the same id
+   * @returns New graph with node replaced
+   * @throws MissingNodeError if the node is missing
+   * @throws UnknownPortError if the node drops a port that its edges use
+   */
+  updateNode(node: Node): Graph
+
+  /**
+   * Replace multiple nodes.
+   * 
+   * @param nodes - New versions of the nodes
+   * @returns New graph with nodes replaced
+   */
+  updateNodes(...nodes: Node[]): Graph
+
+  /**
+   * Replace an edge, such as to change its data.
+   * 
+   * @param edge - New version of the edge, with the same endpoints and ports
+   * @returns New graph with edge replaced
+   */
+  updateEdge(edge: Edge): Graph
+
+  /**
+   * Replace multiple edges.
+   * 
+   * @param edges - New versions of the edges
+   * @returns New graph with edges replaced
+   */
+  updateEdges(...edges: Edge[]): Graph
+
   /**
    * Batch multiple mutations efficiently.
    * 
    * @param callback - Function that receives a mutator for batching changes
    * @returns New graph with all mutations applied
+   * @throws GraphError if the graph is a view
    */
   withMutations(callback: (mutator: Mutator) => void): Graph
 
@@ -123,6 +488,30 @@ export class Graph {
    */
   nodeLayer(id: string): number
 
+  /**
+   * Get the position of a node within its layer.
+   * 
+   * @param id - Node id
+   * @returns Index within the layer, left to right
+   */
+  orderOf(id: string): number
+
+  /**
+   * Get the nodes of a layer in order.
+   * 
+   * @param index - Layer index
+   * @returns Node ids, left to right
+   */
+  layerNodes(index: number): string[]
+
+  /**
+   * Get the dimensions used to lay out a node.
+   * 
+   * @param id - Node id
+   * @returns The node's dims, or the defaultDims option
+   */
+  dimsOf(id: string): Dims
+
   /**
    * Get the successors of a node.
    * 
@@ -186,6 +575,637 @@ export class Graph {
    * @returns True if edge exists, false otherwise
    */
   hasEdge(id: string): boolean
+
+  /**
+   * Get the box around every node and edge route laid out. Flipped
+   * orientations put the graph at negative coordinates.
+   * 
+   * @returns Top-left corner and size, all zero for an empty graph
+   */
+  bounds(): { pos: Point, dims: Dims }
+
+  /**
+   * Get the computed layout of an edge.
+   * 
+   * @param id - Edge id
+   * @returns Edge layout or undefined
+   */
+  edgeLayout(id: string): EdgeLayout | undefined
+
+  /**
+   * Check if an edge is laid out reversed to break a cycle.
+   * 
+   * @param id - Edge id
+   * @returns True if the edge is a back edge
+   */
+  isBackEdge(id: string): boolean
+
+  /**
+   * Check if a node is a cluster, having children.
+   * 
+   * @param id - Node id
+   * @returns True if the node has children
+   */
+  isCluster(id: string): boolean
+
+  /**
+   * Get the children of a cluster.
+   * 
+   * @param id - Node id
+   * @returns Sorted ids of the nodes whose parentId is the node
+   */
+  childNodes(id: string): string[]
+
+  /**
+   * Get every node with a path of edges to a node. Results are cached
+   * per version and frozen, as for the other queries; clusters take no
+   * part in them.
+   *
+   * @param id - Node id
+   * @returns Node ids in layer order
+   * @throws MissingNodeError if the node is missing
+   */
+  ancestors(id: string): readonly string[]
+
+  /**
+   * Get every node a node has a path of edges to.
+   *
+   * @param id - Node id
+   * @returns Node ids in layer order
+   * @throws MissingNodeError if the node is missing
+   */
+  descendants(id: string): readonly string[]
+
+  /**
+   * Get the nodes in an order where every edge runs forward.
+   *
+   * @returns Node ids
+   * @throws CycleError if the edges form a cycle
+   */
+  topologicalOrder(): readonly string[]
+
+  /**
+   * Get a path with the fewest edges from one node to another.
+   *
+   * @param from - Node id
+   * @param to - Node id
+   * @returns Node ids along the path, from first to last, or undefined if there's none
+   * @throws MissingNodeError if either node is missing
+   */
+  shortestPath(from: string, to: string): readonly string[] | undefined
+
+  /**
+   * Check if there's a path of edges from one node to another.
+   *
+   * @param from - Node id
+   * @param to - Node id
+   * @returns True if there's a path
+   * @throws MissingNodeError if either node is missing
+   */
+  isReachable(from: string, to: string): boolean
+
+  /**
+   * Get the nodes without edges in.
+   *
+   * @returns Node ids in layer order
+   */
+  roots(): readonly string[]
+
+  /**
+   * Get the nodes without edges out.
+   *
+   * @returns Node ids in layer order
+   */
+  leaves(): readonly string[]
+
+  /**
+   * Get the groups of nodes joined by edges, whichever way they run.
+   *
+   * @returns Node ids of each group in layer order, groups ordered by their first nodes
+   */
+  connectedComponents(): readonly (readonly string[])[]
+}
+
+/**
+ * A change of the current version of a history.
+ */
+export type HistoryEvent = {
+  /** The new current version */
+  graph: Graph
+  /** The version it replaced; Graph.diff(previous, graph) is cheap */
+  previous: Graph
+  cause: 'apply' | 'undo' | 'redo' | 'reset'
+}
+
+/**
+ * Undo and redo through versions of a graph.
+ * 
+ * Versions are kept in a tree: changing after an undo starts a new
+ * branch, and the old one stays reachable through redo.
+ * 
+ * The limit bounds undo steps, not memory. Each version refers to the
+ * ones it was made from through prior, which keeps diffs cheap, so
+ * versions dropped from the history stay in memory while later ones
+ * do. To let go of them, reset to a version without that past, such
+ * as `Graph.fromJSON(graph.toJSON())`.
+ */
+export class History {
+  /**
+   * @param graph - Starting version (default an empty graph)
+   * @param options.limit - Most undo steps kept (default 100); the
+   * versions dropped are still referred to by later ones
+   */
+  constructor(graph?: Graph, options?: { limit?: number })
+
+  /** Most undo steps kept */
+  limit: number
+
+  /** The current version */
+  readonly graph: Graph
+
+  readonly canUndo: boolean
+
+  readonly canRedo: boolean
+
+  /**
+   * Get the versions redo can go to from the current one.
+   * 
+   * @returns Versions, the one redo goes to by default first
+   */
+  branches(): Graph[]
+
+  /**
+   * Make a new version the current one, as a step that can be undone.
+   * Changing to the current version does nothing.
+   * 
+   * @param change - Function from the current version to the new one,
+   * or the new version
+   * @returns The new current version
+   */
+  apply(change: Graph | ((graph: Graph) => Graph)): Graph
+
+  /**
+   * Run a callback whose changes undo and redo as one step. Listeners
+   * hear about it once, when the outermost group ends. If the callback
+   * throws, its changes are dropped.
+   * 
+   * @param callback - Function making changes with apply
+   * @returns What the callback returns
+   */
+  group<T>(callback: (history: History) => T): T
+
+  /**
+   * Go back a step.
+   * 
+   * @returns The current version
+   */
+  undo(): Graph
+
+  /**
+   * Go forward a step, to the version last undone from here or to
+   * another branch.
+   * 
+   * @param branch - One of branches()
+   * @returns The current version
+   * @throws Error if branch isn't one of branches()
+   */
+  redo(branch?: Graph): Graph
+
+  /**
+   * Start over from a version, forgetting all steps.
+   */
+  reset(graph: Graph): void
+
+  /**
+   * Listen for changes to the current version.
+   * 
+   * @returns Function that stops listening
+   * @throws Error if type isn't 'change'
+   */
+  on(type: 'change', listener: (event: HistoryEvent) => void): () => void
+
+  off(type: 'change', listener: (event: HistoryEvent) => void): void
+}
+
+/**
+ * A change of a viewport's transform.
+ */
+export type ViewportEvent = {
+  x: number
+  y: number
+  zoom: number
+  cause: 'pan' | 'zoom' | 'fit' | 'anchor' | 'set'
+}
+
+export type ViewportOptions = {
+  /** Least zoom (default 0.1) */
+  minZoom?: number
+  /** Most zoom (default 4) */
+  maxZoom?: number
+  /**
+   * Share of its velocity a drag keeps from one frame to the next after
+   * it's let go; 0 stops it at once (default 0.92)
+   */
+  inertia?: number
+  /** Space left around what's fit into view, in pixels (default 20) */
+  padding?: number
+  /**
+   * Whether a wheel or pointer event should pan or zoom, for instance
+   * to leave drags that start on nodes alone (default all)
+   */
+  filter?: (event: WheelEvent | PointerEvent) => boolean
+}
+
+/**
+ * Pan and zoom, for any renderer.
+ * 
+ * A transform from graph coordinates to the pixels of an element: a
+ * point p of the graph shows at p * zoom + (x, y). Wheel, drag and
+ * pinch on the attached element change it, and listeners hear each
+ * change so they can apply it; render does so when given the viewport.
+ */
+export class Viewport {
+  constructor(options?: ViewportOptions)
+
+  options: Required<ViewportOptions>
+
+  readonly x: number
+
+  readonly y: number
+
+  readonly zoom: number
+
+  /** The version fitting and centering work from */
+  readonly graph?: Graph
+
+  /** The transform as an SVG transform attribute */
+  readonly transform: string
+
+  /**
+   * Follow a new version. If it moved the anchored node, the view pans
+   * to keep the node where it was on screen.
+   */
+  setGraph(graph: Graph): void
+
+  /**
+   * Keep a node in place on screen as later versions move it.
+   * 
+   * @param id - Node id, or undefined to stop
+   */
+  anchorOn(id: string | undefined): void
+
+  /**
+   * Set the size of the view in pixels, rather than measure the
+   * attached element.
+   */
+  setSize(w: number, h: number): void
+
+  /** Size of the view in pixels */
+  viewSize(): { w: number, h: number }
+
+  setTransform(transform: { x?: number, y?: number, zoom?: number }): void
+
+  panBy(dx: number, dy: number): void
+
+  /**
+   * Zoom by a factor, within the zoom limits.
+   * 
+   * @param point - Point of the view that stays still (default its middle)
+   */
+  zoomAt(factor: number, point?: Point): void
+
+  /** Graph coordinates of a point of the view */
+  toGraph(point: Point): Point
+
+  /** Point of the view showing a point of the graph */
+  toView(point: Point): Point
+
+  /** Zoom and pan to show the whole graph */
+  fitToView(): void
+
+  /**
+   * Pan to put a node in the middle of the view. Nothing happens if
+   * it has no layout.
+   * 
+   * @param zoom - Zoom to show it at (default the current one)
+   */
+  centerOn(nodeId: string, zoom?: number): void
+
+  /**
+   * Pan to put a point of the graph in the middle of the view.
+   * 
+   * @param zoom - Zoom to show it at (default the current one)
+   */
+  centerAt(point: Point, zoom?: number): void
+
+  /**
+   * Zoom and pan to show a set of nodes; ids without a layout are
+   * skipped.
+   */
+  zoomToSelection(nodeIds: Iterable<string>): void
+
+  /**
+   * Handle wheel, drag and pinch on an element, instead of any attached
+   * before.
+   * 
+   * @returns Function that stops
+   */
+  attach(element: Element): () => void
+
+  /** Stop handling input on the attached element */
+  detach(): void
+
+  /**
+   * Listen for changes to the transform.
+   * 
+   * @returns Function that stops listening
+   */
+  on(type: 'change', listener: (event: ViewportEvent) => void): () => void
+
+  off(type: 'change', listener: (event: ViewportEvent) => void): void
+}
+
+/**
+ * What's shown of a node during a transition.
+ */
+export type NodeState = {
+  id: string
+  node: Node
+  cluster: boolean
+  /** Layout the node is moving to */
+  layout: NodeLayout
+  pos: Point
+  dims: Dims
+  /** From 0, hidden, to 1 */
+  opacity: number
+  /** Set while it fades out, after its removal */
+  leaving?: true
+}
+
+/**
+ * What's shown of an edge during a transition.
+ */
+export type EdgeState = {
+  id: string
+  edge: Edge
+  /** Layout the edge is moving to */
+  layout: EdgeLayout
+  points: Point[]
+  /** SVG path data; straight segments between the points while moving */
+  path: string
+  /** Set for edges turned back to break cycles */
+  back?: true
+  /** From 0, hidden, to 1 */
+  opacity: number
+  /** Set while it fades out, after its removal */
+  leaving?: true
+}
+
+export type TransitionOptions = {
+  /** Milliseconds a transition takes; 0 jumps to each version (default 300) */
+  duration?: number
+  /** Progress at a share of the duration (default ease in and out) */
+  easing?: (t: number) => number
+}
+
+/**
+ * The ids of the states that changed.
+ */
+export type TransitionEvent = {
+  nodes: Set<string>
+  edges: Set<string>
+}
+
+/**
+ * Animated transitions between versions of a graph, for any renderer.
+ * 
+ * Holds what's shown of each node and edge while the drawing moves
+ * from one version to the next: new ones fade in, removed ones fade
+ * out, moved nodes slide and edges bend from their old routes to their
+ * new ones. A version arriving mid-transition carries on from wherever
+ * things are. States at rest keep their identity until their node,
+ * edge or layout changes.
+ */
+export class Transition {
+  constructor(options?: TransitionOptions)
+
+  readonly options: Required<TransitionOptions>
+
+  /**
+   * Change the options, for versions from the next on; those not given
+   * go back to their defaults.
+   */
+  configure(options?: TransitionOptions): void
+
+  /** The version transitioned to */
+  readonly graph?: Graph
+
+  /** Node id to its state shown, including nodes fading out */
+  readonly nodes: ReadonlyMap<string, NodeState>
+
+  /** Edge id to its state shown, including edges fading out */
+  readonly edges: ReadonlyMap<string, EdgeState>
+
+  /** Whether anything is still moving */
+  readonly running: boolean
+
+  /**
+   * Move towards a version. The first one shows at once, as does any
+   * with a duration of 0.
+   */
+  update(graph: Graph): void
+
+  /** Jump to the end of whatever's moving */
+  finish(): void
+
+  /**
+   * Listen for states changing, at each version and each frame of
+   * animation.
+   * 
+   * @returns Function that stops listening
+   */
+  on(type: 'change', listener: (event: TransitionEvent) => void): () => void
+
+  off(type: 'change', listener: (event: TransitionEvent) => void): void
+}
+
+export type BuilderOptions = {
+  /** Id of a node added from a template (default the first free of n1, n2...) */
+  nodeId?: (graph: Graph, template: Omit<Node, 'id'>) => string
+  /**
+   * Prefix of the classes: the handles are in -builder, ports are
+   * -builder-port with -builder-input or -builder-output, edge grips
+   * -builder-grip, and the edge being dragged out -builder-preview,
+   * with -builder-invalid when it can't be made (default 'steadyflow')
+   */
+  className?: string
+  /** Radius of port handles, in graph units (default 5) */
+  portRadius?: number
+  /** How far along an edge from its end its grip is, in graph units (default 14) */
+  grip?: number
+}
+
+/**
+ * Why an edge can't be made: an end isn't a node, or is a cluster, a
+ * port isn't declared, the edge is there already, or it would close a
+ * cycle the graph doesn't allow.
+ */
+export type BuilderRefusal = 'missing' | 'cluster' | 'port' | 'duplicate' | 'cycle'
+
+/**
+ * A change a builder is about to make. Listeners can add to the
+ * mutator, keep it to store, or veto the action; the builder applies
+ * it to the current version unless vetoed.
+ */
+export type BuilderAction = {
+  mutator: Mutator
+  /** Version the change applies to */
+  graph: Graph
+  vetoed: boolean
+  /** Leave the graph as it is; the mutator can still be applied later */
+  veto(): void
+} & (
+  | { type: 'connect', edge: Edge }
+  | { type: 'reconnect', edge: Edge, replaced: Edge }
+  | { type: 'add-node', node: Node, edge?: Edge }
+  | { type: 'remove', nodeIds: string[], edgeIds: string[] }
+)
+
+/**
+ * A version a builder moved to.
+ */
+export type BuilderEvent = {
+  graph: Graph
+  previous: Graph
+  /** Action that made it, unless the changes were applied directly */
+  action?: BuilderAction
+}
+
+/**
+ * Changes the graph refused, leaving the builder where it was.
+ */
+export type BuilderErrorEvent = {
+  error: GraphError
+  /** Version the changes were for */
+  graph: Graph
+  /** Action the changes came from, unless they were applied directly */
+  action?: BuilderAction
+}
+
+/**
+ * Building graphs by hand, on a drawing.
+ * 
+ * Dragging from a port to a port of the other kind connects them, and
+ * dragging the grip near either end of an edge reconnects that end;
+ * the edge being dragged out shows whether it could be made. Edges
+ * that would close a cycle can't, unless the graph allows cycles:
+ * that's checked on the current version before anything changes.
+ * Palette items add nodes, or remove what they're dropped on. Every
+ * change goes out as an action carrying a Mutator, to add to, store or
+ * veto. Changes the graph refuses go out as an error.
+ */
+export class Builder {
+  constructor(options?: BuilderOptions)
+
+  readonly options: Required<BuilderOptions>
+
+  /** The version being built on */
+  readonly graph?: Graph
+
+  /** Follow a new version, moving the handles along */
+  setGraph(graph: Graph): void
+
+  /**
+   * Why an edge can't be made, or undefined if it can.
+   * 
+   * @param replacing - Id of an edge being reconnected, left out of
+   * the checks
+   */
+  check(edge: Edge, replacing?: string): BuilderRefusal | undefined
+
+  /**
+   * Add an edge.
+   * 
+   * @returns The new version, or undefined if the edge can't be made
+   * or the action was vetoed or refused
+   */
+  connect(edge: Edge): Graph | undefined
+
+  /**
+   * Move the ends of an edge, keeping its data.
+   * 
+   * @returns The new version, or undefined if the edge can't be made
+   * or the action was vetoed or refused
+   */
+  reconnect(edgeId: string, ends: Edge): Graph | undefined
+
+  /**
+   * Add a node like a template, with a new id.
+   * 
+   * @param afterId - Node to add an edge from, to the new one
+   * @returns The new version, or undefined if the action was vetoed or
+   * refused
+   */
+  addNode(template?: Omit<Node, 'id'>, afterId?: string): Graph | undefined
+
+  /**
+   * Remove nodes and edges, with the edges of the nodes; unknown ids
+   * are skipped. What was in a removed cluster moves out to the
+   * cluster around it, if any.
+   * 
+   * @returns The new version, or undefined if there was nothing to
+   * remove or the action was vetoed or refused
+   */
+  remove(ids: Iterable<string>): Graph | undefined
+
+  /**
+   * Apply changes to the current version, as the builder does with
+   * actions no one vetoed, and move to the new one.
+   * 
+   * @returns The new version, or undefined if the graph refused the
+   * changes
+   * @throws GraphError if the graph refused the changes and no one
+   * listens for errors
+   */
+  apply(mutator: Mutator): Graph | undefined
+
+  /**
+   * Make an element an item of a palette. A node template, dragged
+   * onto the drawing, adds a node like it, after the node it's dropped
+   * on if any; clicked, it adds one on its own. 'delete', dropped on a
+   * node or edge, removes it.
+   * 
+   * @returns Function that stops
+   */
+  paletteItem(element: Element, item: Omit<Node, 'id'> | 'delete'): () => void
+
+  /**
+   * Handle gestures on an svg, instead of any attached before, drawing
+   * port handles and edge grips over the graph.
+   * 
+   * @param parent - Group of the svg in graph coordinates to draw the
+   * handles into, such as render's -graph group (default the svg)
+   * @returns Function that stops
+   */
+  attach(svg: SVGSVGElement, parent?: SVGElement): () => void
+
+  /** Stop handling gestures, and take the handles away */
+  detach(): void
+
+  /**
+   * Listen for actions, with a chance to veto them, for the versions
+   * they make, or for changes the graph refused. With no one listening
+   * for errors, they're thrown.
+   * 
+   * @returns Function that stops listening
+   */
+  on(type: 'action', listener: (action: BuilderAction) => void): () => void
+  on(type: 'change', listener: (event: BuilderEvent) => void): () => void
+  on(type: 'error', listener: (event: BuilderErrorEvent) => void): () => void
+
+  off(type: 'action', listener: (action: BuilderAction) => void): void
+  off(type: 'change', listener: (event: BuilderEvent) => void): void
+  off(type: 'error', listener: (event: BuilderErrorEvent) => void): void
 }
 
 /**
@@ -194,6 +1214,30 @@ export class Graph {
  * Allows efficient batching of multiple add/remove operations.
  */
 export class Mutator {
+  /**
+   * @param graph - Graph the changes will apply to, if known
+   */
+  constructor(graph?: Graph)
+
+  /**
+   * Graph the changes will apply to, set for mutators passed by
+   * withMutations. Parsers use it to update nodes and edges that are
+   * already there rather than add them again.
+   */
+  graph?: Graph
+
+  /**
+   * Changes collected so far, in the order they were made.
+   */
+  changes: {
+    addedNodes: Node[]
+    removedNodes: (Node | string)[]
+    updatedNodes: Node[]
+    addedEdges: Edge[]
+    removedEdges: Edge[]
+    updatedEdges: Edge[]
+  }
+
   /**
    * Add a node.
    */
@@ -233,4 +1277,213 @@ export class Mutator {
    * Remove multiple edges.
    */
   removeEdges(...edges: Edge[]): void
+
+  /**
+   * Replace a node in place.
+   */
+  updateNode(node: Node): void
+
+  /**
+   * Replace multiple nodes in place.
+   */
+  updateNodes(...nodes: Node[]): void
+
+  /**
+   * Replace an edge in place.
+   */
+  updateEdge(edge: Edge): void
+
+  /**
+   * Replace multiple edges in place.
+   */
+  updateEdges(...edges: Edge[]): void
+}
+
+/**
+ * Add the nodes and edges of a Graphviz DOT graph to a changeset.
+ * Attributes become data, `node:port` on edges becomes ports, and
+ * subgraphs are read for the nodes and edges in them. A
+ * `cluster_<id>` subgraph becomes a cluster node with its attributes
+ * as data.
+ * 
+ * @param text - DOT source
+ * @param mutator - Changeset to add to, or a new one
+ * @returns The changeset
+ * @throws Error if the text isn't valid DOT
+ */
+export function parseDot(text: string, mutator?: Mutator): Mutator
+
+/**
+ * Read a Graphviz DOT graph into a new graph, oriented by its rankdir.
+ * 
+ * @param text - DOT source
+ * @param options - Layout options, taking precedence over the file
+ * @throws Error if the text isn't valid DOT
+ */
+export function readDot(text: string, options?: GraphOptions): Graph
+
+/**
+ * Write a graph as a Graphviz digraph. Object data is written as
+ * attributes, and other data as the label; clusters are written as
+ * `cluster_<id>` subgraphs. Values that aren't strings, and declared
+ * ports the edges don't show, go in `steadyflow:` attributes so that
+ * `readDot` gives back the same graph.
+ */
+export function writeDot(graph: Graph): string
+
+/**
+ * Add the nodes and edges of a Mermaid flowchart to a changeset.
+ * Node labels and shapes become data as `{ label, shape }`, and edge
+ * labels and link styles as `{ label, link }`.
+ * 
+ * @param text - Mermaid source
+ * @param mutator - Changeset to add to, or a new one
+ * @returns The changeset
+ * @throws Error if the text isn't a flowchart Mermaid can read
+ */
+export function parseMermaid(text: string, mutator?: Mutator): Mutator
+
+/**
+ * Read a Mermaid flowchart into a new graph, oriented by its direction.
+ * 
+ * @param text - Mermaid source
+ * @param options - Layout options, taking precedence over the file
+ * @throws Error if the text isn't a flowchart Mermaid can read
+ */
+export function readMermaid(text: string, options?: GraphOptions): Graph
+
+/**
+ * Write a graph as a Mermaid flowchart.
+ * 
+ * @throws Error if a node id can't be written in Mermaid
+ */
+export function writeMermaid(graph: Graph): string
+
+/**
+ * Add the nodes and edges of a GraphML document to a changeset. Data
+ * is typed by its keys, ports become input or output ports, and nodes
+ * with a graph inside become clusters.
+ * 
+ * @param text - GraphML document
+ * @param mutator - Changeset to add to, or a new one
+ * @returns The changeset
+ * @throws Error if the document isn't valid GraphML
+ */
+export function parseGraphML(text: string, mutator?: Mutator): Mutator
+
+/**
+ * Read a GraphML document into a new graph.
+ * 
+ * @param text - GraphML document
+ * @param options - Layout options, taking precedence over the file
+ * @throws Error if the document isn't valid GraphML
+ */
+export function readGraphML(text: string, options?: GraphOptions): Graph
+
+/**
+ * Write a graph as a GraphML document, keeping port sides, clusters as
+ * nested graphs, and the orientation. Data is typed by its keys; keys
+ * holding objects or more than one type are written as JSON, marked
+ * with `steadyflow.type="json"`.
+ */
+export function writeGraphML(graph: Graph): string
+
+/**
+ * Options for drawing a graph as SVG.
+ */
+export type RenderOptions = {
+  /**
+   * Content of a node: text for the default box, or an SVG element
+   * drawn in its place with the node's top-left corner at the origin.
+   * Called again when the node or its size changes (default: data.label
+   * or the id).
+   */
+  renderNode?: (node: Node, dims: Dims) => string | number | Element | null | undefined
+  /** Label drawn halfway along an edge, if any (default: data.label) */
+  edgeLabel?: (edge: Edge) => string | number | null | undefined
+  /** Space around the graph (default 20) */
+  padding?: number
+  /**
+   * Class of the svg element, and prefix of the classes of its parts:
+   * -graph, -node, -cluster, -edge, -back for back edges, -box, -label
+   * and -edge-label (default 'steadyflow')
+   */
+  className?: string
+  /**
+   * Viewport to pan and zoom the drawing with. The svg then fills the
+   * container rather than sizing to the graph; the viewport handles
+   * input on it and follows each version rendered.
+   */
+  viewport?: Viewport
+  /**
+   * Animate between versions: new nodes and edges fade in, removed
+   * ones fade out, and moved ones slide. True for the Transition
+   * defaults, or its options (default false).
+   */
+  animate?: boolean | TransitionOptions
+  /**
+   * Builder to edit the graph with. Its handles are drawn over the
+   * graph, and it follows each version rendered.
+   */
+  builder?: Builder
 }
+
+/**
+ * Draw a laid-out graph as SVG into a container. Rendering another
+ * version into the same container patches the drawing, touching only
+ * the nodes and edges whose layout or data changed. Node and edge
+ * groups carry their id as data-id.
+ * 
+ * @param graph - Version to draw
+ * @param container - Element to draw into
+ * @param options - Rendering options; new callbacks redraw everything
+ * @returns The svg element
+ */
+export function render(graph: Graph, container: Element, options?: RenderOptions): SVGSVGElement
+
+/**
+ * Take the drawing out of a container: stop its animation, detach its
+ * viewport and builder, and remove the svg. Does nothing if nothing
+ * was rendered there.
+ * 
+ * @param container - Element drawn into
+ */
+export function unrender(container: Element): void
+
+export type MinimapOptions = {
+  /** Viewport the rectangle shows, and that pressing or dragging moves */
+  viewport?: Viewport
+  /** Width of the svg (default 200) */
+  width?: number
+  /** Height of the svg (default 150) */
+  height?: number
+  /** Space around the graph, in graph units (default 20) */
+  padding?: number
+  /**
+   * Prefix of the classes: the svg is -minimap, and its parts
+   * -minimap-nodes, -minimap-clusters, -minimap-edges and
+   * -minimap-view (default 'steadyflow')
+   */
+  className?: string
+}
+
+/**
+ * Draw an overview of a whole graph into a container: nodes as plain
+ * boxes and edges as lines, with a rectangle over what the viewport
+ * shows. Pressing in it centers the viewport there, and dragging moves
+ * it along. Drawing another version into the same container patches
+ * the overview, touching only what changed layout.
+ * 
+ * @param graph - Version to draw
+ * @param container - Element to draw into
+ * @param options - Mini-map options
+ * @returns The svg element
+ */
+export function minimap(graph: Graph, container: Element, options?: MinimapOptions): SVGSVGElement
+
+/**
+ * Find the point halfway along a route, where edge labels go.
+ * 
+ * @param points - Points of an edge layout
+ */
+export function midpoint(points: Point[]): Point
@@ -0,0 +1,266 @@
+import React, { memo, useCallback, useId, useLayoutEffect, useMemo, useReducer, useRef } from 'react'
+import { Graph, Transition, midpoint } from 'steadyflow'
+import type { Node, Edge, NodeLayout, EdgeLayout, GraphOptions, TransitionOptions } from 'steadyflow'
+
+export interface GraphViewProps {
+  graph: Graph
+  /** Size of the svg; the graph is scaled to fit (default: its own size) */
+  width?: number
+  height?: number
+  /**
+   * Layout options over the graph's own. Coordinates are redone for
+   * each version, so options set on the graph itself are cheaper.
+   */
+  layoutOptions?: GraphOptions
+  /**
+   * Content of a node, drawn with its top-left corner at the origin
+   * (default: a box with data.label or the id). Keep it the same
+   * function between renders, so unchanged nodes aren't drawn again.
+   */
+  renderNode?: (node: Node, layout: NodeLayout) => React.ReactNode
+  /** Label drawn halfway along an edge, if any (default: data.label) */
+  edgeLabel?: (edge: Edge) => React.ReactNode
+  /** Space around the graph (default 20) */
+  padding?: number
+  /** Class of the svg, and prefix of the classes of its parts (default 'steadyflow') */
+  className?: string
+  /**
+   * Animate between versions: new nodes and edges fade in, removed
+   * ones fade out, and moved ones slide. True for the Transition
+   * defaults, or its options (default false).
+   */
+  animate?: boolean | TransitionOptions
+  onNodeClick?: (nodeId: string, event: React.MouseEvent) => void
+  onEdgeClick?: (edgeId: string, event: React.MouseEvent) => void
+}
+
+const defaultNode = (node: Node) => node.data?.label ?? node.id
+const defaultEdgeLabel = (edge: Edge) => edge.data?.label
+
+// Draws a graph as SVG. Layouts are shared between versions until they
+// change, so nodes and edges are memoized on them and only those that
+// moved or changed render again. Animated, they're drawn from the states
+// of a Transition instead, which keep their identity the same way.
+export function GraphView({
+  graph,
+  width,
+  height,
+  layoutOptions,
+  renderNode,
+  edgeLabel = defaultEdgeLabel,
+  padding = 20,
+  className = 'steadyflow',
+  animate = false,
+  onNodeClick,
+  onEdgeClick,
+}: GraphViewProps) {
+  const options = layoutOptions && JSON.stringify(layoutOptions)
+  const shown = useMemo(
+    () => options ? new Graph({ prior: graph, options: JSON.parse(options) }) : graph,
+    [graph, options],
+  )
+  const marker = `${className}-arrow-${useId().replace(/[^\w-]/g, '')}`
+
+  // a new transition each time animation is turned on, so it starts
+  // from the version shown then
+  const animated = !!animate
+  const transition = useMemo(() => animated ? new Transition() : undefined, [animated])
+  const [, redraw] = useReducer((frame: number) => frame + 1, 0)
+  useLayoutEffect(() => {
+    if (!transition) return
+    const stop = transition.on('change', redraw)
+    return () => {
+      stop()
+      transition.finish()
+    }
+  }, [transition])
+  useLayoutEffect(() => {
+    if (!transition) return
+    transition.configure(animate === true ? {} : animate || {})
+    transition.update(shown)
+  }, [transition, animate, shown])
+
+  // handlers change often; reading them through a ref keeps the parts
+  // memoized
+  const handlers = useRef({ onNodeClick, onEdgeClick })
+  useLayoutEffect(() => {
+    handlers.current = { onNodeClick, onEdgeClick }
+  })
+  const nodeClick = useCallback((id: string, event: React.MouseEvent) =>
+    handlers.current.onNodeClick?.(id, event), [])
+  const edgeClick = useCallback((id: string, event: React.MouseEvent) =>
+    handlers.current.onEdgeClick?.(id, event), [])
+
+  const clusters: React.ReactNode[] = []
+  const nodes: React.ReactNode[] = []
+  const edges: React.ReactNode[] = []
+  const addNode = (node: Node, layout: NodeLayout, cluster: boolean, opacity?: number) => {
+    if (cluster)
+      clusters.push(
+        <ClusterView
+          key={node.id}
+          node={node}
+          layout={layout}
+          opacity={opacity}
+          prefix={className}
+          onClick={nodeClick}
+        />,
+      )
+    else
+      nodes.push(
+        <NodeView
+          key={node.id}
+          node={node}
+          layout={layout}
+          opacity={opacity}
+          renderNode={renderNode}
+          prefix={className}
+          onClick={nodeClick}
+        />,
+      )
+  }
+  const addEdge = (id: string, edge: Edge, layout: EdgeLayout, opacity?: number) =>
+    edges.push(
+      <EdgeView
+        key={id}
+        id={id}
+        edge={edge}
+        layout={layout}
+        opacity={opacity}
+        edgeLabel={edgeLabel}
+        marker={marker}
+        prefix={className}
+        onClick={edgeClick}
+      />,
+    )
+  // until the transition has caught up, the graph is what's shown
+  if (transition?.graph) {
+    for (const state of transition.nodes.values()) addNode(state.node, state, state.cluster, state.opacity)
+    for (const state of transition.edges.values()) addEdge(state.id, state.edge, state, state.opacity)
+  } else {
+    for (const node of shown.nodes()) {
+      const layout = shown.nodeLayout.get(node.id)
+      if (layout) addNode(node, layout, shown.isCluster(node.id))
+    }
+    for (const edge of shown.edges()) {
+      const id = shown.edgeId(edge)
+      const layout = shown.edgeLayout(id)
+      if (layout) addEdge(id, edge, layout)
+    }
+  }
+
+  const { pos, dims } = shown.bounds()
+  const w = dims.w + 2 * padding
+  const h = dims.h + 2 * padding
+  return (
+    <svg
+      className={className}
+      width={width ?? w}
+      height={height ?? h}
+      viewBox={`${pos.x - padding} ${pos.y - padding} ${w} ${h}`}
+    >
+      <defs>
+        <marker id={marker} viewBox="0 0 10 10" refX={10} refY={5} markerWidth={8} markerHeight={8} orient="auto">
+          <path d="M 0 0 L 10 5 L 0 10 z" fill="context-stroke" />
+        </marker>
+      </defs>
+      <g className={`${className}-graph`}>
+        <g className={`${className}-clusters`}>{clusters}</g>
+        <g className={`${className}-edges`}>{edges}</g>
+        <g className={`${className}-nodes`}>{nodes}</g>
+      </g>
+    </svg>
+  )
+}
+
+type Click = (id: string, event: React.MouseEvent) => void
+
+const NodeView = memo(function NodeView({ node, layout, opacity, renderNode, prefix, onClick }: {
+  node: Node
+  layout: NodeLayout
+  opacity?: number
+  renderNode?: (node: Node, layout: NodeLayout) => React.ReactNode
+  prefix: string
+  onClick: Click
+}) {
+  const { pos, dims } = layout
+  return (
+    <g
+      className={`${prefix}-node`}
+      data-id={node.id}
+      transform={`translate(${pos.x} ${pos.y})`}
+      opacity={opacity != undefined && opacity < 1 ? opacity : undefined}
+      onClick={event => onClick(node.id, event)}
+    >
+      {renderNode
+        ? renderNode(node, layout)
+        : (
+          <>
+            <rect className={`${prefix}-box`} width={dims.w} height={dims.h} rx={4} fill="white" stroke="#64748b" />
+            <text
+              className={`${prefix}-label`}
+              x={dims.w / 2}
+              y={dims.h / 2}
+              textAnchor="middle"
+              dominantBaseline="central"
+            >
+              {defaultNode(node)}
+            </text>
+          </>
+        )}
+    </g>
+  )
+})
+
+const ClusterView = memo(function ClusterView({ node, layout, opacity, prefix, onClick }: {
+  node: Node
+  layout: NodeLayout
+  opacity?: number
+  prefix: string
+  onClick: Click
+}) {
+  const { pos, dims } = layout
+  return (
+    <g
+      className={`${prefix}-cluster`}
+      data-id={node.id}
+      transform={`translate(${pos.x} ${pos.y})`}
+      opacity={opacity != undefined && opacity < 1 ? opacity : undefined}
+      onClick={event => onClick(node.id, event)}
+    >
+      <rect className={`${prefix}-box`} width={dims.w} height={dims.h} rx={4} fill="#f8fafc" stroke="#64748b" />
+      <text className={`${prefix}-label`} x={6} y={6} dominantBaseline="hanging">
+        {defaultNode(node)}
+      </text>
+    </g>
+  )
+})
+
+const EdgeView = memo(function EdgeView({ id, edge, layout, opacity, edgeLabel, marker, prefix, onClick }: {
+  id: string
+  edge: Edge
+  layout: EdgeLayout
+  opacity?: number
+  edgeLabel: (edge: Edge) => React.ReactNode
+  marker: string
+  prefix: string
+  onClick: Click
+}) {
+  const label = edgeLabel(edge)
+  const at = label === undefined || label === null || label === '' ? undefined : midpoint(layout.points)
+  return (
+    <g
+      className={`${prefix}-edge${layout.back ? ` ${prefix}-back` : ''}`}
+      data-id={id}
+      opacity={opacity != undefined && opacity < 1 ? opacity : undefined}
+      onClick={event => onClick(id, event)}
+    >
+      <path d={layout.path} fill="none" stroke="#64748b" markerEnd={`url(#${marker})`} />
+      {at && (
+        <text className={`${prefix}-edge-label`} x={at.x} y={at.y} textAnchor="middle" dominantBaseline="central">
+          {label}
+        </text>
+      )}
+    </g>
+  )
+})
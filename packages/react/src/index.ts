@@ -2,21 +2,10 @@
  * React SteadyFlow - React components for SteadyFlow graph visualization
  */
 
-import { Graph, GraphData, LayoutOptions } from 'steadyflow'
+export { GraphView } from './GraphView'
+export type { GraphViewProps } from './GraphView'
+export { useGraph } from './useGraph'
+export type { GraphState } from './useGraph'
 
-export interface GraphViewProps {
-  graph: Graph
-  width?: number
-  height?: number
-  layoutOptions?: LayoutOptions
-  onNodeClick?: (nodeId: string) => void
-  onEdgeClick?: (edgeId: string) => void
-}
-
-// Placeholder - will be implemented with actual React component
-export function GraphView(props: GraphViewProps): null {
-  // TODO: Implement React component
-  return null
-}
-
-export { Graph, GraphData, LayoutOptions, createGraph } from 'steadyflow'
+export { Graph, History } from 'steadyflow'
+export type { Node, Edge, GraphOptions, NodeLayout, EdgeLayout, TransitionOptions } from 'steadyflow'
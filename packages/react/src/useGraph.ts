@@ -0,0 +1,34 @@
+import { useCallback, useMemo, useState, useSyncExternalStore } from 'react'
+import { Graph, History } from 'steadyflow'
+
+export interface GraphState {
+  /** The current version */
+  graph: Graph
+  /** Make a new version current, given as a function of the current one or itself */
+  update: (change: Graph | ((graph: Graph) => Graph)) => Graph
+  undo: () => Graph
+  redo: () => Graph
+  canUndo: boolean
+  canRedo: boolean
+  /** The history behind the state, for grouping changes and branches */
+  history: History
+}
+
+// Holds a graph in a History, so components re-render with each new
+// version and changes can be undone. Versions are immutable, so an
+// update is a function from one version to the next.
+export function useGraph(initial?: Graph | (() => Graph), options?: { limit?: number }): GraphState {
+  const [history] = useState(() =>
+    new History(typeof initial == 'function' ? initial() : initial, options))
+  const subscribe = useCallback((listener: () => void) => history.on('change', listener), [history])
+  const graph = useSyncExternalStore(subscribe, () => history.graph, () => history.graph)
+  return useMemo(() => ({
+    graph,
+    update: (change: Graph | ((graph: Graph) => Graph)) => history.apply(change),
+    undo: () => history.undo(),
+    redo: () => history.redo(),
+    canUndo: history.canUndo,
+    canRedo: history.canRedo,
+    history,
+  }), [history, graph])
+}
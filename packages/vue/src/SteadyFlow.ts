@@ -0,0 +1,246 @@
+import { computed, defineComponent, h, inject, provide, ref, toRaw, useId, watch } from 'vue'
+import type { InjectionKey, PropType, Slots, VNode } from 'vue'
+import { Graph, Transition, midpoint } from 'steadyflow'
+import type { Node, Edge, NodeLayout, EdgeLayout, GraphOptions, TransitionOptions } from 'steadyflow'
+
+type Click = (id: string, event: MouseEvent) => void
+
+// What the parts need from the component around them. Parts call the
+// slots as they render, so they only render again when their own props
+// change or what the slots read does.
+const contextKey: InjectionKey<{
+  slots: Slots
+  prefix: () => string
+  nodeClick: Click
+  edgeClick: Click
+}> = Symbol('steadyflow')
+
+const label = (item: Node | Edge) => item.data?.label
+// opacity attribute of a part, left off when it's fully shown
+const faded = (opacity?: number) => opacity !== undefined && opacity < 1 ? opacity : undefined
+
+// Draws a graph as SVG. Layouts are shared between versions until they
+// change, and nodes and edges are components with them as props, so
+// only those that moved or changed render again. Animated, they're
+// drawn from the states of a Transition instead, which keep their
+// identity the same way.
+export const SteadyFlow = defineComponent({
+  name: 'SteadyFlow',
+  props: {
+    graph: { type: Object as PropType<Graph>, required: true },
+    /** Size of the svg; the graph is scaled to fit (default: its own size) */
+    width: Number,
+    height: Number,
+    /**
+     * Layout options over the graph's own. Coordinates are redone for
+     * each version, so options set on the graph itself are cheaper.
+     */
+    layoutOptions: Object as PropType<GraphOptions>,
+    /** Space around the graph */
+    padding: { type: Number, default: 20 },
+    /** Class of the svg, and prefix of the classes of its parts */
+    className: { type: String, default: 'steadyflow' },
+    /**
+     * Animate between versions: new nodes and edges fade in, removed
+     * ones fade out, and moved ones slide. True for the Transition
+     * defaults, or its options.
+     */
+    animate: { type: [Boolean, Object] as PropType<boolean | TransitionOptions>, default: false },
+  },
+  emits: {
+    'node-click': (nodeId: string, event: MouseEvent) => typeof nodeId == 'string' && !!event,
+    'edge-click': (edgeId: string, event: MouseEvent) => typeof edgeId == 'string' && !!event,
+  },
+  setup(props, { slots, emit }) {
+    // markers need ids unique to the document, and the same when
+    // rendered on the server and hydrated; apps sharing a page need
+    // their own idPrefix for that
+    const marker = `arrow-${useId()}`
+    provide(contextKey, {
+      slots,
+      prefix: () => props.className,
+      nodeClick: (id, event) => emit('node-click', id, event),
+      edgeClick: (id, event) => emit('edge-click', id, event),
+    })
+    // graphs held in deep refs come as proxies, which would make every
+    // read of their maps slow
+    const shown = computed(() => {
+      const graph = toRaw(props.graph)
+      return props.layoutOptions ? new Graph({ prior: graph, options: toRaw(props.layoutOptions) }) : graph
+    })
+
+    // a new transition each time animation is turned on, so it starts
+    // from the version shown then; frame counts its changes, for the
+    // render to depend on
+    const animated = computed(() => !!props.animate)
+    const transition = computed(() => animated.value ? new Transition() : undefined)
+    const frame = ref(0)
+    watch(transition, (current, _, onCleanup) => {
+      if (!current) return
+      const stop = current.on('change', () => frame.value++)
+      onCleanup(() => {
+        stop()
+        current.finish()
+      })
+    }, { immediate: true })
+    watch([transition, () => props.animate, shown], ([current, animate, graph]) => {
+      if (!current) return
+      current.configure(animate === true ? {} : toRaw(animate) || {})
+      current.update(graph)
+    }, { immediate: true })
+
+    return () => {
+      const graph = shown.value
+      const prefix = props.className
+      const clusters: VNode[] = []
+      const nodes: VNode[] = []
+      const edges: VNode[] = []
+      const addNode = (node: Node, layout: NodeLayout, cluster: boolean, opacity?: number) => {
+        if (cluster) clusters.push(h(ClusterPart, { key: node.id, node, layout, opacity }))
+        else nodes.push(h(NodePart, { key: node.id, node, layout, opacity }))
+      }
+      const addEdge = (id: string, edge: Edge, layout: EdgeLayout, opacity?: number) =>
+        edges.push(h(EdgePart, { key: id, id, edge, layout, opacity, marker: `${prefix}-${marker}` }))
+      const current = transition.value
+      if (current) {
+        void frame.value
+        for (const state of current.nodes.values()) addNode(state.node, state, state.cluster, state.opacity)
+        for (const state of current.edges.values()) addEdge(state.id, state.edge, state, state.opacity)
+      } else {
+        for (const node of graph.nodes()) {
+          const layout = graph.nodeLayout.get(node.id)
+          if (layout) addNode(node, layout, graph.isCluster(node.id))
+        }
+        for (const edge of graph.edges()) {
+          const id = graph.edgeId(edge)
+          const layout = graph.edgeLayout(id)
+          if (layout) addEdge(id, edge, layout)
+        }
+      }
+      const { pos, dims } = graph.bounds()
+      const size = { w: dims.w + 2 * props.padding, h: dims.h + 2 * props.padding }
+      return h('svg', {
+        class: prefix,
+        width: props.width ?? size.w,
+        height: props.height ?? size.h,
+        viewBox: `${pos.x - props.padding} ${pos.y - props.padding} ${size.w} ${size.h}`,
+      }, [
+        h('defs', [
+          h('marker', {
+            id: `${prefix}-${marker}`,
+            viewBox: '0 0 10 10',
+            refX: 10,
+            refY: 5,
+            markerWidth: 8,
+            markerHeight: 8,
+            orient: 'auto',
+          }, [h('path', { d: 'M 0 0 L 10 5 L 0 10 z', fill: 'context-stroke' })]),
+        ]),
+        h('g', { class: `${prefix}-graph` }, [
+          h('g', { class: `${prefix}-clusters` }, clusters),
+          h('g', { class: `${prefix}-edges` }, edges),
+          h('g', { class: `${prefix}-nodes` }, nodes),
+        ]),
+      ])
+    }
+  },
+})
+
+const NodePart = defineComponent({
+  props: {
+    node: { type: Object as PropType<Node>, required: true },
+    layout: { type: Object as PropType<NodeLayout>, required: true },
+    opacity: Number,
+  },
+  setup(props) {
+    const context = inject(contextKey)!
+    return () => {
+      const { node, layout } = props
+      const { pos, dims } = layout
+      const prefix = context.prefix()
+      const content = context.slots.node
+        ? context.slots.node({ node, layout })
+        : [
+          h('rect', { class: `${prefix}-box`, width: dims.w, height: dims.h, rx: 4, fill: 'white', stroke: '#64748b' }),
+          h('text', {
+            class: `${prefix}-label`,
+            x: dims.w / 2,
+            y: dims.h / 2,
+            'text-anchor': 'middle',
+            'dominant-baseline': 'central',
+          }, String(label(node) ?? node.id)),
+        ]
+      return h('g', {
+        class: `${prefix}-node`,
+        'data-id': node.id,
+        transform: `translate(${pos.x} ${pos.y})`,
+        opacity: faded(props.opacity),
+        onClick: (event: MouseEvent) => context.nodeClick(node.id, event),
+      }, content)
+    }
+  },
+})
+
+const ClusterPart = defineComponent({
+  props: {
+    node: { type: Object as PropType<Node>, required: true },
+    layout: { type: Object as PropType<NodeLayout>, required: true },
+    opacity: Number,
+  },
+  setup(props) {
+    const context = inject(contextKey)!
+    return () => {
+      const { node, layout } = props
+      const { pos, dims } = layout
+      const prefix = context.prefix()
+      return h('g', {
+        class: `${prefix}-cluster`,
+        'data-id': node.id,
+        transform: `translate(${pos.x} ${pos.y})`,
+        opacity: faded(props.opacity),
+        onClick: (event: MouseEvent) => context.nodeClick(node.id, event),
+      }, [
+        h('rect', { class: `${prefix}-box`, width: dims.w, height: dims.h, rx: 4, fill: '#f8fafc', stroke: '#64748b' }),
+        h('text', { class: `${prefix}-label`, x: 6, y: 6, 'dominant-baseline': 'hanging' }, String(label(node) ?? node.id)),
+      ])
+    }
+  },
+})
+
+const EdgePart = defineComponent({
+  props: {
+    id: { type: String, required: true },
+    edge: { type: Object as PropType<Edge>, required: true },
+    layout: { type: Object as PropType<EdgeLayout>, required: true },
+    opacity: Number,
+    marker: { type: String, required: true },
+  },
+  setup(props) {
+    const context = inject(contextKey)!
+    return () => {
+      const { id, edge, layout } = props
+      const prefix = context.prefix()
+      const text = context.slots['edge-label'] ? undefined : label(edge)
+      const at = context.slots['edge-label'] || (text !== undefined && text !== null && text !== '')
+        ? midpoint(layout.points)
+        : undefined
+      return h('g', {
+        class: `${prefix}-edge${layout.back ? ` ${prefix}-back` : ''}`,
+        'data-id': id,
+        opacity: faded(props.opacity),
+        onClick: (event: MouseEvent) => context.edgeClick(id, event),
+      }, [
+        h('path', { d: layout.path, fill: 'none', stroke: '#64748b', 'marker-end': `url(#${props.marker})` }),
+        at && context.slots['edge-label']
+          ? h('g', { transform: `translate(${at.x} ${at.y})` }, context.slots['edge-label']({ edge, layout }))
+          : at && h('text', {
+            class: `${prefix}-edge-label`,
+            x: at.x,
+            y: at.y,
+            'text-anchor': 'middle',
+            'dominant-baseline': 'central',
+          }, String(text)),
+      ])
+    }
+  },
+})
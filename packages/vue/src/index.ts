@@ -2,5 +2,9 @@
  * Vue SteadyFlow - Vue components for SteadyFlow graph visualization
  */
 
-// Placeholder for Vue integration
-export { Graph, GraphData, LayoutOptions, createGraph } from 'steadyflow'
+export { SteadyFlow } from './SteadyFlow'
+export { useGraph } from './useGraph'
+export type { GraphState } from './useGraph'
+
+export { Graph, History } from 'steadyflow'
+export type { Node, Edge, GraphOptions, NodeLayout, EdgeLayout, TransitionOptions } from 'steadyflow'
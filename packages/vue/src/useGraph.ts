@@ -0,0 +1,68 @@
+import { computed, shallowRef } from 'vue'
+import type { ComputedRef, Ref } from 'vue'
+import { Graph, History } from 'steadyflow'
+import type { Node, Edge, Mutator } from 'steadyflow'
+
+type Change = Graph | ((graph: Graph) => Graph)
+
+export interface GraphState {
+  /** The current version */
+  graph: Readonly<Ref<Graph>>
+  /** Make a new version current, given as a function of the current one or itself */
+  update: (change: Change) => Graph
+  withMutations: (callback: (mutator: Mutator) => void) => Graph
+  addNode: (node: Node) => Graph
+  addNodes: (...nodes: Node[]) => Graph
+  removeNode: (node: Node | string) => Graph
+  removeNodes: (...nodes: (Node | string)[]) => Graph
+  updateNode: (node: Node) => Graph
+  updateNodes: (...nodes: Node[]) => Graph
+  addEdge: (edge: Edge) => Graph
+  addEdges: (...edges: Edge[]) => Graph
+  removeEdge: (edge: Edge) => Graph
+  removeEdges: (...edges: Edge[]) => Graph
+  updateEdge: (edge: Edge) => Graph
+  updateEdges: (...edges: Edge[]) => Graph
+  undo: () => Graph
+  redo: () => Graph
+  canUndo: ComputedRef<boolean>
+  canRedo: ComputedRef<boolean>
+  /** The history behind the state, for grouping changes and branches */
+  history: History
+}
+
+// Holds a graph in a History, with the current version in a shallow
+// ref: versions are immutable, so there's nothing inside to track, and
+// each change makes a new one. The mutators apply to the current
+// version and make the result current.
+export function useGraph(initial?: Graph | (() => Graph), options?: { limit?: number }): GraphState {
+  const history = new History(typeof initial == 'function' ? initial() : initial, options)
+  const graph = shallowRef(history.graph)
+  history.on('change', event => {
+    graph.value = event.graph
+  })
+  const update = (change: Change) => history.apply(change)
+  return {
+    graph,
+    update,
+    withMutations: callback => update(graph => graph.withMutations(callback)),
+    addNode: node => update(graph => graph.addNode(node)),
+    addNodes: (...nodes) => update(graph => graph.addNodes(...nodes)),
+    removeNode: node => update(graph => graph.removeNode(node)),
+    removeNodes: (...nodes) => update(graph => graph.removeNodes(...nodes)),
+    updateNode: node => update(graph => graph.updateNode(node)),
+    updateNodes: (...nodes) => update(graph => graph.updateNodes(...nodes)),
+    addEdge: edge => update(graph => graph.addEdge(edge)),
+    addEdges: (...edges) => update(graph => graph.addEdges(...edges)),
+    removeEdge: edge => update(graph => graph.removeEdge(edge)),
+    removeEdges: (...edges) => update(graph => graph.removeEdges(...edges)),
+    updateEdge: edge => update(graph => graph.updateEdge(edge)),
+    updateEdges: (...edges) => update(graph => graph.updateEdges(...edges)),
+    undo: () => history.undo(),
+    redo: () => history.redo(),
+    // the graph changes whenever these might
+    canUndo: computed(() => graph.value && history.canUndo),
+    canRedo: computed(() => graph.value && history.canRedo),
+    history,
+  }
+}